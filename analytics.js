@@ -0,0 +1,333 @@
+// analytics.js
+const { channelLogin } = require("./utils");
+const { render } = require("./templates");
+const { formatAmount } = require("./drops");
+
+// no event for this long and the next one opens a new stream session
+const SESSION_IDLE_MS = 3 * 60 * 60 * 1000;
+const EVENT_TTL_MS = 90 * 24 * 60 * 60 * 1000;
+const TOP_VIEWERS = 5;
+
+const CSV_COLUMNS = [
+  "at",
+  "session",
+  "channel",
+  "type",
+  "viewer",
+  "viewerId",
+  "code",
+  "reason",
+  "uses",
+  "orderId",
+  "orderTotal",
+  "currency",
+];
+
+let sequence = 0;
+
+function csvCell(value) {
+  if (value == null) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Events -> CSV (one row per event, CSV_COLUMNS order, ISO timestamps)
+ */
+function eventsToCsv(events) {
+  const rows = events.map((event) =>
+    CSV_COLUMNS.map((column) =>
+      csvCell(column === "at" ? new Date(event.at).toISOString() : event[column])
+    ).join(",")
+  );
+  return [CSV_COLUMNS.join(","), ...rows].join("\n") + "\n";
+}
+
+/**
+ * Session events -> per-stream numbers.
+ *
+ * redemptionRate: share of personal codes issued this stream that got used
+ * revenue: sum of order totals the backend attributed to our codes
+ */
+function buildReport(login, session, events) {
+  const issued = { viewer: 0, drop: 0, total: 0 };
+  const failures = {};
+  const viewers = new Map();
+  const redeemedCodes = new Set();
+  let redemptions = 0;
+  let revenue = 0;
+  let currency = null;
+
+  function viewerRow(event) {
+    const key = event.viewerId || event.viewer;
+    if (!viewers.has(key)) {
+      viewers.set(key, {
+        viewer: event.viewer,
+        viewerId: event.viewerId,
+        issued: 0,
+        redeemed: 0,
+        revenue: 0,
+      });
+    }
+    return viewers.get(key);
+  }
+
+  for (const event of events) {
+    switch (event.type) {
+      case "discount.issued":
+        issued.viewer += 1;
+        viewerRow(event).issued += 1;
+        break;
+      case "drop.created":
+        issued.drop += 1;
+        break;
+      case "discount.failed":
+      case "drop.failed": {
+        const key = `${event.type.split(".")[0]}:${event.reason || "unknown"}`;
+        failures[key] = (failures[key] || 0) + 1;
+        break;
+      }
+      case "code.redeemed": {
+        const uses = Number(event.uses) || 1;
+        const total = Number(event.orderTotal) || 0;
+        redemptions += uses;
+        revenue += total;
+        currency = currency || event.currency || null;
+        if (event.kind === "viewer") redeemedCodes.add(event.code);
+        if (event.viewerId || event.viewer) {
+          const row = viewerRow(event);
+          row.redeemed += uses;
+          row.revenue += total;
+        }
+        break;
+      }
+      default:
+        break;
+    }
+  }
+  issued.total = issued.viewer + issued.drop;
+
+  const topViewers = [...viewers.values()]
+    .sort((a, b) => b.revenue - a.revenue || b.redeemed - a.redeemed || b.issued - a.issued)
+    .slice(0, TOP_VIEWERS)
+    .map((row) => ({ ...row, revenue: Math.round(row.revenue * 100) / 100 }));
+
+  return {
+    channel: login,
+    session: { id: session.id, startedAt: session.startedAt, endedAt: session.endedAt || null },
+    issued,
+    failures,
+    redemptions,
+    redemptionRate: issued.viewer
+      ? Math.round((redeemedCodes.size / issued.viewer) * 1000) / 1000
+      : 0,
+    revenue: Math.round(revenue * 100) / 100,
+    currency,
+    topViewers,
+  };
+}
+
+/**
+ * Per-stream event log for !discount / !drop outcomes and code usage.
+ *
+ * Sessions live under `sessions:<login>` ({ id, startedAt, endedAt,
+ * lastEventAt }), events under `analytics:<login>:<session>`. A session
+ * is opened by the first event (or startSession) and closed by
+ * endSession, or implicitly after SESSION_IDLE_MS without events.
+ * When live status is known (liveStatus.js) sessions follow the Twitch
+ * stream instead: its id becomes the session id and idling never ends it.
+ * Redemptions land in the session their code was issued in.
+ *
+ * deps: { store, clock, channelSettings, say(login, text) }
+ */
+function createAnalytics({ store, clock, channelSettings, say }) {
+  // login -> open session (mirrors the store)
+  const openSessions = new Map();
+
+  async function loadOpenSession(login) {
+    if (openSessions.has(login)) return openSessions.get(login);
+    const sessions = await store.list(`sessions:${login}`);
+    const open = sessions.map(({ value }) => value).find((s) => s && !s.endedAt) || null;
+    openSessions.set(login, open);
+    return open;
+  }
+
+  async function saveSession(login, session) {
+    await store.set(`sessions:${login}`, session.id, session, EVENT_TTL_MS);
+  }
+
+  // stream: { id, startedAt } of the Twitch stream, if known
+  async function startSession(channel, stream = null) {
+    const login = channelLogin(channel);
+    const open = await loadOpenSession(login);
+    if (open) await closeSession(login, open, clock.now());
+
+    const now = clock.now();
+    const session = {
+      id: String(stream?.id || now),
+      streamId: stream?.id ? String(stream.id) : null,
+      startedAt: stream?.startedAt || now,
+      endedAt: null,
+      lastEventAt: now,
+    };
+    await saveSession(login, session);
+    openSessions.set(login, session);
+    return session;
+  }
+
+  async function closeSession(login, session, endedAt) {
+    session.endedAt = endedAt;
+    await saveSession(login, session);
+    openSessions.set(login, null);
+  }
+
+  /**
+   * The channel's open session; a stale one is closed at its last event
+   */
+  async function currentSession(login) {
+    const open = await loadOpenSession(login);
+    if (open && (open.streamId || clock.now() - open.lastEventAt <= SESSION_IDLE_MS)) return open;
+    if (open) await closeSession(login, open, open.lastEventAt);
+    return startSession(login);
+  }
+
+  /**
+   * The channel's current stream session -> { id, startedAt, ... }
+   */
+  async function session(channel) {
+    return currentSession(channelLogin(channel));
+  }
+
+  /**
+   * Log one event. Never throws: analytics must not break a command.
+   *
+   * type: "discount.issued" | "discount.failed" | "drop.created" |
+   *       "drop.failed" | "code.redeemed"
+   * data: { viewer, viewerId, code, reason, uses, orderId, orderTotal, currency, ... }
+   */
+  async function track(channel, type, data = {}) {
+    const login = channelLogin(channel);
+    try {
+      const code = data.code ? String(data.code).toUpperCase() : null;
+      let sessionId = null;
+
+      if (type === "code.redeemed" && code) {
+        sessionId = await store.get(`analytics-codes:${login}`, code);
+      }
+      if (!sessionId) {
+        const session = await currentSession(login);
+        session.lastEventAt = clock.now();
+        await saveSession(login, session);
+        sessionId = session.id;
+      }
+
+      const at = clock.now();
+      sequence = (sequence + 1) % 1e6;
+      const id = `${at}-${String(sequence).padStart(6, "0")}`;
+      const event = { id, at, session: sessionId, channel: login, type, ...data, code };
+
+      await store.set(`analytics:${login}:${sessionId}`, id, event, EVENT_TTL_MS);
+      if (code && type !== "code.redeemed") {
+        await store.set(`analytics-codes:${login}`, code, sessionId, EVENT_TTL_MS);
+      }
+      return event;
+    } catch (err) {
+      console.error(`[ANALYTICS] Could not record ${type} for ${login}:`, err?.message || err);
+      return null;
+    }
+  }
+
+  /**
+   * Sessions, newest first
+   */
+  async function listSessions(channel) {
+    const login = channelLogin(channel);
+    const sessions = await store.list(`sessions:${login}`);
+    return sessions.map(({ value }) => value).sort((a, b) => b.startedAt - a.startedAt);
+  }
+
+  async function events(channel, sessionId) {
+    const login = channelLogin(channel);
+    const entries = await store.list(`analytics:${login}:${sessionId}`);
+    return entries.map(({ value }) => value).sort((a, b) => a.id.localeCompare(b.id));
+  }
+
+  // `sessionId`, or the newest session
+  async function findSession(login, sessionId) {
+    const sessions = await listSessions(login);
+    return (sessionId ? sessions.find((s) => s.id === String(sessionId)) : sessions[0]) || null;
+  }
+
+  /**
+   * Per-stream report (see buildReport) -> report or null
+   */
+  async function report(channel, sessionId) {
+    const login = channelLogin(channel);
+    const session = await findSession(login, sessionId);
+    if (!session) return null;
+    return buildReport(login, session, await events(login, session.id));
+  }
+
+  async function csv(channel, sessionId) {
+    const login = channelLogin(channel);
+    const session = await findSession(login, sessionId);
+    if (!session) return null;
+    return eventsToCsv(await events(login, session.id));
+  }
+
+  /**
+   * Close the stream session and post the recap in chat
+   * (only when something happened). -> report or null
+   */
+  async function endSession(channel, { announce = true } = {}) {
+    const login = channelLogin(channel);
+    const open = await loadOpenSession(login);
+    if (!open) return null;
+
+    await closeSession(login, open, clock.now());
+    const result = buildReport(login, open, await events(login, open.id));
+
+    if (announce && say && (result.issued.total || result.redemptions)) {
+      const settings = channelSettings ? await channelSettings.get(login) : {};
+      const t = (key, vars) => render(key, { channel: login, ...vars }, settings);
+      say(login, summaryMessage(t, result, settings));
+    }
+    return result;
+  }
+
+  return {
+    track,
+    startSession,
+    session,
+    endSession,
+    listSessions,
+    events,
+    report,
+    csv,
+  };
+}
+
+/**
+ * End-of-stream chat recap
+ */
+function summaryMessage(t = render, result, settings = {}) {
+  const summary = t("analytics.summary", {
+    issued: result.issued.total,
+    redemptions: result.redemptions,
+    revenue: formatAmount(result.revenue, {
+      ...settings,
+      currency: settings.currency || result.currency,
+    }),
+  });
+  const top = result.topViewers.find((row) => row.redeemed > 0 && row.viewer);
+  return top ? t("analytics.summary_top", { summary, viewer: top.viewer }) : summary;
+}
+
+module.exports = {
+  SESSION_IDLE_MS,
+  CSV_COLUMNS,
+  eventsToCsv,
+  buildReport,
+  summaryMessage,
+  createAnalytics,
+};
@@ -0,0 +1,491 @@
+// app.js
+const { systemClock, channelLogin } = require("./utils");
+const { createCommandRegistry } = require("./commands");
+const { createCooldowns, createClaims, DEFAULT_COOLDOWN_MS } = require("./cooldowns");
+const { createDropTracker } = require("./drops");
+const { createChannelSettings } = require("./channelSettings");
+const { resolvePermission, denialMessage } = require("./permissions");
+const { createChatQueue } = require("./chatQueue");
+const { createWhisperSender } = require("./whisper");
+const { createChannelSync } = require("./channelSync");
+const { createDropScheduler } = require("./dropScheduler");
+const { createRedemptionTracker } = require("./redemptions");
+const { createAnalytics } = require("./analytics");
+const { createLiveStatus, isBlockedOffline } = require("./liveStatus");
+const { createViewerInfo } = require("./viewerInfo");
+const { createGiveaways } = require("./giveaways");
+const { createLoyalty } = require("./loyalty");
+const { createEligibility } = require("./eligibility");
+const { createChannelPoints } = require("./channelPoints");
+const { createEventRewards } = require("./eventRewards");
+const { render } = require("./templates");
+
+const AUTOJOIN_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Wire the bot together. Everything it talks to is injected, so tests
+ * can pass a fake chat client / backend / clock.
+ *
+ * deps: {
+ *   client,   // tmi.js Client (or test/fakes/fakeChatClient)
+ *   backend,  // { call(path, method, body), requestViewerDiscount(login, viewer) }
+ *   store,    // see store/index.js
+ *   clock,    // { now(), sleep(ms) }
+ *   chat,     // optional outbound queue (see chatQueue.js)
+ *   whispers, // optional { send(viewer, message) } (see whisper.js)
+ *   config,   // { commandPrefix, ownerUsername, channels, autoJoinIntervalMs,
+ *             //   liveStatus: { source, helix } (see liveStatus.js),
+ *             //   velocity: { windowMinutes, maxChannels } (see eligibility.js),
+ *             //   channelPoints: { source } (see channelPoints.js) }
+ *   commands, // optional registry override
+ * }
+ */
+function createBot(deps) {
+  const { client, backend, store } = deps;
+  const clock = deps.clock || systemClock;
+  const config = {
+    commandPrefix: "!",
+    ownerUsername: "",
+    channels: [],
+    autoJoinIntervalMs: AUTOJOIN_INTERVAL_MS,
+    ...deps.config,
+  };
+
+  const commands = deps.commands || createCommandRegistry();
+  const cooldowns = createCooldowns({ store, clock });
+  const claims = createClaims({ store, clock });
+  const drops = createDropTracker({ clock, store });
+  const channelSettings = createChannelSettings({ backend, clock });
+  const chat = deps.chat || createChatQueue({ client, clock });
+  const whispers = deps.whispers || createWhisperSender({ client, clock });
+  const viewerInfo = createViewerInfo({ backend, clock });
+  const eligibility = createEligibility({
+    store,
+    clock,
+    viewerInfo,
+    ownerUsername: config.ownerUsername,
+    velocity: config.velocity,
+  });
+
+  /**
+   * Joined channels, kept in sync with the backend (poll + pushed events)
+   */
+  const channelSync = createChannelSync({
+    client,
+    backend,
+    clock,
+    staticChannels: config.channels,
+    onJoin: (ch) => {
+      drops.load(ch).catch((err) => {
+        console.error(`[DROP] Load failed for ${ch}:`, err?.message || err);
+      });
+      scheduler.load(ch).catch((err) => {
+        console.error(`[CAMPAIGN] Load failed for ${ch}:`, err?.message || err);
+      });
+      giveaways.load(ch).catch((err) => {
+        console.error(`[GIVEAWAY] Load failed for ${ch}:`, err?.message || err);
+      });
+    },
+    onPart: (ch) => {
+      channelSettings.invalidate(ch);
+      scheduler.unload(ch);
+    },
+  });
+
+  /**
+   * Per-stream event log + reports (served by controlServer.js)
+   */
+  const analytics = createAnalytics({
+    store,
+    clock,
+    channelSettings,
+    say: (login, text) => chat.say(`#${login}`, text),
+  });
+
+  /**
+   * Online/offline per channel. A new stream opens a fresh analytics
+   * session and resets per-stream claims; going offline posts the recap.
+   */
+  const liveStatus = createLiveStatus({
+    backend,
+    store,
+    clock,
+    source: config.liveStatus?.source,
+    helix: config.liveStatus?.helix,
+    channels: () => channelSync.joinedChannels,
+    onStreamStart: async (login, stream) => {
+      await claims.clearChannel(`#${login}`);
+      eligibility.resetChannel(login);
+      await eventRewards.resetChannel(login);
+      await analytics.startSession(login, stream);
+    },
+    onStreamEnd: async (login) => {
+      await analytics.endSession(login);
+    },
+  });
+
+  /**
+   * Scheduled drop campaigns
+   */
+  const scheduler = createDropScheduler({
+    backend,
+    store,
+    clock,
+    drops,
+    channelSettings,
+    analytics,
+    say: (login, text) => chat.say(`#${login}`, text),
+    channels: () => channelSync.joinedChannels,
+    isLive: (login) => liveStatus.isLive(login),
+  });
+
+  /**
+   * Code usage pushed by the backend -> chat announcements + !dropstats
+   */
+  const redemptions = createRedemptionTracker({
+    store,
+    clock,
+    drops,
+    claims,
+    channelSettings,
+    analytics,
+    say: (login, text) => chat.say(`#${login}`, text),
+  });
+
+  /**
+   * !giveaway / !enter raffles; winners are paid like a !discount
+   */
+  const giveaways = createGiveaways({
+    backend,
+    store,
+    clock,
+    claims,
+    channelSettings,
+    analytics,
+    viewerInfo,
+    say: (login, text) => chat.say(`#${login}`, text),
+    contextFor: (channel, viewer, commandName) => contextFor(channel, viewer, commandName),
+    channels: () => channelSync.joinedChannels,
+  });
+
+  /**
+   * Loyalty points for chatting / being around, spent with !redeem
+   */
+  const loyalty = createLoyalty({
+    store,
+    clock,
+    channelSettings,
+    isLive: (login) => liveStatus.isLive(login),
+    channels: () => channelSync.joinedChannels,
+  });
+
+  /**
+   * Channel Points rewards that pay out a personal code
+   */
+  const channelPoints = createChannelPoints({
+    backend,
+    store,
+    clock,
+    claims,
+    analytics,
+    source: config.channelPoints?.source,
+    contextFor: (channel, viewer, commandName) => contextFor(channel, viewer, commandName),
+  });
+
+  /**
+   * Subs / cheers / raids -> personal codes or global drops (settings.eventRewards)
+   */
+  const eventRewards = createEventRewards({
+    backend,
+    store,
+    clock,
+    drops,
+    claims,
+    channelSettings,
+    analytics,
+    say: (login, text) => chat.say(`#${login}`, text),
+    isLive: (login) => liveStatus.isLive(login),
+    contextFor: (channel, viewer, commandName) => contextFor(channel, viewer, commandName),
+  });
+
+  /**
+   * Join polling interval handle (fallback when pushed events are missed)
+   */
+  let autoJoinInterval = null;
+
+  async function syncJoinsFromBackend() {
+    await channelSync.syncFromBackend();
+  }
+
+  const bot = {
+    commands,
+    cooldowns,
+    claims,
+    drops,
+    channelSettings,
+    chat,
+    whispers,
+    channelSync,
+    scheduler,
+    redemptions,
+    analytics,
+    liveStatus,
+    viewerInfo,
+    eligibility,
+    giveaways,
+    loyalty,
+    channelPoints,
+    eventRewards,
+    joinedChannels: channelSync.joinedChannels,
+    syncJoinsFromBackend,
+    handleMessage,
+    start,
+    stop,
+  };
+
+  /**
+   * Per-invocation context handed to command.execute
+   */
+  function createContext(channel, tags, commandName, args) {
+    const username = tags["display-name"] || tags.username;
+    const userId = tags["user-id"] || username.toLowerCase();
+
+    // queued, not awaited: delivery is paced by the chat queue.
+    // Every message from one invocation shares a coalesce key, so a queued
+    // low-priority ack gets replaced by the real answer.
+    const coalesceKey = `${commandName}:${channel}:${userId}`;
+    const say = (text, options) => {
+      chat.say(channel, text, { coalesceKey, ...options });
+    };
+
+    const ctx = {
+      channel,
+      login: channelLogin(channel),
+      tags,
+      args,
+      commandName,
+      username,
+      userId,
+      say,
+      reply: (text, options) => say(`@${username} ${text}`, options),
+      backend,
+      store,
+      clock,
+      config,
+      commands,
+      cooldowns,
+      claims,
+      drops,
+      channelSettings,
+      whispers,
+      analytics,
+      liveStatus,
+      viewerInfo,
+      eligibility,
+      loyalty,
+      bot,
+      settings: {},
+    };
+
+    // analytics event for this invocation, tagged with the viewer
+    ctx.track = (type, data) =>
+      analytics.track(channel, type, { viewerId: userId, viewer: username, ...data });
+
+    /**
+     * Localized chat line (see templates.js); username / channel / prefix
+     * are always available as placeholders
+     */
+    ctx.t = (key, vars) =>
+      render(
+        key,
+        { username, channel: ctx.login, prefix: config.commandPrefix, ...vars },
+        ctx.settings
+      );
+
+    return ctx;
+  }
+
+  /**
+   * Context for a viewer outside of a chat command (e.g. a giveaway winner),
+   * so code delivery works the same as for !discount
+   */
+  async function contextFor(channel, viewer, commandName) {
+    const tags = {
+      username: viewer.login,
+      "display-name": viewer.displayName || viewer.login,
+      "user-id": viewer.id,
+    };
+    const ctx = createContext(channel, tags, commandName, []);
+    ctx.settings = await channelSettings.get(ctx.login);
+    return ctx;
+  }
+
+  /**
+   * Loyalty points for a chat line; a points failure never blocks the message
+   */
+  async function earnPoints(channel, tags, message, isCommand) {
+    try {
+      const settings = await channelSettings.get(channelLogin(channel));
+      await loyalty.onMessage(channel, tags, message, settings, { isCommand });
+    } catch (err) {
+      console.error(`[POINTS] Could not credit ${tags.username}:`, err?.message || err);
+    }
+  }
+
+  /**
+   * Main message handler
+   */
+  async function handleMessage(channel, tags, message, self) {
+    if (self) return;
+    const username = tags["display-name"] || tags.username;
+    console.log(`[${channel}] ${username}: ${message}`);
+
+    const prefix = config.commandPrefix;
+    const isCommand = message.startsWith(prefix);
+    eligibility.recordMessage(channel, tags, { isCommand });
+    await earnPoints(channel, tags, message, isCommand);
+
+    // a Channel Points redemption's text is the viewer's input, never a command
+    if (tags["custom-reward-id"]) {
+      try {
+        await channelPoints.handleChatMessage(channel, tags);
+      } catch (err) {
+        console.error("[CHANNELPOINTS] Redemption failed:", err);
+      }
+      return;
+    }
+    if (!isCommand) return;
+
+    const withoutPrefix = message.slice(prefix.length).trim();
+    if (!withoutPrefix.length) return;
+
+    const parts = withoutPrefix.split(/\s+/);
+    const commandName = parts[0].toLowerCase();
+    const args = parts.slice(1);
+
+    const command = commands[commandName];
+    if (!command) return;
+
+    const ctx = createContext(channel, tags, commandName, args);
+
+    ctx.settings = await channelSettings.get(ctx.login);
+    ctx.permission = resolvePermission(
+      command,
+      tags,
+      ctx.settings,
+      config.ownerUsername
+    );
+    if (!ctx.permission.allowed) {
+      return ctx.say(
+        denialMessage(ctx.t, ctx.permission.required, `${prefix}${commandName}`)
+      );
+    }
+
+    // only asks for the live status when the channel blocks this command offline
+    if (isBlockedOffline(ctx.settings, commandName) && !(await liveStatus.isLive(ctx.login))) {
+      return ctx.say(ctx.t("live.offline", { command: `${prefix}${commandName}` }));
+    }
+
+    if (!command.managesOwnCooldown) {
+      const cd = await cooldowns.isOnCooldown(commandName, ctx.userId);
+      if (cd > 0) {
+        return ctx.say(
+          ctx.t("command.cooldown", { remaining: cd, command: `${prefix}${commandName}` })
+        );
+      }
+    }
+
+    try {
+      await command.execute(ctx);
+
+      if (!command.managesOwnCooldown) {
+        await cooldowns.setCooldown(
+          commandName,
+          ctx.userId,
+          command.cooldownMs || DEFAULT_COOLDOWN_MS
+        );
+      }
+    } catch (err) {
+      console.error(`[ERROR] Command ${commandName} failed:`, err);
+      return ctx.say(
+        ctx.t("command.error", { command: `${prefix}${commandName}` })
+      );
+    }
+  }
+
+  /**
+   * Connect + autojoin logic
+   */
+  async function onConnected(addr, port) {
+    console.log(`[INFO] Connected to ${addr}:${port}`);
+    console.log(
+      `[INFO] Static channels from .env: ${config.channels.map((c) => "#" + c).join(", ") || "(none)"}`
+    );
+
+    // Initial join sync
+    console.log("[AUTOJOIN] Initial sync...");
+    await syncJoinsFromBackend();
+
+    scheduler.start();
+    liveStatus.start();
+    giveaways.start();
+    loyalty.start();
+
+    // Start polling auto-join (only one interval)
+    if (autoJoinInterval) clearInterval(autoJoinInterval);
+    autoJoinInterval = setInterval(() => {
+      syncJoinsFromBackend().catch(() => {});
+    }, config.autoJoinIntervalMs);
+
+    console.log(
+      `[AUTOJOIN] Polling enabled (every ${Math.round(config.autoJoinIntervalMs / 1000)}s).`
+    );
+  }
+
+  function onDisconnected(reason) {
+    console.warn("[WARN] Disconnected from Twitch:", reason);
+    scheduler.stop();
+    liveStatus.stop();
+    giveaways.stop();
+    loyalty.stop();
+
+    if (autoJoinInterval) {
+      clearInterval(autoJoinInterval);
+      autoJoinInterval = null;
+    }
+  }
+
+  function start() {
+    client.on("connected", onConnected);
+    client.on("disconnected", onDisconnected);
+    client.on("message", handleMessage);
+    eventRewards.attach(client);
+
+    return client.connect().catch((err) => {
+      console.error("[ERROR] Failed to connect:", err);
+    });
+  }
+
+  async function stop() {
+    client.removeListener("connected", onConnected);
+    client.removeListener("disconnected", onDisconnected);
+    client.removeListener("message", handleMessage);
+    eventRewards.detach(client);
+    chat.stop();
+    scheduler.stop();
+    liveStatus.stop();
+    giveaways.stop();
+    loyalty.stop();
+
+    if (autoJoinInterval) {
+      clearInterval(autoJoinInterval);
+      autoJoinInterval = null;
+    }
+  }
+
+  return bot;
+}
+
+module.exports = {
+  createBot,
+};
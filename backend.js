@@ -0,0 +1,229 @@
+// backend.js
+const crypto = require("crypto");
+const axios = require("axios");
+const { systemClock, jitterBackoffMs, retryAfterMs } = require("./utils");
+const { signatureHeaders } = require("./signing");
+
+const DEFAULT_TIMEOUT_MS = 10 * 1000;
+const DEFAULT_RETRIES = 2;
+const BACKOFF_BASE_MS = 300;
+const BACKOFF_MAX_MS = 5 * 1000;
+
+const IDEMPOTENT_METHODS = new Set(["GET", "HEAD", "PUT", "DELETE", "OPTIONS"]);
+const RETRYABLE_STATUS = new Set([408, 425, 429, 500, 502, 503, 504]);
+
+/**
+ * Auth headers for a request.
+ *
+ * bearer: Authorization: Bearer <secret>
+ * hmac:   X-Dropify-Timestamp + X-Dropify-Signature: sha256=<hex>
+ *         signed over `${timestamp}.${METHOD}.${path}.${body}`, where path is
+ *         the one the server sees (baseUrl's own path prefix included)
+ */
+function authHeaders({ secret, authMode }, method, path, rawBody, now) {
+  if (!secret) return {};
+
+  if (authMode === "hmac") {
+    return signatureHeaders(secret, method, path, rawBody, now);
+  }
+
+  return { Authorization: `Bearer ${secret}` };
+}
+
+/**
+ * "https://host/api/" -> "/api", "https://host" -> ""
+ */
+function basePathOf(baseUrl) {
+  try {
+    return new URL(baseUrl).pathname.replace(/\/+$/, "");
+  } catch (_) {
+    return "";
+  }
+}
+
+function backoffMs(attempt, random) {
+  return jitterBackoffMs(attempt, random, BACKOFF_BASE_MS, BACKOFF_MAX_MS);
+}
+
+/**
+ * Anything the backend said -> { ok, reason, message, httpStatus, ... }
+ */
+function normalizeResponse(res) {
+  const data = res.data;
+  const httpStatus = res.status;
+
+  // If backend gave us JSON, prefer it (even on non-2xx) because it contains reason/message
+  if (data && typeof data === "object") {
+    if (typeof data.ok === "undefined" && httpStatus >= 400) {
+      return {
+        ...data,
+        ok: false,
+        reason: data.reason || (httpStatus === 404 ? "not_found" : "http_error"),
+        message: data.message || data.error || `Dropify API returned HTTP ${httpStatus}`,
+        httpStatus,
+      };
+    }
+    if (data.ok === false && !data.message && data.error) {
+      return { ...data, message: data.error, httpStatus };
+    }
+    return { ...data, httpStatus };
+  }
+
+  // Non-JSON fallback
+  return {
+    ok: false,
+    reason: httpStatus === 404 ? "not_found" : "http_error",
+    message: `Dropify API returned HTTP ${httpStatus}`,
+    httpStatus,
+    raw: typeof data === "string" ? data.slice(0, 500) : data,
+  };
+}
+
+/**
+ * The one client for the Dropify backend.
+ *
+ * options: {
+ *   baseUrl,
+ *   secret, authMode,  // "bearer" (default) | "hmac"
+ *   timeoutMs, retries,
+ *   clock, random, http // injectable for tests (http defaults to axios)
+ * }
+ *
+ * Never throws: every failure comes back as { ok: false, reason, message }.
+ */
+function createBackend(options = {}) {
+  const baseUrl = String(options.baseUrl || "").replace(/\/+$/, "");
+  const basePath = basePathOf(baseUrl);
+  const clock = options.clock || systemClock;
+  const random = options.random || Math.random;
+  const http = options.http || axios;
+  const timeoutMs = options.timeoutMs ?? DEFAULT_TIMEOUT_MS;
+  const maxRetries = options.retries ?? DEFAULT_RETRIES;
+  const auth = { secret: options.secret || "", authMode: options.authMode || "bearer" };
+
+  /**
+   * call(path, method, body, { timeout, idempotencyKey, retries })
+   *
+   * Retries only happen for idempotent methods, or for POSTs that carry an
+   * idempotency key (the backend dedupes on it, so a retry can never
+   * create a second Shopify code).
+   */
+  async function call(path, method = "POST", body = {}, callOptions = {}) {
+    method = method.toUpperCase();
+    const hasBody = !IDEMPOTENT_METHODS.has(method) || method === "PUT";
+    const rawBody = hasBody ? JSON.stringify(body ?? {}) : "";
+
+    const idempotencyKey = callOptions.idempotencyKey || null;
+    const canRetry = IDEMPOTENT_METHODS.has(method) || Boolean(idempotencyKey);
+    const retries = canRetry ? callOptions.retries ?? maxRetries : 0;
+
+    for (let attempt = 0; ; attempt++) {
+      const headers = {
+        "Content-Type": "application/json",
+        ...authHeaders(auth, method, `${basePath}${path}`, rawBody, clock.now()),
+      };
+      if (idempotencyKey) headers["Idempotency-Key"] = idempotencyKey;
+
+      let res;
+      try {
+        res = await http({
+          url: `${baseUrl}${path}`,
+          method,
+          data: hasBody ? rawBody : undefined,
+          headers,
+          timeout: callOptions.timeout ?? timeoutMs,
+          validateStatus: () => true, // do NOT throw on non-2xx
+          // we already serialized (it's what got signed)
+          transformRequest: [(data) => data],
+        });
+      } catch (err) {
+        const timedOut = err?.code === "ECONNABORTED" || err?.code === "ETIMEDOUT";
+        if (attempt < retries) {
+          await clock.sleep(backoffMs(attempt, random));
+          continue;
+        }
+        return {
+          ok: false,
+          reason: timedOut ? "timeout" : "network_error",
+          message: timedOut
+            ? "Dropify API took too long to respond."
+            : "Failed to reach Dropify API.",
+          error: err?.message || String(err),
+        };
+      }
+
+      if (RETRYABLE_STATUS.has(res.status) && attempt < retries) {
+        await clock.sleep(
+          Math.min(BACKOFF_MAX_MS, Math.max(retryAfterMs(res.headers, clock.now()), backoffMs(attempt, random)))
+        );
+        continue;
+      }
+
+      return normalizeResponse(res);
+    }
+  }
+
+  /**
+   * Create a viewer discount.
+   *
+   * streamerLogin: Twitch channel login (e.g. "dropifybot")
+   * viewer: { id, login, displayName }
+   * policy: resolved viewer policy (viewerPolicy.js), omitted when the
+   *         channel has none so the backend's default applies
+   * session: { id, startedAt } of the current stream, so per-stream
+   *          limits (limit_reached) count this stream only
+   */
+  async function requestViewerDiscount(streamerLogin, viewer, policy, session) {
+    const body = {
+      viewerId: viewer?.id,
+      viewerLogin: viewer?.login,
+      viewerDisplayName: viewer?.displayName,
+    };
+    if (policy) body.policy = policy;
+    if (session) body.session = { id: session.id, startedAt: session.startedAt };
+
+    return call(
+      `/api/discounts/${encodeURIComponent((streamerLogin || "").toLowerCase())}`,
+      "POST",
+      body,
+      { idempotencyKey: crypto.randomUUID() }
+    );
+  }
+
+  /**
+   * Create a global (stream-wide) drop. body: { percent, ... }
+   */
+  async function createGlobalDrop(streamerLogin, body) {
+    return call(
+      `/api/discounts/${encodeURIComponent((streamerLogin || "").toLowerCase())}/global`,
+      "POST",
+      body,
+      { idempotencyKey: crypto.randomUUID() }
+    );
+  }
+
+  return {
+    call,
+    requestViewerDiscount,
+    createGlobalDrop,
+  };
+}
+
+/**
+ * Backend config from env.
+ * BACKEND_BASE_URL is the one base url (DROPIFY_API_URL still honored).
+ */
+function backendOptionsFromEnv(env = process.env) {
+  return {
+    baseUrl: env.BACKEND_BASE_URL || env.DROPIFY_API_URL || "http://localhost:4000",
+    secret: env.BACKEND_SHARED_SECRET || "",
+    authMode: (env.BACKEND_AUTH_MODE || "bearer").toLowerCase(),
+    timeoutMs: env.BACKEND_TIMEOUT_MS ? Number(env.BACKEND_TIMEOUT_MS) : undefined,
+    retries: env.BACKEND_RETRIES ? Number(env.BACKEND_RETRIES) : undefined,
+  };
+}
+
+module.exports = {
+  createBackend,
+  backendOptionsFromEnv,
+};
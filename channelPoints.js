@@ -0,0 +1,246 @@
+// channelPoints.js
+const { systemClock, channelLogin, formatDuration } = require("./utils");
+const { resolveViewerPolicy } = require("./viewerPolicy");
+const { describeOffer } = require("./drops");
+const { deliverPersonalCode } = require("./delivery");
+
+const SOURCES = new Set(["backend", "mock"]);
+const REDEMPTION_TTL_MS = 24 * 60 * 60 * 1000;
+
+// backend reasons that get their own chat line; anything else is "refunded"
+const REFUND_MESSAGES = new Set(["limit_reached", "disabled", "not_connected", "cooldown"]);
+
+/**
+ * Channel Points rewards that pay out a personal code, from settings:
+ *
+ *   channelPointRewards: {
+ *     "<custom reward id>": { percent: 15, lifetimeMinutes: 30, tiers: [...] },
+ *     "<other reward id>": {},    // no value: the channel's viewerDiscount policy
+ *     "<eventsub only>": { chat: false },
+ *   }
+ *
+ * Values work like viewerDiscount (viewerPolicy.js). `chat: false` ignores
+ * the reward's chat messages, once its redemptions arrive through EventSub.
+ */
+function getRewardConfig(settings, rewardId) {
+  const rewards = settings?.channelPointRewards;
+  if (!rewards || typeof rewards !== "object" || !rewardId) return null;
+  const reward = rewards[rewardId];
+  return reward && typeof reward === "object" ? reward : null;
+}
+
+/**
+ * The discount policy a redemption pays out (null: backend default)
+ */
+function rewardPolicy(settings, reward, tags) {
+  const hasValue = reward.percent != null || reward.value != null || reward.valueType != null;
+  const policy = hasValue
+    ? resolveViewerPolicy({ viewerDiscount: reward }, tags)
+    : resolveViewerPolicy(settings, tags);
+  return policy && { ...policy, tier: policy.tier || "channel_points" };
+}
+
+/**
+ * Channel Points redemptions -> personal discount codes.
+ *
+ * Redemptions come from chat (the `custom-reward-id` tag, only for rewards
+ * that ask for text) or are pushed by the backend from EventSub
+ * (controlServer `channel_points.redeemed`). Each one is settled once the
+ * code request is done: FULFILLED with a code, CANCELED (points refunded)
+ * otherwise.
+ *
+ * source:
+ *   backend: POST /api/streamers/:login/channel-points/redemptions
+ *            { rewardId, redemptionId, viewerId, status } (the backend holds
+ *            the streamer's token; without a redemptionId it settles the
+ *            viewer's oldest unfulfilled redemption of that reward)
+ *   mock:    settlements are only logged and kept in `settled` (local dev, tests)
+ *
+ * deps: { backend, store, clock, claims, analytics, source,
+ *         contextFor(channel, viewer, commandName) -> ctx }
+ */
+function createChannelPoints(deps) {
+  const { backend, store, claims, analytics } = deps;
+  const clock = deps.clock || systemClock;
+  let source = deps.source || "backend";
+  if (!SOURCES.has(source)) {
+    console.warn(`[CHANNELPOINTS] Unknown channel points source "${source}", using mock`);
+    source = "mock";
+  }
+
+  const settled = [];
+
+  /**
+   * Mark a redemption FULFILLED or CANCELED. -> true if it went through
+   */
+  async function settle(login, redemption, status) {
+    const entry = {
+      rewardId: redemption.rewardId,
+      redemptionId: redemption.id || null,
+      viewerId: redemption.viewer.id,
+      status,
+    };
+
+    if (source === "mock") {
+      settled.push({ channel: login, ...entry });
+      console.log(`[CHANNELPOINTS] (mock) ${login} ${entry.redemptionId || "-"} ${status}`);
+      return true;
+    }
+
+    const data = await backend.call(
+      `/api/streamers/${encodeURIComponent(login)}/channel-points/redemptions`,
+      "POST",
+      entry,
+      entry.redemptionId ? { idempotencyKey: `redemption-${entry.redemptionId}-${status}` } : {}
+    );
+    if (!data?.ok) {
+      console.error(`[CHANNELPOINTS] Could not mark ${login} ${status}:`, data?.message);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Cancel (refund) the redemption. If it couldn't be settled, it's
+   * forgotten, so a redelivery gets another go.
+   */
+  async function refund(ctx, redemption, reason) {
+    const cancelled = await settle(ctx.login, redemption, "CANCELED").catch((err) => {
+      console.error(`[CHANNELPOINTS] Could not cancel in ${ctx.login}:`, err?.message || err);
+      return false;
+    });
+    if (!cancelled && redemption.id) {
+      await store.delete(`channel-points:${ctx.login}`, redemption.id);
+    }
+
+    await ctx.track("discount.failed", { reason, source: "channel_points" });
+    const key = REFUND_MESSAGES.has(reason)
+      ? `channel_points.${reason}`
+      : "channel_points.refunded";
+    ctx.say(ctx.t(key));
+    return { ok: false, reason, status: cancelled ? "CANCELED" : null };
+  }
+
+  /**
+   * redemption: { rewardId, id?, viewer: { id, login, displayName }, tags?, via }
+   * -> { ok, code, status } | { ok: false, reason, status? }
+   *    (unknown_reward / chat_disabled / duplicate leave the redemption
+   *    alone and are flagged `ignored`)
+   */
+  async function handle(channel, redemption) {
+    const login = channelLogin(channel);
+    const ctx = await deps.contextFor(`#${login}`, redemption.viewer, "channel_points");
+    const reward = getRewardConfig(ctx.settings, redemption.rewardId);
+    if (!reward) return { ok: false, reason: "unknown_reward", ignored: true };
+    if (redemption.via === "chat" && reward.chat === false) {
+      return { ok: false, reason: "chat_disabled", ignored: true };
+    }
+
+    // EventSub may deliver the same redemption more than once
+    if (redemption.id) {
+      if (await store.get(`channel-points:${login}`, redemption.id)) {
+        return { ok: false, reason: "duplicate", ignored: true };
+      }
+      await store.set(`channel-points:${login}`, redemption.id, clock.now(), REDEMPTION_TTL_MS);
+    }
+
+    const progress = { fulfilled: false };
+    try {
+      return await payOut(ctx, redemption, reward, progress);
+    } catch (err) {
+      console.error("[CHANNELPOINTS] Redemption failed:", err?.message || err);
+      if (progress.fulfilled) return { ok: false, reason: "error", status: "FULFILLED" };
+      return refund(ctx, redemption, "error");
+    }
+  }
+
+  /**
+   * Request the code, settle and deliver it. `progress.fulfilled` tells
+   * handle() not to refund once the redemption is marked FULFILLED.
+   */
+  async function payOut(ctx, redemption, reward, progress) {
+    const { login } = ctx;
+    const policy = rewardPolicy(ctx.settings, reward, redemption.tags || ctx.tags);
+    const session = analytics ? await analytics.session(login) : null;
+    console.log(
+      `[CHANNELPOINTS] ${redemption.viewer.login} redeemed ${redemption.rewardId} in ${login}`
+    );
+
+    let result;
+    try {
+      result = await backend.requestViewerDiscount(login, redemption.viewer, policy, session);
+    } catch (err) {
+      console.error("[CHANNELPOINTS] Discount request failed:", err?.message || err);
+    }
+    if (!result?.ok || !result.discountCode) {
+      return refund(ctx, redemption, result?.reason || "bad_response");
+    }
+
+    const code = result.discountCode;
+    await settle(login, redemption, "FULFILLED");
+    progress.fulfilled = true;
+    await claims.setUserDiscount(
+      ctx.channel,
+      redemption.viewer.id,
+      code,
+      policy ? policy.lifetimeMinutes * 60 * 1000 : undefined,
+      redemption.viewer.displayName
+    );
+    await ctx.track("discount.issued", {
+      code,
+      tier: policy?.tier || null,
+      valueType: policy?.valueType || null,
+      value: policy?.value ?? null,
+      source: "channel_points",
+    });
+
+    if (!policy) {
+      await deliverPersonalCode(ctx, code, ctx.t("channel_points.code", { code }));
+    } else {
+      const vars = {
+        code,
+        offer: describeOffer(ctx.t, policy, ctx.settings),
+        lifetime: formatDuration(policy.lifetimeMinutes * 60 * 1000),
+      };
+      await deliverPersonalCode(
+        ctx,
+        code,
+        ctx.t("channel_points.code_offer", vars),
+        ctx.t("delivery.whisper_offer", vars)
+      );
+    }
+    return { ok: true, code, status: "FULFILLED" };
+  }
+
+  /**
+   * A chat message that carries `custom-reward-id`
+   */
+  function handleChatMessage(channel, tags) {
+    const displayName = tags["display-name"] || tags.username;
+    return handle(channel, {
+      rewardId: tags["custom-reward-id"],
+      id: null,
+      viewer: {
+        id: tags["user-id"] || displayName.toLowerCase(),
+        login: tags.username,
+        displayName,
+      },
+      tags,
+      via: "chat",
+    });
+  }
+
+  return {
+    source,
+    settled,
+    handle,
+    handleChatMessage,
+    settle,
+  };
+}
+
+module.exports = {
+  getRewardConfig,
+  rewardPolicy,
+  createChannelPoints,
+};
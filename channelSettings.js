@@ -0,0 +1,52 @@
+// channelSettings.js
+
+const CHANNEL_SETTINGS_TTL_MS = 60 * 1000;
+
+/**
+ * Per-channel settings from backend (cached).
+ * On a failed fetch the last known settings (or {}) are used.
+ */
+function createChannelSettings({ backend, clock, ttlMs = CHANNEL_SETTINGS_TTL_MS }) {
+  const cache = new Map();
+
+  async function get(twitchLogin) {
+    const cached = cache.get(twitchLogin);
+    if (cached && clock.now() - cached.fetchedAt < ttlMs) {
+      return cached.settings;
+    }
+
+    let settings = cached?.settings || {};
+    try {
+      const data = await backend.call(
+        `/api/streamers/${encodeURIComponent(twitchLogin)}/settings`,
+        "GET"
+      );
+      if (data?.ok && data.settings && typeof data.settings === "object") {
+        settings = data.settings;
+      }
+    } catch (err) {
+      console.error(
+        `[SETTINGS] Failed to load settings for ${twitchLogin}:`,
+        err?.message || err
+      );
+    }
+
+    cache.set(twitchLogin, { settings, fetchedAt: clock.now() });
+    return settings;
+  }
+
+  function invalidate(twitchLogin) {
+    if (twitchLogin) cache.delete(twitchLogin);
+    else cache.clear();
+  }
+
+  return {
+    get,
+    invalidate,
+  };
+}
+
+module.exports = {
+  CHANNEL_SETTINGS_TTL_MS,
+  createChannelSettings,
+};
@@ -0,0 +1,156 @@
+// channelSync.js
+const { createTokenBucket } = require("./tokenBucket");
+const { systemClock, channelLogin } = require("./utils");
+
+/**
+ * Twitch JOIN limit for regular (non-verified) bots: 20 per 10 seconds
+ */
+const DEFAULT_JOIN_LIMIT = { capacity: 20, windowMs: 10 * 1000 };
+
+/**
+ * Keeps the joined channel list in line with the backend, both ways:
+ * joins newly active streamers and parts deactivated ones.
+ *
+ * Updates come from polling (syncFromBackend) and from pushed
+ * activate/deactivate events; both are serialized so they never race.
+ * Static channels from .env are never parted.
+ */
+function createChannelSync({
+  client,
+  backend,
+  clock = systemClock,
+  staticChannels = [],
+  joinLimit = DEFAULT_JOIN_LIMIT,
+  onJoin,
+  onPart,
+}) {
+  const pinned = new Set(staticChannels.map(channelLogin));
+
+  /**
+   * Track joined channels to prevent duplicate joins
+   * (tmi expects channel names without '#')
+   */
+  const joinedChannels = new Set(pinned);
+  const joinBucket = createTokenBucket({ ...joinLimit, clock });
+
+  // one operation at a time
+  let chain = Promise.resolve();
+  function serialized(fn) {
+    const run = chain.then(fn, fn);
+    chain = run.catch(() => {});
+    return run;
+  }
+
+  async function join(ch) {
+    if (joinedChannels.has(ch)) return false;
+
+    // wait for a free join slot instead of tripping Twitch's limit
+    let waitMs = joinBucket.msUntilAvailable();
+    while (waitMs > 0) {
+      await clock.sleep(waitMs);
+      waitMs = joinBucket.msUntilAvailable();
+    }
+    joinBucket.tryTake();
+
+    console.log(`[AUTOJOIN] Joining channel: ${ch}`);
+    try {
+      await client.join(ch);
+      joinedChannels.add(ch);
+      onJoin?.(ch);
+      return true;
+    } catch (e) {
+      console.error(`[AUTOJOIN] Failed to join ${ch}:`, e?.message || e);
+      return false;
+    }
+  }
+
+  async function part(ch) {
+    if (!joinedChannels.has(ch) || pinned.has(ch)) return false;
+
+    console.log(`[AUTOJOIN] Leaving channel: ${ch}`);
+    try {
+      await client.part(ch);
+    } catch (e) {
+      // tmi rejects when we weren't in the channel anyway
+      console.error(`[AUTOJOIN] Failed to part ${ch}:`, e?.message || e);
+    }
+    joinedChannels.delete(ch);
+    onPart?.(ch);
+    return true;
+  }
+
+  /**
+   * Make the joined set match `active` (+ static channels)
+   */
+  function reconcile(active) {
+    return serialized(async () => {
+      const wanted = new Set(active.map(channelLogin).filter(Boolean));
+      const joined = [];
+      const parted = [];
+
+      for (const ch of [...joinedChannels]) {
+        if (!wanted.has(ch) && (await part(ch))) parted.push(ch);
+      }
+      for (const ch of wanted) {
+        if (await join(ch)) joined.push(ch);
+      }
+
+      return { joined, parted };
+    });
+  }
+
+  /**
+   * Fetch active channels from backend and reconcile.
+   * A failed fetch (or an unconfirmed empty list) never parts anything.
+   */
+  async function syncFromBackend() {
+    try {
+      const data = await backend.call("/api/streamers/active", "GET", undefined, {
+        timeout: 10_000,
+      });
+
+      if (!data || data.ok !== true || !Array.isArray(data.channels)) {
+        console.warn("[AUTOJOIN] Unexpected response from backend:", data);
+        return null;
+      }
+
+      // an empty list is more likely a backend hiccup than every streamer
+      // leaving at once; only `confirmedEmpty: true` parts everything
+      if (!data.channels.length && data.confirmedEmpty !== true) {
+        console.warn("[AUTOJOIN] Backend returned no channels, keeping the current ones.");
+        return { joined: [], parted: [] };
+      }
+
+      return await reconcile(data.channels.map((c) => String(c || "")));
+    } catch (err) {
+      console.error("[AUTOJOIN] Error talking to backend:", err?.message || err);
+      return null;
+    }
+  }
+
+  /**
+   * Pushed events (see controlServer.js)
+   */
+  function activate(channel) {
+    const ch = channelLogin(channel);
+    return serialized(() => (ch ? join(ch) : false));
+  }
+
+  function deactivate(channel) {
+    const ch = channelLogin(channel);
+    return serialized(() => (ch ? part(ch) : false));
+  }
+
+  return {
+    joinedChannels,
+    reconcile,
+    syncFromBackend,
+    activate,
+    deactivate,
+  };
+}
+
+module.exports = {
+  DEFAULT_JOIN_LIMIT,
+  createChannelSync,
+};
@@ -0,0 +1,236 @@
+// chatQueue.js
+const { createTokenBucket } = require("./tokenBucket");
+const { systemClock } = require("./utils");
+
+/**
+ * Twitch chat limits (per bot account).
+ * https://dev.twitch.tv/docs/chat/#rate-limits
+ */
+const DEFAULT_LIMITS = {
+  // every message, in any channel
+  global: { capacity: 100, windowMs: 30 * 1000 },
+  // messages to channels where the bot is NOT a moderator
+  globalNonMod: { capacity: 20, windowMs: 30 * 1000 },
+  // per channel, only when NOT a moderator there
+  channelNonMod: { capacity: 1, windowMs: 1000 },
+};
+
+const PRIORITY = { high: 0, normal: 1, low: 2 };
+
+// low priority messages are dropped once a channel / the queue is this deep
+const LOW_PRIORITY_MAX_CHANNEL_DEPTH = 2;
+const LOW_PRIORITY_MAX_TOTAL_DEPTH = 20;
+const DEPTH_WARN_THRESHOLD = 50;
+
+/**
+ * Outbound chat queue. Everything the bot says goes through here instead
+ * of client.say, so we stay under Twitch's limits across all joined channels.
+ *
+ * say(channel, message, { priority, coalesceKey })
+ *   priority: "high" | "normal" (default) | "low"
+ *   coalesceKey: a newer message with the same key replaces a queued
+ *                low-priority one (e.g. a "⏳ generating…" ack is pointless
+ *                once the actual code is ready)
+ *
+ * Low-priority messages are dropped under pressure.
+ */
+function createChatQueue({ client, clock = systemClock, limits = {}, isModerator }) {
+  const cfg = { ...DEFAULT_LIMITS, ...limits };
+
+  const globalBucket = createTokenBucket({ ...cfg.global, clock });
+  const globalNonModBucket = createTokenBucket({ ...cfg.globalNonMod, clock });
+  const channelBuckets = new Map();
+
+  const queues = new Map(); // channel -> [message], priority ordered
+  const counters = { sent: 0, dropped: 0, coalesced: 0, failed: 0 };
+
+  let seq = 0;
+  let timer = null;
+  let warned = false;
+
+  const botIsMod =
+    isModerator ||
+    ((channel) => {
+      if (typeof client.isMod !== "function") return false;
+      const self = client.getUsername?.() || "";
+      // tmi only tracks mods; the bot's own channel counts too
+      const badges = client.userstate?.[channel]?.badges;
+      return client.isMod(channel, self) || badges?.broadcaster === "1";
+    });
+
+  function channelBucket(channel) {
+    let bucket = channelBuckets.get(channel);
+    if (!bucket) {
+      bucket = createTokenBucket({ ...cfg.channelNonMod, clock });
+      channelBuckets.set(channel, bucket);
+    }
+    return bucket;
+  }
+
+  function depth() {
+    let total = 0;
+    for (const q of queues.values()) total += q.length;
+    return total;
+  }
+
+  function settle(msg, result) {
+    msg.resolve(result);
+  }
+
+  function say(channel, message, options = {}) {
+    const priority = PRIORITY[options.priority] ?? PRIORITY.normal;
+    const coalesceKey = options.coalesceKey || null;
+
+    let q = queues.get(channel);
+    if (!q) {
+      q = [];
+      queues.set(channel, q);
+    }
+
+    // a newer message supersedes queued low-priority ones with the same key
+    if (coalesceKey) {
+      for (let i = q.length - 1; i >= 0; i--) {
+        const queued = q[i];
+        if (queued.coalesceKey === coalesceKey && queued.priority === PRIORITY.low) {
+          q.splice(i, 1);
+          counters.coalesced++;
+          settle(queued, { sent: false, reason: "coalesced" });
+        }
+      }
+    }
+
+    if (
+      priority === PRIORITY.low &&
+      (q.length >= LOW_PRIORITY_MAX_CHANNEL_DEPTH ||
+        depth() >= LOW_PRIORITY_MAX_TOTAL_DEPTH)
+    ) {
+      counters.dropped++;
+      return Promise.resolve({ sent: false, reason: "dropped" });
+    }
+
+    return new Promise((resolve) => {
+      const msg = { channel, message, priority, coalesceKey, seq: seq++, resolve };
+
+      // keep priority order, FIFO within the same priority
+      let at = q.length;
+      while (at > 0 && q[at - 1].priority > priority) at--;
+      q.splice(at, 0, msg);
+
+      const total = depth();
+      if (total >= DEPTH_WARN_THRESHOLD && !warned) {
+        warned = true;
+        console.warn(`[CHAT] Outbound queue is backing up (${total} pending).`);
+      }
+
+      pump();
+    });
+  }
+
+  function trySend(channel, msg) {
+    const isMod = botIsMod(channel);
+    const buckets = isMod
+      ? [globalBucket]
+      : [globalBucket, globalNonModBucket, channelBucket(channel)];
+
+    if (buckets.some((b) => b.available() <= 0)) {
+      return Math.max(...buckets.map((b) => b.msUntilAvailable()));
+    }
+    buckets.forEach((b) => b.tryTake());
+
+    let sending;
+    try {
+      sending = Promise.resolve(client.say(channel, msg.message));
+    } catch (err) {
+      sending = Promise.reject(err);
+    }
+
+    sending.then(
+      () => {
+        counters.sent++;
+        settle(msg, { sent: true });
+      },
+      (err) => {
+        counters.failed++;
+        console.error(`[CHAT] Failed to send to ${channel}:`, err?.message || err);
+        settle(msg, { sent: false, reason: "failed", error: err });
+      }
+    );
+    return 0;
+  }
+
+  /**
+   * Send whatever the buckets allow right now; re-arm a timer for the rest.
+   */
+  function pump() {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+
+    let waitMs = Infinity;
+    let progressed = true;
+
+    while (progressed) {
+      progressed = false;
+      waitMs = Infinity;
+
+      // oldest head first, so one busy channel can't starve the rest
+      const heads = [...queues.entries()]
+        .filter(([, q]) => q.length)
+        .sort(([, a], [, b]) => a[0].priority - b[0].priority || a[0].seq - b[0].seq);
+
+      for (const [channel, q] of heads) {
+        const wait = trySend(channel, q[0]);
+        if (wait === 0) {
+          q.shift();
+          progressed = true;
+        } else {
+          waitMs = Math.min(waitMs, wait);
+        }
+      }
+    }
+
+    for (const [channel, q] of queues) {
+      if (!q.length) queues.delete(channel);
+    }
+    if (!depth()) warned = false;
+
+    if (Number.isFinite(waitMs)) {
+      timer = setTimeout(pump, waitMs);
+      timer.unref?.();
+    }
+  }
+
+  /**
+   * Queue depth metrics
+   */
+  function stats() {
+    const channels = {};
+    for (const [channel, q] of queues) channels[channel] = q.length;
+    return { depth: depth(), channels, ...counters };
+  }
+
+  /**
+   * Stop the retry timer and drop anything still queued
+   */
+  function stop() {
+    if (timer) clearTimeout(timer);
+    timer = null;
+    for (const q of queues.values()) {
+      for (const msg of q) settle(msg, { sent: false, reason: "stopped" });
+    }
+    queues.clear();
+  }
+
+  return {
+    say,
+    pump,
+    stats,
+    stop,
+  };
+}
+
+module.exports = {
+  DEFAULT_LIMITS,
+  createChatQueue,
+};
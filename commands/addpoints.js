@@ -0,0 +1,38 @@
+// commands/addpoints.js
+
+/**
+ * !addpoints / !removepoints <user> <amount> (sign: 1 or -1)
+ */
+async function adjustPoints(ctx, sign) {
+  const command = `${ctx.config.commandPrefix}${ctx.commandName}`;
+  const amount = Number(ctx.args[1]);
+  if (!ctx.args[0] || !Number.isInteger(amount) || amount < 1) {
+    return ctx.say(ctx.t("points.usage", { command }));
+  }
+
+  const target = await ctx.loyalty.findByLogin(ctx.channel, ctx.args[0]);
+  if (!target) {
+    return ctx.say(ctx.t("points.unknown_target", { viewer: ctx.args[0].replace(/^@/, "") }));
+  }
+
+  const entry = await ctx.loyalty.add(ctx.channel, target, sign * amount);
+  console.log(`[POINTS] ${ctx.username} ${sign > 0 ? "gave" : "took"} ${amount} (${target.login})`);
+  return ctx.say(
+    ctx.t(sign > 0 ? "points.added" : "points.removed", {
+      viewer: entry.displayName,
+      amount,
+      points: entry.balance,
+    })
+  );
+}
+
+// !addpoints <user> <amount>
+module.exports = {
+  name: "addpoints",
+  description: "Give a viewer loyalty points (mods).",
+  permission: "moderator",
+  cooldownMs: 1000,
+  execute: (ctx) => adjustPoints(ctx, 1),
+  // shared with !removepoints
+  adjustPoints,
+};
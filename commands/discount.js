@@ -0,0 +1,138 @@
+// commands/discount.js
+const { deliverPersonalCode } = require("../delivery");
+const { describeOffer } = require("../drops");
+const { resolveViewerPolicy } = require("../viewerPolicy");
+const { formatDuration } = require("../utils");
+const { shopifyFailureMessage } = require("../failures");
+
+const DISCOUNT_COOLDOWN_MS = 30 * 1000; // extra safety; per-viewer
+
+// PERSONAL VIEWER DISCOUNT
+module.exports = {
+  name: "discount",
+  description: "Get a personal discount code.",
+  permission: "viewer",
+  cooldownMs: DISCOUNT_COOLDOWN_MS,
+  // cooldown is only applied once a code was actually handed out
+  managesOwnCooldown: true,
+  execute: async (ctx) => {
+    const { channel, username, userId, tags } = ctx;
+
+    const cd = await ctx.cooldowns.isOnCooldown("discount", userId);
+    if (cd > 0) {
+      await ctx.track("discount.failed", { reason: "command_cooldown" });
+      return ctx.say(ctx.t("discount.cooldown", { remaining: cd }));
+    }
+
+    // account age / chat activity / follower checks and cross-channel bursts
+    const denial = await ctx.eligibility.check(channel, tags, ctx.settings);
+    if (denial) {
+      await ctx.track("discount.failed", { reason: denial.reason });
+      return ctx.say(ctx.t(`eligibility.${denial.reason}`, denial));
+    }
+
+    // just an ack: fine to drop under load
+    ctx.say(ctx.t("discount.generating"), { priority: "low" });
+
+    // channel's discount policy, tiered by sub badge / sub months / VIP
+    const policy = resolveViewerPolicy(ctx.settings, tags);
+    // per-stream limits are counted against this stream session
+    const session = await ctx.analytics.session(ctx.login);
+
+    try {
+      const result = await ctx.backend.requestViewerDiscount(
+        ctx.login,
+        {
+          id: userId,
+          login: tags.username,
+          displayName: username,
+        },
+        policy,
+        session
+      );
+
+      if (!result || typeof result.ok === "undefined") {
+        console.error("Viewer discount API bad response:", result);
+        await ctx.track("discount.failed", { reason: "bad_response" });
+        return ctx.say(ctx.t("discount.bad_response"));
+      }
+
+      if (!result.ok) {
+        await ctx.track("discount.failed", { reason: result.reason || "error" });
+
+        if (result.reason === "plan_limit" && result.message) {
+          return ctx.say(ctx.t("backend.message", { message: result.message }));
+        }
+
+        const shopifyMessage = shopifyFailureMessage(ctx.t, result);
+        if (shopifyMessage) return ctx.say(shopifyMessage);
+
+        switch (result.reason) {
+          case "disabled":
+            return ctx.say(ctx.t("discount.disabled"));
+          case "not_connected":
+            return ctx.say(ctx.t("discount.not_connected"));
+          case "cooldown":
+            return ctx.say(
+              ctx.t("discount.backend_cooldown", {
+                remaining: result.retryAfterSeconds || 10,
+              })
+            );
+          case "limit_reached": {
+            const existing = await ctx.claims.getUserDiscount(channel, userId);
+            if (existing?.code) {
+              return deliverPersonalCode(
+                ctx,
+                existing.code,
+                ctx.t("discount.already_claimed", { code: existing.code })
+              );
+            }
+            return ctx.say(ctx.t("discount.limit_reached"));
+          }
+          case "not_found":
+            return ctx.say(ctx.t("discount.not_found"));
+          default:
+            console.error("Viewer discount error reason:", result);
+            return ctx.say(ctx.t("discount.error"));
+        }
+      }
+
+      const code = result.discountCode;
+
+      await ctx.claims.setUserDiscount(
+        channel,
+        userId,
+        code,
+        policy ? policy.lifetimeMinutes * 60 * 1000 : undefined,
+        username
+      );
+      await ctx.cooldowns.setCooldown("discount", userId, DISCOUNT_COOLDOWN_MS);
+      await ctx.track("discount.issued", {
+        code,
+        tier: policy?.tier || null,
+        valueType: policy?.valueType || null,
+        value: policy?.value ?? null,
+      });
+
+      if (!policy) {
+        return deliverPersonalCode(ctx, code, ctx.t("discount.code", { code }));
+      }
+
+      const vars = {
+        code,
+        offer: describeOffer(ctx.t, policy, ctx.settings),
+        lifetime: formatDuration(policy.lifetimeMinutes * 60 * 1000),
+      };
+      return deliverPersonalCode(
+        ctx,
+        code,
+        ctx.t("discount.code_offer", vars),
+        ctx.t("delivery.whisper_offer", vars)
+      );
+    } catch (err) {
+      console.error("Viewer discount error:", err?.response?.data || err);
+      await ctx.track("discount.failed", { reason: "error" });
+      return ctx.say(ctx.t("discount.error"));
+    }
+  },
+};
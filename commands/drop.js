@@ -0,0 +1,150 @@
+// commands/drop.js
+const { formatDuration, parseDuration } = require("../utils");
+const {
+  GLOBAL_DROP_DURATION_MS,
+  MIN_DROP_DURATION_MS,
+  MAX_DROP_DURATION_MS,
+  MAX_DROP_PERCENT,
+  getDropCooldownMs,
+  getDropPreset,
+  listDropPresets,
+  activateGlobalDrop,
+  dropActivatedMessage,
+} = require("../drops");
+const { shopifyFailureMessage } = require("../failures");
+
+// GLOBAL DROP
+//   !drop <percent> [duration]   e.g. !drop 20 5m
+//   !drop <preset> [duration]    e.g. !drop hoodies (settings.dropPresets)
+module.exports = {
+  name: "drop",
+  description: "Create a global stream-wide discount (streamer only).",
+  permission: "broadcaster",
+  cooldownMs: 5 * 1000, // real gating is the per-channel drop cooldown
+  execute: async (ctx) => {
+    const { args, login } = ctx;
+
+    const cooldownMs = getDropCooldownMs(ctx.settings);
+    const state = await ctx.drops.load(login);
+
+    const now = ctx.clock.now();
+    const sinceLast = now - state.lastDropAt;
+    if (sinceLast < cooldownMs) {
+      const remaining = Math.ceil((cooldownMs - sinceLast) / 1000);
+      await ctx.track("drop.failed", { reason: "cooldown" });
+      return ctx.say(ctx.t("drop.cooldown", { remaining }));
+    }
+
+    // channels can cap the percent per role (e.g. mods up to 20%)
+    const limit = Number(ctx.permission?.limits?.maxPercent);
+    const maxPercent =
+      Number.isFinite(limit) && limit >= 1
+        ? Math.min(MAX_DROP_PERCENT, Math.floor(limit))
+        : MAX_DROP_PERCENT;
+
+    const command = `${ctx.config.commandPrefix}${ctx.commandName}`;
+
+    let percent = parseInt(args[0], 10);
+    let preset = null;
+    let durationMs = GLOBAL_DROP_DURATION_MS;
+
+    if (args[0] && isNaN(percent) && listDropPresets(ctx.settings).length) {
+      preset = getDropPreset(ctx.settings, args[0]);
+      if (!preset) {
+        return ctx.say(
+          ctx.t("drop.unknown_preset", {
+            preset: args[0],
+            presets: listDropPresets(ctx.settings).join(", "),
+          })
+        );
+      }
+      if (preset.drop.valueType === "percentage" && preset.drop.value > maxPercent) {
+        return ctx.say(ctx.t("drop.preset_limit", { preset: preset.name, max: maxPercent }));
+      }
+      percent = null;
+      durationMs = preset.drop.durationMinutes * 60 * 1000;
+    } else if (isNaN(percent) || percent < 1 || percent > maxPercent) {
+      return ctx.say(ctx.t("drop.usage", { command, max: maxPercent }));
+    }
+
+    if (args[1]) {
+      durationMs = parseDuration(args[1]);
+    }
+    if (
+      !durationMs ||
+      durationMs < MIN_DROP_DURATION_MS ||
+      durationMs > MAX_DROP_DURATION_MS
+    ) {
+      return ctx.say(
+        ctx.t("drop.bad_duration", {
+          command,
+          min: formatDuration(MIN_DROP_DURATION_MS),
+          max: formatDuration(MAX_DROP_DURATION_MS),
+        })
+      );
+    }
+
+    // take the cooldown slot before waiting on the backend, so a second
+    // !drop (e.g. from a mod) can't slip in; a failed drop gives it back
+    const previousDropAt = state.lastDropAt;
+    state.lastDropAt = now;
+
+    ctx.say(
+      preset
+        ? ctx.t("drop.creating_preset", { preset: preset.name })
+        : ctx.t("drop.creating", { percent }),
+      { priority: "low" }
+    );
+
+    try {
+      const data = await activateGlobalDrop({
+        backend: ctx.backend,
+        drops: ctx.drops,
+        clock: ctx.clock,
+        login,
+        percent,
+        durationMs,
+        drop: preset?.drop,
+        preset: preset?.name,
+      });
+
+      if (!data?.ok) {
+        state.lastDropAt = previousDropAt;
+        await ctx.track("drop.failed", { reason: data?.reason || "bad_response" });
+
+        if (data?.reason === "plan_limit" && data?.message) {
+          return ctx.say(ctx.t("backend.message", { message: data.message }));
+        }
+
+        const shopifyMessage = shopifyFailureMessage(ctx.t, data);
+        if (shopifyMessage) return ctx.say(shopifyMessage);
+
+        // the backend's own error text; transport failures get the generic line
+        if (data?.message && data.reason !== "network_error" && data.reason !== "timeout") {
+          return ctx.say(ctx.t("backend.message", { message: data.message }));
+        }
+
+        return ctx.say(ctx.t("drop.not_configured"));
+      }
+
+      await ctx.track("drop.created", {
+        code: data.code,
+        source: "command",
+        preset: data.preset,
+        valueType: data.offer?.valueType || null,
+        value: data.offer?.value ?? null,
+      });
+      return ctx.say(dropActivatedMessage(ctx.t, data, ctx.settings));
+    } catch (err) {
+      state.lastDropAt = previousDropAt;
+      const payload = err?.response?.data;
+      await ctx.track("drop.failed", { reason: payload?.reason || "error" });
+      if (payload?.reason === "plan_limit" && payload?.message) {
+        return ctx.say(ctx.t("backend.message", { message: payload.message }));
+      }
+
+      console.error("Global drop error:", payload || err);
+      return ctx.say(ctx.t("drop.error"));
+    }
+  },
+};
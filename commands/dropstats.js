@@ -0,0 +1,20 @@
+// commands/dropstats.js
+
+// REDEMPTIONS OF THE CURRENT DROP
+module.exports = {
+  name: "dropstats",
+  description: "Show how often the current drop code was used.",
+  permission: "viewer",
+  cooldownMs: 5 * 1000,
+  execute: async (ctx) => {
+    const stats = await ctx.bot.redemptions.dropStats(ctx.login);
+    if (!stats) return ctx.say(ctx.t("dropstats.none"));
+
+    return ctx.say(
+      ctx.t(stats.active ? "dropstats.active" : "dropstats.ended", {
+        code: stats.code,
+        count: stats.count,
+      })
+    );
+  },
+};
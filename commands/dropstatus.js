@@ -0,0 +1,36 @@
+// commands/dropstatus.js
+const { formatDuration } = require("../utils");
+const { describeOffer } = require("../drops");
+
+// ACTIVE DROP STATUS
+module.exports = {
+  name: "dropstatus",
+  description: "Show the active global drop for this channel.",
+  permission: "viewer",
+  cooldownMs: 5 * 1000,
+  execute: async (ctx) => {
+    await ctx.drops.load(ctx.login);
+    const active = ctx.drops.getActiveDrop(ctx.login);
+    if (!active) {
+      const next = ctx.bot.scheduler.nextDrop(ctx.login);
+      if (next) {
+        return ctx.say(
+          ctx.t("dropstatus.next", {
+            percent: next.percent,
+            remaining: formatDuration(next.nextRunAt - ctx.clock.now()),
+          })
+        );
+      }
+      return ctx.say(ctx.t("dropstatus.none"));
+    }
+
+    return ctx.say(
+      ctx.t("dropstatus.active", {
+        code: active.code,
+        percent: active.percent,
+        offer: describeOffer(ctx.t, active.offer, ctx.settings),
+        remaining: formatDuration(active.expiresAt - ctx.clock.now()),
+      })
+    );
+  },
+};
@@ -0,0 +1,23 @@
+// commands/enter.js
+
+// GIVEAWAY ENTRY (see commands/giveaway.js)
+module.exports = {
+  name: "enter",
+  description: "Enter the running giveaway.",
+  permission: "viewer",
+  cooldownMs: 5 * 1000,
+  execute: async (ctx) => {
+    const result = await ctx.bot.giveaways.enter(ctx.channel, ctx.tags);
+
+    if (result.ok) {
+      // one line per entrant adds up during a hype moment: fine to drop
+      return ctx.say(ctx.t("enter.ok", { entries: result.entries }), { priority: "low" });
+    }
+
+    return ctx.say(
+      ctx.t(`enter.${result.reason}`, {
+        days: result.giveaway?.filters.minAccountAgeDays,
+      })
+    );
+  },
+};
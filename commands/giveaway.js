@@ -0,0 +1,133 @@
+// commands/giveaway.js
+const { formatDuration, parseDuration } = require("../utils");
+const { describeOffer } = require("../drops");
+const {
+  MIN_GIVEAWAY_DURATION_MS,
+  MAX_GIVEAWAY_DURATION_MS,
+  MAX_WINNERS,
+  MAX_GIVEAWAY_PERCENT,
+  parseFilters,
+  describeFilters,
+} = require("../giveaways");
+
+/**
+ * "3 25% 2m subs age:7d" -> giveaway options, or null if anything is off
+ */
+function parseStart(args, maxPercent) {
+  const winners = Number(args[0]);
+  const percent = Number(String(args[1] || "").replace(/%$/, ""));
+  const durationMs = parseDuration(args[2]);
+  const filters = parseFilters(args.slice(3));
+
+  if (!Number.isInteger(winners) || winners < 1 || winners > MAX_WINNERS) return null;
+  if (!Number.isInteger(percent) || percent < 1 || percent > maxPercent) return null;
+  if (
+    !durationMs ||
+    durationMs < MIN_GIVEAWAY_DURATION_MS ||
+    durationMs > MAX_GIVEAWAY_DURATION_MS
+  ) {
+    return null;
+  }
+  if (!filters) return null;
+
+  return { winners, offer: { valueType: "percentage", value: percent }, durationMs, filters };
+}
+
+// CHAT GIVEAWAY
+//   !giveaway start <winners> <percent>% <duration> [subs] [followers] [age:<days>d]
+//   !giveaway end      draw the winners now
+//   !giveaway cancel   close without winners
+//   !giveaway          status
+module.exports = {
+  name: "giveaway",
+  description: "Run a giveaway for discount codes (streamer only).",
+  permission: "broadcaster",
+  cooldownMs: 2 * 1000,
+  execute: async (ctx) => {
+    const { giveaways } = ctx.bot;
+    const command = `${ctx.config.commandPrefix}${ctx.commandName}`;
+    const enter = `${ctx.config.commandPrefix}enter`;
+    const action = String(ctx.args[0] || "status").toLowerCase();
+
+    switch (action) {
+      case "start": {
+        // channels can cap the percent per role, like !drop
+        const limit = Number(ctx.permission?.limits?.maxPercent);
+        const maxPercent =
+          Number.isFinite(limit) && limit >= 1
+            ? Math.min(MAX_GIVEAWAY_PERCENT, Math.floor(limit))
+            : MAX_GIVEAWAY_PERCENT;
+
+        const options = parseStart(ctx.args.slice(1), maxPercent);
+        if (!options) {
+          return ctx.say(
+            ctx.t("giveaway.usage", {
+              command,
+              max: maxPercent,
+              min: formatDuration(MIN_GIVEAWAY_DURATION_MS),
+              maxDuration: formatDuration(MAX_GIVEAWAY_DURATION_MS),
+            })
+          );
+        }
+
+        const result = await giveaways.open(ctx.channel, { ...options, startedBy: ctx.username });
+        if (!result.ok) {
+          return ctx.say(
+            ctx.t("giveaway.running", {
+              command,
+              entries: result.giveaway.entrants.length,
+              remaining: formatDuration(result.giveaway.endsAt - ctx.clock.now()),
+            })
+          );
+        }
+
+        return ctx.say(
+          ctx.t("giveaway.started", {
+            winners: options.winners,
+            offer: describeOffer(ctx.t, options.offer, ctx.settings),
+            remaining: formatDuration(options.durationMs),
+            rules: describeFilters(ctx.t, options.filters),
+            enter,
+          })
+        );
+      }
+
+      case "end":
+      case "draw": {
+        // draw() announces the winners itself
+        const drawn = await giveaways.draw(ctx.channel);
+        if (!drawn) return ctx.say(ctx.t("giveaway.none"));
+        return;
+      }
+
+      case "cancel": {
+        const cancelled = await giveaways.cancel(ctx.channel);
+        return ctx.say(ctx.t(cancelled ? "giveaway.cancelled" : "giveaway.none"));
+      }
+
+      case "status": {
+        const status = await giveaways.status(ctx.channel);
+        if (!status) return ctx.say(ctx.t("giveaway.none"));
+        return ctx.say(
+          ctx.t("giveaway.status", {
+            entries: status.entries,
+            winners: status.giveaway.winners,
+            offer: describeOffer(ctx.t, status.giveaway.offer, ctx.settings),
+            remaining: formatDuration(status.remainingMs),
+            enter,
+          })
+        );
+      }
+
+      default:
+        return ctx.say(
+          ctx.t("giveaway.usage", {
+            command,
+            max: MAX_GIVEAWAY_PERCENT,
+            min: formatDuration(MIN_GIVEAWAY_DURATION_MS),
+            maxDuration: formatDuration(MAX_GIVEAWAY_DURATION_MS),
+          })
+        );
+    }
+  },
+};
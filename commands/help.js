@@ -0,0 +1,25 @@
+// commands/help.js
+const { resolvePermission } = require("../permissions");
+
+module.exports = {
+  name: "help",
+  description: "Show available commands.",
+  permission: "viewer",
+  cooldownMs: 2000,
+  execute: async (ctx) => {
+    // only list what this user is allowed to run here
+    const commandList = Object.values(ctx.commands)
+      .filter(
+        (command) =>
+          resolvePermission(
+            command,
+            ctx.tags,
+            ctx.settings,
+            ctx.config.ownerUsername
+          ).allowed
+      )
+      .map((command) => `${ctx.config.commandPrefix}${command.name}`)
+      .join(", ");
+    await ctx.say(ctx.t("help.list", { commands: commandList }));
+  },
+};
@@ -0,0 +1,40 @@
+// commands/index.js
+
+/**
+ * Command registry. Each module exports:
+ *   { name, description, permission, cooldownMs?, managesOwnCooldown?, execute(ctx) }
+ *
+ * `permission` is the default required role (see permissions.js);
+ * channels can override it through backend settings.
+ *
+ * Order here is the order !help lists them in.
+ */
+const COMMAND_MODULES = [
+  require("./ping"),
+  require("./help"),
+  require("./discount"),
+  require("./drop"),
+  require("./dropstatus"),
+  require("./dropstats"),
+  require("./giveaway"),
+  require("./enter"),
+  require("./points"),
+  require("./leaderboard"),
+  require("./redeem"),
+  require("./addpoints"),
+  require("./removepoints"),
+  require("./reload"),
+];
+
+function createCommandRegistry(modules = COMMAND_MODULES) {
+  const commands = {};
+  for (const command of modules) {
+    commands[command.name] = command;
+  }
+  return commands;
+}
+
+module.exports = {
+  COMMAND_MODULES,
+  createCommandRegistry,
+};
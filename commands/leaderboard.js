@@ -0,0 +1,21 @@
+// commands/leaderboard.js
+const { loyaltySettings } = require("../loyalty");
+
+// TOP POINTS
+module.exports = {
+  name: "leaderboard",
+  description: "Show who has the most loyalty points.",
+  permission: "viewer",
+  cooldownMs: 10 * 1000,
+  execute: async (ctx) => {
+    if (!loyaltySettings(ctx.settings).enabled) return ctx.say(ctx.t("points.disabled"));
+
+    const top = await ctx.loyalty.leaderboard(ctx.channel);
+    if (!top.length) return ctx.say(ctx.t("leaderboard.empty"));
+
+    const entries = top
+      .map((entry, i) => `${i + 1}. ${entry.displayName} (${entry.balance})`)
+      .join(" | ");
+    return ctx.say(ctx.t("leaderboard.list", { entries }));
+  },
+};
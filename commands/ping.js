@@ -0,0 +1,11 @@
+// commands/ping.js
+
+module.exports = {
+  name: "ping",
+  description: "Check if the bot is alive.",
+  permission: "viewer",
+  cooldownMs: 1000,
+  execute: async (ctx) => {
+    await ctx.say(ctx.t("ping.pong"));
+  },
+};
@@ -0,0 +1,28 @@
+// commands/points.js
+const { loyaltySettings } = require("../loyalty");
+
+// POINTS BALANCE
+//   !points          your own balance and rank
+//   !points <user>   someone else's
+module.exports = {
+  name: "points",
+  description: "Show your loyalty points.",
+  permission: "viewer",
+  cooldownMs: 5 * 1000,
+  execute: async (ctx) => {
+    if (!loyaltySettings(ctx.settings).enabled) return ctx.say(ctx.t("points.disabled"));
+
+    if (ctx.args[0]) {
+      const viewer = ctx.args[0].replace(/^@/, "");
+      const entry = await ctx.loyalty.findByLogin(ctx.channel, viewer);
+      if (!entry) return ctx.say(ctx.t("points.unknown_viewer", { viewer }));
+      return ctx.say(ctx.t("points.other", { viewer: entry.displayName, points: entry.balance }));
+    }
+
+    const entry = await ctx.loyalty.balance(ctx.channel, ctx.userId);
+    if (!entry?.balance) return ctx.say(ctx.t("points.none"));
+
+    const rank = await ctx.loyalty.rank(ctx.channel, ctx.userId);
+    return ctx.say(ctx.t("points.balance", { points: entry.balance, rank }));
+  },
+};
@@ -0,0 +1,118 @@
+// commands/redeem.js
+const { deliverPersonalCode } = require("../delivery");
+const { describeOffer } = require("../drops");
+const { formatDuration } = require("../utils");
+const { loyaltySettings, listRewards, getReward } = require("../loyalty");
+
+// SPEND POINTS
+//   !redeem            list the channel's rewards
+//   !redeem <reward>   trade points for a personal discount code
+module.exports = {
+  name: "redeem",
+  description: "Trade loyalty points for a discount code.",
+  permission: "viewer",
+  cooldownMs: 10 * 1000,
+  execute: async (ctx) => {
+    if (!loyaltySettings(ctx.settings).enabled) return ctx.say(ctx.t("points.disabled"));
+
+    const rewards = listRewards(ctx.settings);
+    if (!rewards.length) return ctx.say(ctx.t("redeem.none"));
+
+    const command = `${ctx.config.commandPrefix}${ctx.commandName}`;
+    if (!ctx.args[0]) {
+      const list = rewards
+        .map((r) =>
+          ctx.t("redeem.reward", {
+            reward: r.id,
+            cost: r.cost,
+            offer: describeOffer(ctx.t, r, ctx.settings),
+          })
+        )
+        .join(", ");
+      return ctx.say(ctx.t("redeem.list", { rewards: list, command }));
+    }
+
+    const reward = getReward(ctx.settings, ctx.args[0]);
+    if (!reward) {
+      return ctx.say(
+        ctx.t("redeem.unknown", {
+          reward: ctx.args[0],
+          rewards: rewards.map((r) => r.id).join(", "),
+        })
+      );
+    }
+
+    // before spending, so a failed lookup can't cost the viewer their points
+    const session = await ctx.analytics.session(ctx.login);
+    const spent = await ctx.loyalty.spend(ctx.channel, ctx.userId, reward.cost);
+    if (!spent.ok) {
+      return ctx.say(
+        ctx.t("redeem.insufficient", {
+          reward: reward.id,
+          cost: reward.cost,
+          points: spent.balance,
+        })
+      );
+    }
+
+    const viewer = { id: ctx.userId, login: ctx.tags.username, displayName: ctx.username };
+    const policy = {
+      tier: `reward:${reward.id}`,
+      valueType: reward.valueType,
+      value: reward.value,
+      lifetimeMinutes: reward.lifetimeMinutes,
+      oncePerCustomer: true,
+    };
+
+    let result;
+    try {
+      result = await ctx.backend.requestViewerDiscount(ctx.login, viewer, policy, session);
+    } catch (err) {
+      console.error("Reward discount error:", err?.response?.data || err);
+    }
+
+    if (!result?.ok || !result.discountCode) {
+      // nothing was handed out, so the points go back
+      await ctx.loyalty.add(ctx.channel, viewer, reward.cost, { refund: true });
+      await ctx.track("discount.failed", {
+        reason: result?.reason || "bad_response",
+        source: "points",
+        tier: policy.tier,
+      });
+      if (result?.reason === "plan_limit" && result.message) {
+        return ctx.say(ctx.t("backend.message", { message: result.message }));
+      }
+      return ctx.say(ctx.t("redeem.failed", { cost: reward.cost }));
+    }
+
+    const code = result.discountCode;
+    await ctx.claims.setUserDiscount(
+      ctx.channel,
+      ctx.userId,
+      code,
+      reward.lifetimeMinutes * 60 * 1000,
+      ctx.username
+    );
+    await ctx.track("discount.issued", {
+      code,
+      tier: policy.tier,
+      valueType: policy.valueType,
+      value: policy.value,
+      source: "points",
+    });
+
+    const vars = {
+      code,
+      reward: reward.id,
+      offer: describeOffer(ctx.t, reward, ctx.settings),
+      lifetime: formatDuration(reward.lifetimeMinutes * 60 * 1000),
+      points: spent.balance,
+    };
+    return deliverPersonalCode(
+      ctx,
+      code,
+      ctx.t("redeem.code", vars),
+      ctx.t("delivery.whisper_offer", vars)
+    );
+  },
+};
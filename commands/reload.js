@@ -0,0 +1,15 @@
+// commands/reload.js
+
+// (Optional) owner-only demo command
+module.exports = {
+  name: "reload",
+  description: "Reload config (owner only).",
+  permission: "owner",
+  execute: async (ctx) => {
+    // immediate sync + keep running interval
+    await ctx.say(ctx.t("reload.started"));
+    ctx.channelSettings.invalidate();
+    await ctx.bot.syncJoinsFromBackend();
+    return ctx.say(ctx.t("reload.done"));
+  },
+};
@@ -0,0 +1,11 @@
+// commands/removepoints.js
+const { adjustPoints } = require("./addpoints");
+
+// !removepoints <user> <amount>
+module.exports = {
+  name: "removepoints",
+  description: "Take loyalty points from a viewer (mods).",
+  permission: "moderator",
+  cooldownMs: 1000,
+  execute: (ctx) => adjustPoints(ctx, -1),
+};
@@ -0,0 +1,207 @@
+// controlServer.js
+const http = require("http");
+const { verifyRequest } = require("./signing");
+
+const MAX_BODY_BYTES = 64 * 1024;
+
+/**
+ * Small local HTTP endpoint the backend pushes events to, so a streamer
+ * is joined / parted right away instead of on the next poll, and code
+ * usage (Shopify polling / orders/create webhooks) reaches chat.
+ *
+ *   POST /events   { type: "streamer.activated" | "streamer.deactivated", channel }
+ *                  { type: "discount.redeemed", channel, code, usageCount? | orderId? }
+ *                  { type: "stream.online", channel, stream?: { id, startedAt } }
+ *                  { type: "stream.offline", channel }
+ *                  { type: "channel_points.redeemed", channel, rewardId, redemptionId,
+ *                    viewer: { id, login, displayName } }
+ *                  (Twitch EventSub names; also the local mock for live status)
+ *   GET  /reports/:login            -> newest stream's report (analytics.js)
+ *        ?session=<id>&format=csv   -> one stream, or its event log as CSV
+ *   GET  /reports/:login/sessions   -> { ok, sessions }
+ *   GET  /health   -> { ok, channels, chat }
+ *
+ * Requests must be signed like backend calls (X-Dropify-Signature, over
+ * the path including the query) or carry
+ * `Authorization: Bearer <BACKEND_SHARED_SECRET>`. /health is open.
+ */
+function createControlServer({ bot, secret, clock }) {
+  const now = () => (clock ? clock.now() : Date.now());
+
+  function send(res, status, payload) {
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(payload));
+  }
+
+  function readBody(req) {
+    return new Promise((resolve, reject) => {
+      let size = 0;
+      const chunks = [];
+      req.on("data", (chunk) => {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+          reject(new Error("body too large"));
+          req.destroy();
+          return;
+        }
+        chunks.push(chunk);
+      });
+      req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+      req.on("error", reject);
+    });
+  }
+
+  async function handleEvent(event) {
+    switch (event?.type) {
+      case "streamer.activated":
+        return { ok: true, joined: await bot.channelSync.activate(event.channel) };
+      case "streamer.deactivated":
+        return { ok: true, parted: await bot.channelSync.deactivate(event.channel) };
+      case "discount.redeemed":
+        return bot.redemptions.record(event.channel, event);
+      case "stream.online": {
+        const status = await bot.liveStatus.set(event.channel, {
+          live: true,
+          stream: event.stream,
+        });
+        return { ok: true, live: true, stream: status.stream };
+      }
+      case "stream.offline":
+        await bot.liveStatus.set(event.channel, { live: false });
+        return { ok: true, live: false };
+      case "channel_points.redeemed":
+        if (!event.rewardId || !event.viewer?.id) {
+          return { ok: false, reason: "bad_request", message: "rewardId and viewer are required." };
+        }
+        return bot.channelPoints.handle(event.channel, {
+          rewardId: event.rewardId,
+          id: event.redemptionId || null,
+          viewer: event.viewer,
+          via: "eventsub",
+        });
+      default:
+        return { ok: false, reason: "unknown_event", message: `Unknown event type.` };
+    }
+  }
+
+  async function sendReport(res, login, sessionsOnly, url) {
+    if (sessionsOnly) {
+      return send(res, 200, { ok: true, sessions: await bot.analytics.listSessions(login) });
+    }
+
+    const query = new URLSearchParams(url.split("?")[1] || "");
+    const session = query.get("session") || undefined;
+
+    if (query.get("format") === "csv") {
+      const csv = await bot.analytics.csv(login, session);
+      if (csv == null) return send(res, 404, noReport());
+      const name = `${login}-${String(session || "latest").replace(/[^\w-]/g, "")}`;
+      res.writeHead(200, {
+        "Content-Type": "text/csv; charset=utf-8",
+        "Content-Disposition": `attachment; filename="${name}.csv"`,
+      });
+      return res.end(csv);
+    }
+
+    const report = await bot.analytics.report(login, session);
+    if (!report) return send(res, 404, noReport());
+    return send(res, 200, { ok: true, report });
+  }
+
+  function noReport() {
+    return { ok: false, reason: "not_found", message: "No stream session found." };
+  }
+
+  async function handle(req, res) {
+    const path = (req.url || "/").split("?")[0];
+
+    if (req.method === "GET" && path === "/health") {
+      return send(res, 200, {
+        ok: true,
+        channels: bot.channelSync.joinedChannels.size,
+        chat: bot.chat.stats(),
+      });
+    }
+
+    const reportMatch = path.match(/^\/reports\/([a-z0-9_]+)(\/sessions)?$/i);
+    if (req.method === "GET" && reportMatch) {
+      const authorized = verifyRequest(
+        secret,
+        { method: req.method, path: req.url, body: "", headers: req.headers },
+        now()
+      );
+      if (!authorized) {
+        return send(res, 401, { ok: false, reason: "unauthorized", message: "Bad signature." });
+      }
+      return sendReport(res, reportMatch[1].toLowerCase(), Boolean(reportMatch[2]), req.url);
+    }
+
+    if (req.method !== "POST" || path !== "/events") {
+      return send(res, 404, { ok: false, reason: "not_found", message: "Not found." });
+    }
+
+    let body;
+    try {
+      body = await readBody(req);
+    } catch (err) {
+      return send(res, 413, { ok: false, reason: "too_large", message: err.message });
+    }
+
+    const authorized = verifyRequest(
+      secret,
+      { method: req.method, path, body, headers: req.headers },
+      now()
+    );
+    if (!authorized) {
+      return send(res, 401, { ok: false, reason: "unauthorized", message: "Bad signature." });
+    }
+
+    let event;
+    try {
+      event = JSON.parse(body);
+    } catch (_) {
+      return send(res, 400, { ok: false, reason: "bad_json", message: "Body must be JSON." });
+    }
+
+    const result = await handleEvent(event);
+    console.log(`[EVENTS] ${event?.type} ${event?.channel || ""}`, result);
+    // ignored events (duplicates, rewards we don't pay out, codes we don't
+    // know) and refunded redemptions were handled; a 4xx would only make
+    // the backend retry
+    const handled = result.ok || result.ignored || result.status === "CANCELED";
+    return send(res, handled ? 200 : 400, result);
+  }
+
+  const server = http.createServer((req, res) => {
+    handle(req, res).catch((err) => {
+      console.error("[EVENTS] Handler failed:", err);
+      if (!res.headersSent) {
+        send(res, 500, { ok: false, reason: "internal", message: "Internal error." });
+      }
+    });
+  });
+
+  function listen(port, host = "127.0.0.1") {
+    return new Promise((resolve, reject) => {
+      server.once("error", reject);
+      server.listen(port, host, () => {
+        server.off("error", reject);
+        resolve(server.address());
+      });
+    });
+  }
+
+  function close() {
+    return new Promise((resolve) => server.close(() => resolve()));
+  }
+
+  return {
+    server,
+    listen,
+    close,
+  };
+}
+
+module.exports = {
+  createControlServer,
+};
@@ -0,0 +1,84 @@
+// cooldowns.js
+
+const DEFAULT_COOLDOWN_MS = 10 * 1000; // fallback
+
+/**
+ * Per-command, per-user cooldowns + per-viewer claimed discount cache.
+ * Both live in the store so they survive restarts.
+ */
+function createCooldowns({ store, clock }) {
+  async function isOnCooldown(command, userId) {
+    const expiresAt = (await store.get(`cooldown:${command}`, userId)) || 0;
+    const now = clock.now();
+    return now < expiresAt ? Math.ceil((expiresAt - now) / 1000) : 0;
+  }
+
+  async function setCooldown(command, userId, ms = DEFAULT_COOLDOWN_MS) {
+    await store.set(`cooldown:${command}`, userId, clock.now() + ms, ms);
+  }
+
+  return {
+    isOnCooldown,
+    setCooldown,
+  };
+}
+
+const DISCOUNT_LIFETIME_MS = 10 * 60 * 1000; // 10 min
+
+function createClaims({ store, clock }) {
+  async function getUserDiscount(channel, userId) {
+    return store.get(`discount:${channel}`, userId);
+  }
+
+  // ttlMs: the code's lifetime when the channel's viewer policy sets one
+  // username: display name, so a redemption can be credited in chat
+  async function setUserDiscount(
+    channel,
+    userId,
+    code,
+    ttlMs = DISCOUNT_LIFETIME_MS,
+    username = null
+  ) {
+    await store.set(
+      `discount:${channel}`,
+      userId,
+      { code, username, createdAt: clock.now() },
+      ttlMs
+    );
+  }
+
+  /**
+   * Which viewer holds `code` (case-insensitive) -> { userId, code, username, createdAt } or null
+   */
+  async function findByCode(channel, code) {
+    const wanted = String(code || "").toUpperCase();
+    const entries = await store.list(`discount:${channel}`);
+    const match = entries.find(({ value }) => String(value?.code || "").toUpperCase() === wanted);
+    return match ? { userId: match.key, ...match.value } : null;
+  }
+
+  /**
+   * Forget every claim in a channel (a new stream starts with fresh limits)
+   */
+  async function clearChannel(channel) {
+    const entries = await store.list(`discount:${channel}`);
+    for (const { key } of entries) {
+      await store.delete(`discount:${channel}`, key);
+    }
+    return entries.length;
+  }
+
+  return {
+    getUserDiscount,
+    setUserDiscount,
+    findByCode,
+    clearChannel,
+  };
+}
+
+module.exports = {
+  DEFAULT_COOLDOWN_MS,
+  DISCOUNT_LIFETIME_MS,
+  createCooldowns,
+  createClaims,
+};
@@ -0,0 +1,75 @@
+// delivery.js
+const { formatDuration } = require("./utils");
+
+/**
+ * How personal codes reach the viewer, per channel:
+ *   settings.codeDelivery = "chat" (default) | "whisper"
+ */
+function getCodeDelivery(settings) {
+  return settings?.codeDelivery === "whisper" ? "whisper" : "chat";
+}
+
+/**
+ * Ask the backend for a short-lived link that reveals the code
+ * (used when a whisper can't be delivered).
+ */
+async function requestRedemptionLink(ctx, code) {
+  try {
+    const data = await ctx.backend.call(
+      `/api/discounts/${encodeURIComponent(ctx.login)}/redemption-link`,
+      "POST",
+      { code, viewerId: ctx.userId, viewerLogin: ctx.tags.username }
+    );
+    return data?.ok && data.url ? data : null;
+  } catch (err) {
+    console.error("Redemption link error:", err?.message || err);
+    return null;
+  }
+}
+
+/**
+ * Hand a personal code to the viewer who asked for it.
+ *
+ * chat mode:    posts `chatText` publicly (old behaviour)
+ * whisper mode: whispers `whisperText` (default "delivery.whisper"), chat
+ *               only gets a confirmation; if the whisper fails, chat gets a
+ *               short-lived link instead
+ */
+async function deliverPersonalCode(ctx, code, chatText, whisperText) {
+  if (getCodeDelivery(ctx.settings) === "chat") {
+    return ctx.say(chatText);
+  }
+
+  const sent = await ctx.whispers.send(
+    { id: ctx.userId, login: ctx.tags.username },
+    whisperText || ctx.t("delivery.whisper", { code })
+  );
+  if (sent.ok) {
+    return ctx.say(ctx.t("delivery.whispered"));
+  }
+
+  console.warn(
+    `[WHISPER] Could not whisper ${ctx.tags.username} (${sent.reason}), trying a redemption link`
+  );
+
+  const link = await requestRedemptionLink(ctx, code);
+  if (link) {
+    const expiresAt = Date.parse(link.expiresAt || "");
+    if (Number.isFinite(expiresAt)) {
+      return ctx.say(
+        ctx.t("delivery.link_expiring", {
+          url: link.url,
+          remaining: formatDuration(expiresAt - ctx.clock.now()),
+        })
+      );
+    }
+    return ctx.say(ctx.t("delivery.link", { url: link.url }));
+  }
+
+  return ctx.say(ctx.t("delivery.failed"));
+}
+
+module.exports = {
+  getCodeDelivery,
+  deliverPersonalCode,
+};
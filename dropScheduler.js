@@ -0,0 +1,403 @@
+// dropScheduler.js
+const { systemClock, formatDuration } = require("./utils");
+const { render } = require("./templates");
+const {
+  GLOBAL_DROP_DURATION_MS,
+  MIN_DROP_DURATION_MS,
+  MAX_DROP_DURATION_MS,
+  activateGlobalDrop,
+  dropActivatedMessage,
+} = require("./drops");
+
+const TICK_MS = 1000;
+const RELOAD_INTERVAL_MS = 5 * 60 * 1000;
+const DEFAULT_COUNTDOWN_SECONDS = [60, 10];
+// a run missed by more than this (bot was down) is skipped, not fired late
+const MISSED_GRACE_MS = 2 * 60 * 1000;
+const MIN_INTERVAL_MS = 5 * 60 * 1000;
+
+/**
+ * ms to add to UTC to get wall-clock time in `timeZone` at `ts`
+ */
+function tzOffsetMs(ts, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(new Date(ts));
+  const get = (type) => Number(parts.find((p) => p.type === type).value);
+  const asUtc = Date.UTC(
+    get("year"),
+    get("month") - 1,
+    get("day"),
+    get("hour"),
+    get("minute"),
+    get("second")
+  );
+  return asUtc - Math.floor(ts / 1000) * 1000;
+}
+
+/**
+ * Next time it's `hh:mm` in `timeZone`, strictly after `now`
+ */
+function nextDailyAt(hhmm, timeZone, now) {
+  const [hh, mm] = hhmm.split(":").map(Number);
+  const local = new Date(now + tzOffsetMs(now, timeZone));
+
+  for (let day = 0; day < 3; day++) {
+    const wall = Date.UTC(
+      local.getUTCFullYear(),
+      local.getUTCMonth(),
+      local.getUTCDate() + day,
+      hh,
+      mm
+    );
+    // second pass settles DST edges
+    let ts = wall - tzOffsetMs(wall, timeZone);
+    ts = wall - tzOffsetMs(ts, timeZone);
+    if (ts > now) return ts;
+  }
+  return null;
+}
+
+/**
+ * Backend campaign -> internal shape, or null if unusable.
+ *
+ *   { id, type: "interval", everyMinutes: 45, percent: 15, durationMinutes: 5 }
+ *   { id, type: "daily", at: "20:00", timezone: "Europe/Berlin", percent: 30, durationMinutes: 5 }
+ *   { id, type: "once", at: "2025-06-01T18:00:00Z", percent: 20 }
+ *
+ * optional: countdownSeconds (default [60, 10]), onlyWhileLive (default true), enabled
+ */
+function normalizeCampaign(raw, settings = {}) {
+  if (!raw || raw.enabled === false || raw.id == null) return null;
+
+  const percent = parseInt(raw.percent, 10);
+  if (!(percent >= 1 && percent <= 50)) return null;
+
+  const durationMs = Math.min(
+    MAX_DROP_DURATION_MS,
+    Math.max(
+      MIN_DROP_DURATION_MS,
+      Number(raw.durationMinutes) * 60 * 1000 || GLOBAL_DROP_DURATION_MS
+    )
+  );
+
+  const countdownSeconds = (
+    Array.isArray(raw.countdownSeconds) ? raw.countdownSeconds : DEFAULT_COUNTDOWN_SECONDS
+  )
+    .map(Number)
+    .filter((s) => s > 0)
+    .sort((a, b) => b - a);
+
+  const base = {
+    id: String(raw.id),
+    type: raw.type,
+    percent,
+    durationMs,
+    countdownSeconds,
+    onlyWhileLive: raw.onlyWhileLive !== false,
+  };
+
+  switch (raw.type) {
+    case "interval": {
+      const everyMs = Number(raw.everyMinutes) * 60 * 1000;
+      if (!(everyMs >= MIN_INTERVAL_MS)) return null;
+      return { ...base, everyMs };
+    }
+    case "daily": {
+      if (!/^\d{1,2}:\d{2}$/.test(String(raw.at || ""))) return null;
+      const timezone = raw.timezone || settings.timezone || "UTC";
+      try {
+        tzOffsetMs(0, timezone);
+      } catch (_) {
+        console.warn(`[CAMPAIGN] Unknown timezone "${timezone}" for ${raw.id}, using UTC`);
+        return { ...base, at: raw.at, timezone: "UTC" };
+      }
+      return { ...base, at: raw.at, timezone };
+    }
+    case "once": {
+      const at = Date.parse(raw.at || "");
+      if (!Number.isFinite(at)) return null;
+      return { ...base, runAt: at };
+    }
+    default:
+      return null;
+  }
+}
+
+function computeNextRun(campaign, now) {
+  switch (campaign.type) {
+    case "interval":
+      return now + campaign.everyMs;
+    case "daily":
+      return nextDailyAt(campaign.at, campaign.timezone, now);
+    case "once":
+      return campaign.runAt > now ? campaign.runAt : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Runs scheduled drop campaigns per channel.
+ *
+ * Campaigns come from the backend (GET /api/streamers/:login/campaigns);
+ * next run times live in the store (`campaigns:<login>`) so a restart
+ * picks up where it left off. Countdowns are announced in chat before
+ * each drop goes live.
+ *
+ * deps: { backend, store, clock, drops, channelSettings, say(login, text),
+ *         channels() -> iterable of joined logins, isLive(login), analytics? }
+ */
+function createDropScheduler(deps) {
+  const { backend, store, drops, channelSettings, analytics, say } = deps;
+  const clock = deps.clock || systemClock;
+  const channels = deps.channels || (() => []);
+  const isLive = deps.isLive || (() => true);
+
+  // login -> Map(id -> { campaign, nextRunAt, announced: Set, running })
+  const entries = new Map();
+  let tickTimer = null;
+  let reloadTimer = null;
+
+  async function persist(login, entry) {
+    if (entry.nextRunAt == null) {
+      await store.delete(`campaigns:${login}`, entry.campaign.id);
+      return;
+    }
+    await store.set(`campaigns:${login}`, entry.campaign.id, {
+      nextRunAt: entry.nextRunAt,
+      lastRunAt: entry.lastRunAt || null,
+    });
+  }
+
+  /**
+   * (Re)load a channel's campaigns from the backend
+   */
+  async function load(login) {
+    const data = await backend.call(
+      `/api/streamers/${encodeURIComponent(login)}/campaigns`,
+      "GET"
+    );
+    if (!data?.ok || !Array.isArray(data.campaigns)) {
+      // keep whatever we had; the backend may just be down
+      if (data?.reason !== "not_found") {
+        console.warn(`[CAMPAIGN] Could not load campaigns for ${login}:`, data?.message);
+      }
+      return entries.get(login)?.size || 0;
+    }
+
+    const settings = channelSettings ? await channelSettings.get(login) : {};
+    const now = clock.now();
+    const previous = entries.get(login) || new Map();
+    const next = new Map();
+
+    for (const raw of data.campaigns) {
+      const campaign = normalizeCampaign(raw, settings);
+      if (!campaign) continue;
+
+      const existing = previous.get(campaign.id);
+      const stored = existing ? null : await store.get(`campaigns:${login}`, campaign.id);
+
+      let nextRunAt = existing?.nextRunAt ?? stored?.nextRunAt ?? null;
+      if (nextRunAt == null || nextRunAt < now - MISSED_GRACE_MS) {
+        nextRunAt = computeNextRun(campaign, now);
+      }
+      // a "once" campaign moved by the streamer should follow its new time
+      if (campaign.type === "once" && campaign.runAt !== existing?.campaign.runAt) {
+        nextRunAt = computeNextRun(campaign, now);
+      }
+
+      const entry = {
+        campaign,
+        nextRunAt,
+        lastRunAt: existing?.lastRunAt ?? stored?.lastRunAt ?? null,
+        announced: existing?.nextRunAt === nextRunAt ? existing.announced : new Set(),
+        running: existing?.running || false,
+      };
+      next.set(campaign.id, entry);
+      await persist(login, entry);
+    }
+
+    // campaigns removed in the dashboard
+    for (const id of previous.keys()) {
+      if (!next.has(id)) await store.delete(`campaigns:${login}`, id);
+    }
+
+    if (next.size) entries.set(login, next);
+    else entries.delete(login);
+    return next.size;
+  }
+
+  function unload(login) {
+    entries.delete(login);
+  }
+
+  async function loadAll() {
+    for (const login of channels()) {
+      try {
+        await load(login);
+      } catch (err) {
+        console.error(`[CAMPAIGN] Load failed for ${login}:`, err?.message || err);
+      }
+    }
+  }
+
+  // chat lines in the channel's locale / overrides
+  async function translator(login) {
+    const settings = channelSettings ? await channelSettings.get(login) : {};
+    return (key, vars) => render(key, { channel: login, ...vars }, settings);
+  }
+
+  async function run(login, entry) {
+    const { campaign } = entry;
+    const now = clock.now();
+
+    try {
+      if (now - entry.nextRunAt > MISSED_GRACE_MS) {
+        console.warn(`[CAMPAIGN] ${login}/${campaign.id} missed its slot, skipping`);
+      } else if (campaign.onlyWhileLive && !(await isLive(login))) {
+        console.log(`[CAMPAIGN] ${login} is offline, skipping ${campaign.id}`);
+      } else if (drops.getActiveDrop(login)) {
+        console.log(`[CAMPAIGN] ${login} already has an active drop, skipping ${campaign.id}`);
+      } else {
+        const result = await activateGlobalDrop({
+          backend,
+          drops,
+          clock,
+          login,
+          percent: campaign.percent,
+          durationMs: campaign.durationMs,
+        });
+
+        const source = { source: "campaign", campaign: campaign.id };
+        if (result?.ok) {
+          say(login, dropActivatedMessage(await translator(login), result));
+          await analytics?.track(login, "drop.created", { code: result.code, ...source });
+        } else {
+          console.error(`[CAMPAIGN] Drop failed for ${login}/${campaign.id}:`, result);
+          await analytics?.track(login, "drop.failed", {
+            reason: result?.reason || "bad_response",
+            ...source,
+          });
+        }
+      }
+    } finally {
+      entry.lastRunAt = now;
+      entry.nextRunAt = computeNextRun(campaign, clock.now());
+      entry.announced = new Set();
+      await persist(login, entry);
+
+      if (entry.nextRunAt == null) entries.get(login)?.delete(campaign.id);
+    }
+  }
+
+  /**
+   * One scheduler step: countdowns + due drops
+   */
+  async function tick() {
+    const now = clock.now();
+    const due = [];
+
+    for (const [login, campaigns] of entries) {
+      for (const entry of campaigns.values()) {
+        if (entry.nextRunAt == null || entry.running) continue;
+        const remaining = entry.nextRunAt - now;
+
+        if (remaining <= 0) {
+          due.push([login, entry]);
+          continue;
+        }
+
+        // announce only the closest threshold we've crossed (no double posts
+        // right after a restart)
+        const crossed = entry.campaign.countdownSeconds.filter(
+          (s) => remaining <= s * 1000 && !entry.announced.has(s)
+        );
+        if (!crossed.length) continue;
+        crossed.forEach((s) => entry.announced.add(s));
+
+        if (!entry.campaign.onlyWhileLive || (await isLive(login))) {
+          const t = await translator(login);
+          say(
+            login,
+            t("drop.countdown", {
+              remaining: formatDuration(remaining),
+              percent: entry.campaign.percent,
+              duration: formatDuration(entry.campaign.durationMs),
+            })
+          );
+        }
+      }
+    }
+
+    for (const [login, entry] of due) {
+      entry.running = true;
+      try {
+        await run(login, entry);
+      } catch (err) {
+        console.error(`[CAMPAIGN] Run failed for ${login}:`, err?.message || err);
+      } finally {
+        entry.running = false;
+      }
+    }
+  }
+
+  /**
+   * Soonest scheduled drop for a channel (for !dropstatus)
+   */
+  function nextDrop(login) {
+    let soonest = null;
+    for (const entry of entries.get(login)?.values() || []) {
+      if (entry.nextRunAt == null) continue;
+      if (!soonest || entry.nextRunAt < soonest.nextRunAt) {
+        soonest = { ...entry.campaign, nextRunAt: entry.nextRunAt };
+      }
+    }
+    return soonest;
+  }
+
+  function start() {
+    stop();
+    loadAll();
+
+    tickTimer = setInterval(() => {
+      tick().catch((err) => console.error("[CAMPAIGN] Tick failed:", err));
+    }, TICK_MS);
+    tickTimer.unref?.();
+
+    reloadTimer = setInterval(() => {
+      loadAll();
+    }, RELOAD_INTERVAL_MS);
+    reloadTimer.unref?.();
+  }
+
+  function stop() {
+    if (tickTimer) clearInterval(tickTimer);
+    if (reloadTimer) clearInterval(reloadTimer);
+    tickTimer = null;
+    reloadTimer = null;
+  }
+
+  return {
+    load,
+    unload,
+    loadAll,
+    tick,
+    nextDrop,
+    start,
+    stop,
+  };
+}
+
+module.exports = {
+  createDropScheduler,
+  normalizeCampaign,
+  nextDailyAt,
+};
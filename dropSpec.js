@@ -0,0 +1,116 @@
+// dropSpec.js
+
+/**
+ * What a drop gives and who it applies to. Shared by the bot (presets,
+ * chat wording) and the Shopify backends (price rule / GraphQL input).
+ *
+ * {
+ *   valueType: "percentage" | "fixed_amount" | "free_shipping",
+ *   value,            // percent (1-100) or amount in store currency; 100 for free shipping
+ *   durationMinutes,
+ *   productIds, collectionIds, // entitled items; empty = whole store
+ *   minSubtotal, minQuantity,  // prerequisites (at most one), or null
+ *   maxUses,                   // total redemptions, or null for unlimited
+ *   oncePerCustomer,
+ * }
+ */
+const VALUE_TYPES = ["percentage", "fixed_amount", "free_shipping"];
+
+const DEFAULT_DURATION_MINUTES = 10;
+
+function positiveOrNull(value) {
+  const n = Number(value);
+  return value != null && value !== "" && Number.isFinite(n) && n > 0 ? n : null;
+}
+
+function idList(value) {
+  return (Array.isArray(value) ? value : value == null ? [] : [value])
+    .map((id) => String(id).trim())
+    .filter(Boolean);
+}
+
+/**
+ * Raw preset / request body -> spec, or null if it can't be a valid drop.
+ * `percent` is accepted as shorthand for a percentage drop.
+ */
+function normalizeDropSpec(raw) {
+  if (!raw || typeof raw !== "object") return null;
+
+  const valueType = raw.valueType || (raw.percent != null ? "percentage" : null);
+  if (!VALUE_TYPES.includes(valueType)) return null;
+
+  let value;
+  if (valueType === "free_shipping") {
+    value = 100;
+  } else {
+    value = positiveOrNull(valueType === "percentage" ? raw.value ?? raw.percent : raw.value);
+    if (value == null) return null;
+    if (valueType === "percentage" && value > 100) return null;
+  }
+
+  const productIds = idList(raw.productIds);
+  const collectionIds = idList(raw.collectionIds);
+  // shipping discounts apply to the order, not to items
+  if (valueType === "free_shipping" && (productIds.length || collectionIds.length)) {
+    return null;
+  }
+
+  const minSubtotal = positiveOrNull(raw.minSubtotal);
+  const minQuantity = positiveOrNull(raw.minQuantity);
+  if (minSubtotal != null && minQuantity != null) return null;
+  if (minQuantity != null && !Number.isInteger(minQuantity)) return null;
+
+  const maxUses = positiveOrNull(raw.maxUses);
+  if (maxUses != null && !Number.isInteger(maxUses)) return null;
+
+  return {
+    valueType,
+    value,
+    durationMinutes: positiveOrNull(raw.durationMinutes) || DEFAULT_DURATION_MINUTES,
+    productIds,
+    collectionIds,
+    minSubtotal,
+    minQuantity,
+    maxUses,
+    oncePerCustomer: raw.oncePerCustomer === true,
+  };
+}
+
+/**
+ * createGlobalDrop(code, 20, 15) and createGlobalDrop(code, { ...spec }, 15)
+ * both end up here. Throws on anything that isn't a valid drop.
+ */
+function toDropSpec(percentOrSpec, durationMinutes) {
+  const raw =
+    percentOrSpec && typeof percentOrSpec === "object"
+      ? { durationMinutes, ...percentOrSpec }
+      : { percent: percentOrSpec, durationMinutes };
+
+  const spec = normalizeDropSpec(raw);
+  if (!spec) throw new Error(`Invalid drop: ${JSON.stringify(raw)}`);
+  return spec;
+}
+
+/**
+ * Personal code spec from a viewer policy ({ valueType, value,
+ * lifetimeMinutes, oncePerCustomer }). Single use, 10% / 10 minutes
+ * when the store has no policy.
+ */
+function viewerDiscountSpec(policy) {
+  return toDropSpec(
+    {
+      valueType: policy?.valueType || "percentage",
+      value: policy?.value ?? 10,
+      maxUses: 1,
+      oncePerCustomer: policy?.oncePerCustomer === true,
+    },
+    policy?.lifetimeMinutes || 10
+  );
+}
+
+module.exports = {
+  VALUE_TYPES,
+  normalizeDropSpec,
+  toDropSpec,
+  viewerDiscountSpec,
+};
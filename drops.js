@@ -0,0 +1,231 @@
+// drops.js
+const { formatDuration } = require("./utils");
+const { render, resolveLocale } = require("./templates");
+const { normalizeDropSpec } = require("./dropSpec");
+
+const GLOBAL_DROP_COOLDOWN_MS = 5 * 60 * 1000; // default, 5 minutes
+const GLOBAL_DROP_DURATION_MS = 10 * 60 * 1000; // 10 minutes
+const MIN_DROP_DURATION_MS = 60 * 1000;
+const MAX_DROP_DURATION_MS = 60 * 60 * 1000;
+// highest percent a chat command may give away (!drop, !giveaway)
+const MAX_DROP_PERCENT = 50;
+
+/**
+ * Global drop state, tracked per channel so one streamer's drop
+ * never blocks another channel.
+ *
+ * channel login -> { lastDropAt, code, percent, offer, preset, expiresAt }
+ *
+ * With a store, each channel's state is saved (`drops:<login>`) so the
+ * live drop and its cooldown survive a restart; load() brings it back.
+ */
+function createDropTracker({ clock, store = null }) {
+  const dropStates = new Map();
+  // login -> pending / finished load
+  const loads = new Map();
+
+  function getDropState(twitchLogin) {
+    let state = dropStates.get(twitchLogin);
+    if (!state) {
+      state = {
+        lastDropAt: 0,
+        code: null,
+        percent: null,
+        offer: null,
+        preset: null,
+        expiresAt: 0,
+      };
+      dropStates.set(twitchLogin, state);
+    }
+    return state;
+  }
+
+  function getActiveDrop(twitchLogin) {
+    const state = dropStates.get(twitchLogin);
+    if (!state || !state.code || clock.now() >= state.expiresAt) return null;
+    return state;
+  }
+
+  /**
+   * Restore a channel's saved state (once per channel) -> state
+   */
+  function load(twitchLogin) {
+    if (!store) return Promise.resolve(getDropState(twitchLogin));
+    if (!loads.has(twitchLogin)) {
+      const loading = store.get(`drops:${twitchLogin}`, "state").then((saved) => {
+        const state = getDropState(twitchLogin);
+        // a drop created while we were loading is newer than the saved one
+        if (saved && saved.lastDropAt > state.lastDropAt) Object.assign(state, saved);
+        return state;
+      });
+      loading.catch(() => loads.delete(twitchLogin));
+      loads.set(twitchLogin, loading);
+    }
+    return loads.get(twitchLogin);
+  }
+
+  async function save(twitchLogin) {
+    if (!store) return;
+    await store.set(`drops:${twitchLogin}`, "state", { ...getDropState(twitchLogin) });
+  }
+
+  return {
+    getDropState,
+    getActiveDrop,
+    load,
+    save,
+  };
+}
+
+function getDropCooldownMs(settings) {
+  const seconds = Number(settings?.dropCooldownSeconds);
+  if (!Number.isFinite(seconds) || seconds < 0) return GLOBAL_DROP_COOLDOWN_MS;
+  return seconds * 1000;
+}
+
+/**
+ * Named drop templates from channel settings, e.g.
+ *   dropPresets: { hoodies: { percent: 20, collectionIds: ["123"], label: "hoodies" } }
+ *
+ * name -> { name, drop } (drop: spec from dropSpec.js + label), or null
+ */
+function getDropPreset(settings, name) {
+  const presets = settings?.dropPresets || {};
+  const key = Object.keys(presets).find((k) => k.toLowerCase() === String(name).toLowerCase());
+  if (!key) return null;
+
+  const spec = normalizeDropSpec(presets[key]);
+  if (!spec) {
+    console.warn(`[DROP] Ignoring invalid drop preset "${key}"`);
+    return null;
+  }
+  return { name: key, drop: { ...spec, label: presets[key].label || null } };
+}
+
+function listDropPresets(settings) {
+  return Object.keys(settings?.dropPresets || {}).filter((name) => getDropPreset(settings, name));
+}
+
+/**
+ * Create a global drop through the backend and record it as the channel's
+ * active drop. Shared by !drop and scheduled campaigns.
+ *
+ * Either `percent`, or `drop` (a spec from dropSpec.js, e.g. a preset's)
+ * plus the `preset` name it came from.
+ *
+ * returns { ok: true, code, percent, offer, preset, expiresAt, durationMs }
+ * or the backend's failure
+ */
+async function activateGlobalDrop({ backend, drops, clock, login, percent, durationMs, drop, preset }) {
+  const duration = durationMs || GLOBAL_DROP_DURATION_MS;
+  const durationMinutes = Math.round(duration / 60000);
+
+  const offer = drop
+    ? { ...drop, durationMinutes }
+    : { valueType: "percentage", value: percent };
+  if (drop) percent = drop.valueType === "percentage" ? drop.value : null;
+
+  const body = { percent, durationMinutes };
+  if (drop) {
+    body.preset = preset || null;
+    body.drop = offer;
+  }
+
+  const data = await backend.createGlobalDrop(login, body);
+  if (!data?.ok) return data || { ok: false, reason: "bad_response" };
+
+  const droppedAt = clock.now();
+  const expiresAt = Date.parse(data.drop?.expiresAt || "");
+
+  const state = drops.getDropState(login);
+  state.lastDropAt = droppedAt;
+  state.code = data.drop.code;
+  state.percent = percent;
+  state.offer = offer;
+  state.preset = preset || null;
+  state.expiresAt = Number.isFinite(expiresAt) ? expiresAt : droppedAt + duration;
+  await drops.save(login);
+
+  return {
+    ok: true,
+    code: state.code,
+    percent,
+    offer,
+    preset: state.preset,
+    expiresAt: state.expiresAt,
+    durationMs: state.expiresAt - droppedAt,
+  };
+}
+
+/**
+ * 5 -> "€5" when the channel has a currency set, plain "5" otherwise
+ */
+function formatAmount(value, settings = {}) {
+  if (!settings.currency) return String(value);
+  try {
+    return new Intl.NumberFormat(resolveLocale(settings.locale), {
+      style: "currency",
+      currency: settings.currency,
+      minimumFractionDigits: Number.isInteger(value) ? 0 : 2,
+    }).format(value);
+  } catch (_) {
+    return `${value} ${settings.currency}`;
+  }
+}
+
+/**
+ * Chat wording for what a drop gives: "20% OFF", "€5 OFF on orders over €40",
+ * "FREE SHIPPING". `label` (a preset's, e.g. "the new hoodie collection")
+ * names the entitled items.
+ */
+function describeOffer(t = render, offer, settings = {}) {
+  if (!offer) return "";
+
+  let text;
+  if (offer.valueType === "free_shipping") {
+    text = t("offer.free_shipping");
+  } else if (offer.valueType === "fixed_amount") {
+    text = t("offer.fixed_amount", { value: formatAmount(offer.value, settings) });
+  } else {
+    text = t("offer.percentage", { value: offer.value });
+  }
+
+  if (offer.label) text = t("offer.on", { offer: text, label: offer.label });
+  if (offer.minSubtotal != null) {
+    text = t("offer.min_subtotal", {
+      offer: text,
+      amount: formatAmount(offer.minSubtotal, settings),
+    });
+  } else if (offer.minQuantity != null) {
+    text = t("offer.min_quantity", { offer: text, quantity: offer.minQuantity });
+  }
+  return text;
+}
+
+/**
+ * t: ctx.t, or anything with the same (key, vars) signature
+ */
+function dropActivatedMessage(t = render, { code, percent, offer, durationMs }, settings) {
+  return t("drop.activated", {
+    code,
+    percent,
+    offer: describeOffer(t, offer || { valueType: "percentage", value: percent }, settings),
+    remaining: formatDuration(durationMs),
+  });
+}
+
+module.exports = {
+  GLOBAL_DROP_COOLDOWN_MS,
+  GLOBAL_DROP_DURATION_MS,
+  MIN_DROP_DURATION_MS,
+  MAX_DROP_DURATION_MS,
+  MAX_DROP_PERCENT,
+  createDropTracker,
+  getDropCooldownMs,
+  getDropPreset,
+  listDropPresets,
+  activateGlobalDrop,
+  formatAmount,
+  describeOffer,
+  dropActivatedMessage,
+};
@@ -0,0 +1,185 @@
+// eligibility.js
+const { systemClock, channelLogin, formatDuration } = require("./utils");
+const { getViewerStatus } = require("./viewerPolicy");
+const { getUserRole, normalizeRole, roleRank } = require("./permissions");
+
+const VELOCITY_WINDOW_MS = 10 * 60 * 1000;
+const VELOCITY_MAX_CHANNELS = 3;
+const FLAG_TTL_MS = 6 * 60 * 60 * 1000;
+
+/**
+ * Who may get a personal code in a channel, from settings:
+ *
+ *   discountEligibility: {
+ *     minAccountAgeDays: 7,
+ *     minMessages: 3,               // chat lines this stream (commands don't count)
+ *     minChatMinutes: 5,            // since their first line this stream
+ *     followersOnly: true,
+ *     subsOnly: false,
+ *     blockFirstTimeChatters: true, // first message ever in the channel
+ *     velocityCheck: true,          // cross-channel burst detection (default on)
+ *     exemptRoles: ["vip"],         // skip the checks (mods and up always do)
+ *   }
+ */
+function eligibilityRules(settings) {
+  const raw = settings?.discountEligibility || {};
+  const count = (value) => (Number(value) > 0 ? Number(value) : 0);
+  return {
+    minAccountAgeDays: count(raw.minAccountAgeDays),
+    minMessages: Math.floor(count(raw.minMessages)),
+    minChatMs: count(raw.minChatMinutes) * 60 * 1000,
+    followersOnly: raw.followersOnly === true,
+    subsOnly: raw.subsOnly === true,
+    blockFirstTimeChatters: raw.blockFirstTimeChatters === true,
+    velocityCheck: raw.velocityCheck !== false,
+    exemptRoles: (Array.isArray(raw.exemptRoles) ? raw.exemptRoles : [])
+      .map(normalizeRole)
+      .filter(Boolean),
+  };
+}
+
+/**
+ * Eligibility checks for !discount, against bot farms and fresh alts.
+ *
+ * Chat activity per stream is counted in memory (reset when a stream
+ * starts). Velocity is tracked bot-wide in the store: a viewer asking for
+ * codes in too many channels within a short window gets flagged
+ * (`abuse-flags`, 6h) and is refused everywhere until the flag expires.
+ *
+ * deps: { store, clock, viewerInfo, ownerUsername,
+ *         velocity: { windowMinutes, maxChannels } }
+ */
+function createEligibility(deps) {
+  const { store, viewerInfo } = deps;
+  const clock = deps.clock || systemClock;
+  const windowMs = Number(deps.velocity?.windowMinutes) * 60 * 1000 || VELOCITY_WINDOW_MS;
+  const maxChannels = Number(deps.velocity?.maxChannels) || VELOCITY_MAX_CHANNELS;
+
+  // login -> Map(viewerId -> { messages, firstSeenAt })
+  const activity = new Map();
+
+  function viewerId(tags) {
+    const name = tags["display-name"] || tags.username;
+    return tags["user-id"] || name.toLowerCase();
+  }
+
+  /**
+   * Every chat line in a channel; commands only start the chat clock
+   */
+  function recordMessage(channel, tags, { isCommand = false } = {}) {
+    const login = channelLogin(channel);
+    if (!activity.has(login)) activity.set(login, new Map());
+    const seen = activity.get(login);
+
+    const id = viewerId(tags);
+    const state = seen.get(id) || { messages: 0, firstSeenAt: clock.now() };
+    if (!isCommand) state.messages += 1;
+    seen.set(id, state);
+  }
+
+  function resetChannel(channel) {
+    activity.delete(channelLogin(channel));
+  }
+
+  function chatActivity(channel, id) {
+    return activity.get(channelLogin(channel))?.get(id) || null;
+  }
+
+  async function isFlagged(id) {
+    return Boolean(await store.get("abuse-flags", id));
+  }
+
+  /**
+   * Log this request and flag the viewer if it's part of a burst
+   * across channels. -> true if flagged
+   */
+  async function recordRequest(channel, id, login) {
+    const now = clock.now();
+    const history = ((await store.get("velocity", id)) || []).filter(
+      (entry) => now - entry.at < windowMs
+    );
+    history.push({ channel: channelLogin(channel), at: now });
+    await store.set("velocity", id, history, windowMs);
+
+    const channels = new Set(history.map((entry) => entry.channel));
+    if (channels.size < maxChannels) return false;
+
+    console.warn(
+      `[ABUSE] Flagged ${login} (${id}): codes requested in ${channels.size} channels ` +
+        `within ${formatDuration(windowMs)}`
+    );
+    await store.set(
+      "abuse-flags",
+      id,
+      { login, channels: [...channels], flaggedAt: now },
+      FLAG_TTL_MS
+    );
+    return true;
+  }
+
+  /**
+   * null if the viewer may get a code, otherwise { reason, ...template vars }
+   *
+   * reasons: flagged, first_time_chatter, subs_only, min_messages,
+   *          min_minutes, followers_only, account_too_new, unverified
+   */
+  async function check(channel, tags, settings) {
+    const rules = eligibilityRules(settings);
+    const role = getUserRole(tags, deps.ownerUsername);
+    if (roleRank(role) >= roleRank("moderator") || rules.exemptRoles.includes(role)) {
+      return null;
+    }
+
+    const id = viewerId(tags);
+    if (rules.velocityCheck) {
+      if (await isFlagged(id)) return { reason: "flagged" };
+      if (await recordRequest(channel, id, tags.username)) return { reason: "flagged" };
+    }
+
+    // cheap checks first, the backend lookups last
+    if (rules.blockFirstTimeChatters && tags["first-msg"]) {
+      return { reason: "first_time_chatter" };
+    }
+    if (rules.subsOnly && !getViewerStatus(tags).subscriber) return { reason: "subs_only" };
+
+    const chat = chatActivity(channel, id);
+    if (rules.minMessages && (chat?.messages || 0) < rules.minMessages) {
+      return { reason: "min_messages", remaining: rules.minMessages - (chat?.messages || 0) };
+    }
+    if (rules.minChatMs) {
+      const chattedMs = chat ? clock.now() - chat.firstSeenAt : 0;
+      if (chattedMs < rules.minChatMs) {
+        return { reason: "min_minutes", remaining: formatDuration(rules.minChatMs - chattedMs) };
+      }
+    }
+
+    if (rules.followersOnly) {
+      const follows = viewerInfo ? await viewerInfo.isFollower(channel, id) : null;
+      if (follows == null) return { reason: "unverified" };
+      if (!follows) return { reason: "followers_only" };
+    }
+    if (rules.minAccountAgeDays) {
+      const days = viewerInfo ? await viewerInfo.accountAgeDays(channel, id) : null;
+      if (days == null) return { reason: "unverified" };
+      if (days < rules.minAccountAgeDays) {
+        return { reason: "account_too_new", days: rules.minAccountAgeDays };
+      }
+    }
+    return null;
+  }
+
+  return {
+    recordMessage,
+    resetChannel,
+    chatActivity,
+    isFlagged,
+    check,
+  };
+}
+
+module.exports = {
+  VELOCITY_WINDOW_MS,
+  VELOCITY_MAX_CHANNELS,
+  eligibilityRules,
+  createEligibility,
+};
@@ -0,0 +1,512 @@
+// eventRewards.js
+const { systemClock, channelLogin, formatDuration } = require("./utils");
+const { render } = require("./templates");
+const { normalizeDropSpec } = require("./dropSpec");
+const {
+  MIN_DROP_DURATION_MS,
+  MAX_DROP_DURATION_MS,
+  activateGlobalDrop,
+  dropActivatedMessage,
+  describeOffer,
+} = require("./drops");
+const { deliverPersonalCode } = require("./delivery");
+
+const EVENTS = ["subscription", "resub", "subgift", "cheer", "raided", "subgoal"];
+// nobody to hand a personal code to
+const DROP_ONLY_EVENTS = new Set(["raided", "subgoal"]);
+// events that count towards a sub goal
+const SUB_EVENTS = new Set(["subscription", "resub", "subgift"]);
+// tmi.js events we listen to (the submysterygift ones announce mass gifts)
+const TMI_EVENTS = [
+  "subscription",
+  "resub",
+  "subgift",
+  "submysterygift",
+  "anonsubgift",
+  "anonsubmysterygift",
+  "cheer",
+  "raided",
+];
+const ANONYMOUS_LOGINS = new Set(["ananonymousgifter", "ananonymouscheerer"]);
+
+const DEFAULT_CODE_LIFETIME_MINUTES = 30;
+const MAX_CODE_LIFETIME_MINUTES = 24 * 60;
+const DEFAULT_MAX_CODES_PER_MINUTE = 10;
+const RATE_WINDOW_MS = 60 * 1000;
+// how long the single gifts of a community gift are recognised as part of it
+const COMMUNITY_GIFT_TTL_MS = 10 * 60 * 1000;
+
+/**
+ * Sub / cheer / raid rewards per channel, from settings:
+ *
+ *   eventRewards: {
+ *     maxCodesPerMinute: 10,      // personal codes from events, whole channel
+ *     rules: [
+ *       { event: "subscription", percent: 15, lifetimeMinutes: 30 },
+ *       { event: "resub", minMonths: 6, percent: 20 },
+ *       { event: "subgift", minGifts: 5, percent: 25 },   // the gifter, once per gift
+ *       { event: "cheer", minBits: 500, valueType: "fixed_amount", value: 5 },
+ *       { event: "raided", minViewers: 50, action: "drop", percent: 20, durationMinutes: 5 },
+ *       { event: "subgoal", goal: 10, action: "drop", percent: 10, cooldownSeconds: 1800 },
+ *     ],
+ *   }
+ *
+ * action: "viewer" (default, a personal code for whoever subbed / cheered)
+ * or "drop" (a global drop for everyone, only while live unless
+ * onlyWhileLive is false). Raids and sub goals can only drop.
+ * cooldownSeconds applies per viewer for codes and per channel for drops.
+ * subgoal counts subs this stream and fires every `goal` subs
+ * (`repeat: false` for just the first time).
+ *
+ * Rules without a usable value are skipped.
+ */
+function listEventRules(settings) {
+  const raw = settings?.eventRewards?.rules;
+  if (!Array.isArray(raw)) return [];
+
+  const rules = [];
+  raw.forEach((rule, index) => {
+    const event = String(rule?.event || "").toLowerCase();
+    if (!EVENTS.includes(event)) return;
+
+    if (DROP_ONLY_EVENTS.has(event) && rule.action && rule.action !== "drop") return;
+    const action = rule.action === "drop" || DROP_ONLY_EVENTS.has(event) ? "drop" : "viewer";
+
+    const spec = normalizeDropSpec({
+      valueType: rule.valueType,
+      value: rule.value,
+      percent: rule.percent,
+      durationMinutes: rule.durationMinutes,
+    });
+    if (!spec) return;
+    if (action === "viewer" && spec.valueType === "free_shipping") return;
+
+    const count = (value, fallback = 0) =>
+      Number(value) > 0 ? Math.floor(Number(value)) : fallback;
+    const lifetime = Number(rule.lifetimeMinutes);
+    const durationMs = Math.min(
+      MAX_DROP_DURATION_MS,
+      Math.max(MIN_DROP_DURATION_MS, spec.durationMinutes * 60 * 1000)
+    );
+
+    const normalized = {
+      id: String(rule.id || `${event}-${index + 1}`),
+      event,
+      action,
+      spec,
+      lifetimeMinutes: lifetime > 0
+        ? Math.min(MAX_CODE_LIFETIME_MINUTES, lifetime)
+        : DEFAULT_CODE_LIFETIME_MINUTES,
+      durationMs,
+      cooldownMs: count(rule.cooldownSeconds) * 1000,
+      onlyWhileLive: rule.onlyWhileLive !== false,
+      minMonths: count(rule.minMonths),
+      minGifts: count(rule.minGifts, 1),
+      minBits: count(rule.minBits, 1),
+      minViewers: count(rule.minViewers, 1),
+      goal: count(rule.goal),
+      repeat: rule.repeat !== false,
+    };
+    if (event === "subgoal" && !normalized.goal) return;
+    rules.push(normalized);
+  });
+  return rules;
+}
+
+function maxCodesPerMinute(settings) {
+  const value = Number(settings?.eventRewards?.maxCodesPerMinute);
+  return value > 0 ? Math.floor(value) : DEFAULT_MAX_CODES_PER_MINUTE;
+}
+
+/**
+ * Does this event meet the rule's thresholds?
+ */
+function ruleMatches(rule, event) {
+  switch (rule.event) {
+    case "resub":
+      return (event.months || 0) >= rule.minMonths;
+    case "subgift":
+      return (event.count || 1) >= rule.minGifts;
+    case "cheer":
+      return (event.bits || 0) >= rule.minBits;
+    case "raided":
+      return (event.viewers || 0) >= rule.minViewers;
+    default:
+      return true;
+  }
+}
+
+function viewerFromUserstate(userstate, username) {
+  userstate = userstate || {};
+  const login = String(userstate.login || username || "").toLowerCase();
+  const displayName = userstate["display-name"] || username || login;
+  return {
+    id: userstate["user-id"] || login,
+    login,
+    displayName,
+  };
+}
+
+/**
+ * tmi.js event arguments -> { type, viewer, anonymous, months, count,
+ * community, originId, bits, viewers, raider }
+ */
+function eventFromTmi(type, args) {
+  switch (type) {
+    case "subscription": {
+      const [, username, , , userstate] = args;
+      return { type, viewer: viewerFromUserstate(userstate, username) };
+    }
+    case "resub": {
+      const [, username, months, , userstate] = args;
+      return {
+        type,
+        viewer: viewerFromUserstate(userstate, username),
+        months: Number(userstate?.["msg-param-cumulative-months"]) || Number(months) || 0,
+      };
+    }
+    case "subgift": {
+      const [, username, , , , userstate] = args;
+      const viewer = viewerFromUserstate(userstate, username);
+      return {
+        type,
+        viewer,
+        anonymous: ANONYMOUS_LOGINS.has(viewer.login),
+        community: false,
+        count: 1,
+        originId: userstate?.["msg-param-origin-id"] || null,
+      };
+    }
+    case "submysterygift": {
+      const [, username, amount, , userstate] = args;
+      const viewer = viewerFromUserstate(userstate, username);
+      return {
+        type: "subgift",
+        viewer,
+        anonymous: ANONYMOUS_LOGINS.has(viewer.login),
+        community: true,
+        count: Number(amount) || 1,
+        originId: userstate?.["msg-param-origin-id"] || null,
+      };
+    }
+    case "anonsubgift":
+    case "anonsubmysterygift": {
+      const community = type === "anonsubmysterygift";
+      const userstate = community ? args[3] : args[4];
+      return {
+        type: "subgift",
+        viewer: null,
+        anonymous: true,
+        community,
+        count: community ? Number(args[1]) || 1 : 1,
+        originId: userstate?.["msg-param-origin-id"] || null,
+      };
+    }
+    case "cheer": {
+      const [, userstate] = args;
+      const viewer = viewerFromUserstate(userstate, userstate?.username);
+      return {
+        type,
+        viewer,
+        anonymous: ANONYMOUS_LOGINS.has(viewer.login),
+        bits: Number(userstate?.bits) || 0,
+      };
+    }
+    case "raided": {
+      const [, username, viewers] = args;
+      return { type, raider: username, viewers: Number(viewers) || 0 };
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Subs, gift subs, cheers and raids -> personal codes or global drops,
+ * by the channel's eventRewards rules.
+ *
+ * Mass gift subs are one event: the community gift announcement is
+ * rewarded (and counted) once, the single gifts that follow it are
+ * recognised by their origin id and skipped. Personal codes are also
+ * capped per channel per minute, so an event storm can't create a
+ * discount for every line of it.
+ *
+ * Cooldowns, community gifts and the per-stream sub count live in the
+ * store (`event-rewards:<login>`). Events are handled one at a time per
+ * channel.
+ *
+ * deps: { backend, store, clock, drops, claims, channelSettings, analytics,
+ *         say(login, text), isLive(login),
+ *         contextFor(channel, viewer, commandName) -> ctx }
+ */
+function createEventRewards(deps) {
+  const { backend, store, drops, claims, channelSettings, analytics, say } = deps;
+  const clock = deps.clock || systemClock;
+  const isLive = deps.isLive || (() => true);
+
+  // login -> timestamps of codes handed out in the last minute
+  const issued = new Map();
+  const locks = new Map();
+  let listeners = null;
+
+  function locked(login, fn) {
+    const previous = locks.get(login) || Promise.resolve();
+    const next = previous.then(fn, fn);
+    locks.set(login, next.catch(() => {}));
+    return next;
+  }
+
+  function cooldownKey(rule, event) {
+    return rule.action === "viewer"
+      ? `cooldown:${rule.id}:${event.viewer.id}`
+      : `cooldown:${rule.id}`;
+  }
+
+  function underRateLimit(login, settings) {
+    const now = clock.now();
+    const recent = (issued.get(login) || []).filter((at) => now - at < RATE_WINDOW_MS);
+    issued.set(login, recent);
+    if (recent.length >= maxCodesPerMinute(settings)) return false;
+    recent.push(now);
+    return true;
+  }
+
+  /**
+   * A personal code for the viewer behind the event
+   */
+  async function payViewer(login, rule, event, settings) {
+    if (!event.viewer || event.anonymous) return { ok: false, reason: "anonymous" };
+    if (!underRateLimit(login, settings)) {
+      console.warn(`[EVENTREWARDS] ${login} hit the per-minute code cap, skipping ${rule.id}`);
+      return { ok: false, reason: "rate_limited" };
+    }
+
+    const ctx = await deps.contextFor(`#${login}`, event.viewer, "event_rewards");
+    const policy = {
+      tier: `event:${rule.event}`,
+      valueType: rule.spec.valueType,
+      value: rule.spec.value,
+      lifetimeMinutes: rule.lifetimeMinutes,
+      oncePerCustomer: true,
+    };
+    const session = analytics ? await analytics.session(login) : null;
+
+    let result;
+    try {
+      result = await backend.requestViewerDiscount(login, event.viewer, policy, session);
+    } catch (err) {
+      console.error(`[EVENTREWARDS] Code for ${event.viewer.login} failed:`, err?.message || err);
+    }
+    if (!result?.ok || !result.discountCode) {
+      // no chat line: the viewer didn't ask for anything
+      console.error(`[EVENTREWARDS] No code for ${event.viewer.login} in ${login}:`, result);
+      await ctx.track("discount.failed", {
+        reason: result?.reason || "bad_response",
+        source: "event",
+        event: rule.event,
+      });
+      return { ok: false, reason: result?.reason || "bad_response" };
+    }
+
+    const code = result.discountCode;
+    await claims.setUserDiscount(
+      ctx.channel,
+      event.viewer.id,
+      code,
+      rule.lifetimeMinutes * 60 * 1000,
+      event.viewer.displayName
+    );
+    await ctx.track("discount.issued", {
+      code,
+      tier: policy.tier,
+      valueType: policy.valueType,
+      value: policy.value,
+      source: "event",
+      event: rule.event,
+    });
+
+    const vars = {
+      code,
+      offer: describeOffer(ctx.t, policy, ctx.settings),
+      lifetime: formatDuration(rule.lifetimeMinutes * 60 * 1000),
+      months: event.months,
+      gifts: event.count,
+      bits: event.bits,
+    };
+    await deliverPersonalCode(
+      ctx,
+      code,
+      ctx.t(`events.${rule.event}`, vars),
+      ctx.t("delivery.whisper_offer", vars)
+    );
+    return { ok: true, code };
+  }
+
+  /**
+   * A global drop for the whole chat
+   */
+  async function globalDrop(login, rule, event, settings, intro) {
+    if (rule.onlyWhileLive && !(await isLive(login))) return { ok: false, reason: "offline" };
+    if (drops.getActiveDrop(login)) return { ok: false, reason: "drop_active" };
+
+    const result = await activateGlobalDrop({
+      backend,
+      drops,
+      clock,
+      login,
+      durationMs: rule.durationMs,
+      drop: rule.spec,
+    });
+
+    const source = { source: "event", event: rule.event, rule: rule.id };
+    if (!result?.ok) {
+      console.error(`[EVENTREWARDS] Drop failed for ${login}/${rule.id}:`, result);
+      await analytics?.track(login, "drop.failed", {
+        reason: result?.reason || "bad_response",
+        ...source,
+      });
+      return { ok: false, reason: result?.reason || "bad_response" };
+    }
+
+    const t = (key, vars) => render(key, { channel: login, ...vars }, settings);
+    say(login, `${intro(t)} ${dropActivatedMessage(t, result, settings)}`);
+    await analytics?.track(login, "drop.created", { code: result.code, ...source });
+    return { ok: true, code: result.code };
+  }
+
+  function dropIntro(rule, event, total) {
+    return (t) => {
+      if (rule.event === "raided") {
+        return t("events.raid", { raider: event.raider, viewers: event.viewers });
+      }
+      if (rule.event === "subgoal") return t("events.subgoal", { count: total });
+      return t("events.drop", { viewer: event.viewer?.displayName || "anonymous" });
+    };
+  }
+
+  async function runRule(login, rule, event, settings, total) {
+    const key = cooldownKey(rule, event);
+    if (rule.cooldownMs && (await store.get(`event-rewards:${login}`, key))) {
+      return { ok: false, reason: "cooldown" };
+    }
+
+    const result = rule.action === "drop"
+      ? await globalDrop(login, rule, event, settings, dropIntro(rule, event, total))
+      : await payViewer(login, rule, event, settings);
+
+    if (result.ok && rule.cooldownMs) {
+      await store.set(`event-rewards:${login}`, key, clock.now(), rule.cooldownMs);
+    }
+    return result;
+  }
+
+  /**
+   * Add to this stream's sub count -> { previous, total }
+   */
+  async function countSubs(login, amount) {
+    const previous = (await store.get(`event-rewards:${login}`, "subs")) || 0;
+    const total = previous + amount;
+    await store.set(`event-rewards:${login}`, "subs", total);
+    return { previous, total };
+  }
+
+  function goalReached(rule, previous, total) {
+    if (!rule.repeat) return previous < rule.goal && total >= rule.goal;
+    return Math.floor(total / rule.goal) > Math.floor(previous / rule.goal);
+  }
+
+  /**
+   * event: see eventFromTmi. -> [{ rule, ok, code? | reason }] for the
+   * rules it triggered (empty for a single gift of a community gift)
+   */
+  function handle(channel, event) {
+    const login = channelLogin(channel);
+    return locked(login, async () => {
+      if (event.type === "subgift" && event.originId) {
+        const giftKey = `gift:${event.originId}`;
+        if (!event.community && (await store.get(`event-rewards:${login}`, giftKey))) {
+          return [];
+        }
+        if (event.community) {
+          await store.set(`event-rewards:${login}`, giftKey, event.count, COMMUNITY_GIFT_TTL_MS);
+        }
+      }
+
+      const settings = channelSettings ? await channelSettings.get(login) : {};
+      const rules = listEventRules(settings);
+      const outcomes = [];
+
+      const run = async (rule, total) => {
+        const result = await runRule(login, rule, event, settings, total);
+        outcomes.push({ rule: rule.id, ...result });
+      };
+
+      for (const rule of rules) {
+        if (rule.event === event.type && ruleMatches(rule, event)) await run(rule);
+      }
+
+      if (SUB_EVENTS.has(event.type)) {
+        const { previous, total } = await countSubs(login, event.count || 1);
+        for (const rule of rules) {
+          if (rule.event === "subgoal" && goalReached(rule, previous, total)) {
+            await run(rule, total);
+          }
+        }
+      }
+
+      if (outcomes.length) {
+        const summary = outcomes.map((o) => `${o.rule}:${o.ok ? "ok" : o.reason}`).join(", ");
+        console.log(`[EVENTREWARDS] ${login} ${event.type} -> ${summary}`);
+      }
+      return outcomes;
+    });
+  }
+
+  /**
+   * A tmi.js event, with tmi.js arguments
+   */
+  function handleTmi(type, ...args) {
+    const event = eventFromTmi(type, args);
+    if (!event) return Promise.resolve([]);
+    return handle(args[0], event);
+  }
+
+  /**
+   * New stream: the sub goal starts over
+   */
+  async function resetChannel(channel) {
+    await store.delete(`event-rewards:${channelLogin(channel)}`, "subs");
+  }
+
+  function attach(client) {
+    detach(client);
+    listeners = TMI_EVENTS.map((type) => {
+      const listener = (...args) => {
+        handleTmi(type, ...args).catch((err) => {
+          console.error(`[EVENTREWARDS] ${type} failed:`, err?.message || err);
+        });
+      };
+      client.on(type, listener);
+      return [type, listener];
+    });
+  }
+
+  function detach(client) {
+    for (const [type, listener] of listeners || []) client.removeListener(type, listener);
+    listeners = null;
+  }
+
+  return {
+    handle,
+    handleTmi,
+    resetChannel,
+    attach,
+    detach,
+  };
+}
+
+module.exports = {
+  listEventRules,
+  eventFromTmi,
+  createEventRewards,
+};
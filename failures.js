@@ -0,0 +1,24 @@
+// failures.js
+
+/**
+ * Shopify failures the backend passes through unchanged (reasons from
+ * shopify/errors.js) -> chat line, or null if `result` isn't one of them.
+ */
+function shopifyFailureMessage(t, result) {
+  switch (result?.reason) {
+    case "rate_limited":
+      return t("shopify.rate_limited", { remaining: result.retryAfterSeconds || 5 });
+    case "shopify_unavailable":
+      return t("shopify.unavailable");
+    case "shopify_unauthorized":
+      return t("shopify.unauthorized");
+    case "invalid":
+      return t("shopify.invalid");
+    default:
+      return null;
+  }
+}
+
+module.exports = {
+  shopifyFailureMessage,
+};
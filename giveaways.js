@@ -0,0 +1,424 @@
+// giveaways.js
+const crypto = require("crypto");
+const { systemClock, channelLogin, formatDuration } = require("./utils");
+const { render } = require("./templates");
+const { MAX_DROP_PERCENT, describeOffer } = require("./drops");
+const { deliverPersonalCode } = require("./delivery");
+const { getViewerStatus } = require("./viewerPolicy");
+
+const TICK_MS = 1000;
+const MIN_GIVEAWAY_DURATION_MS = 30 * 1000;
+const MAX_GIVEAWAY_DURATION_MS = 60 * 60 * 1000;
+const MAX_WINNERS = 20;
+// prizes are capped like !drop
+const MAX_GIVEAWAY_PERCENT = MAX_DROP_PERCENT;
+const DEFAULT_PRIZE_LIFETIME_MINUTES = 60;
+
+/**
+ * Entry filters from command args:
+ *   subs         subscribers only
+ *   followers    followers only
+ *   age:7d       accounts at least 7 days old ("age:7" works too)
+ *
+ * -> { subsOnly, followersOnly, minAccountAgeDays }, or null on an unknown token
+ */
+function parseFilters(tokens = []) {
+  const filters = { subsOnly: false, followersOnly: false, minAccountAgeDays: 0 };
+
+  for (const token of tokens) {
+    const value = String(token).toLowerCase();
+    const age = value.match(/^age[:=](\d+)d?$/);
+    if (value === "subs" || value === "subsonly") filters.subsOnly = true;
+    else if (value === "followers" || value === "followersonly") filters.followersOnly = true;
+    else if (age && Number(age[1]) > 0) filters.minAccountAgeDays = Number(age[1]);
+    else return null;
+  }
+  return filters;
+}
+
+/**
+ * Who may enter, as a chat phrase ("subs, accounts older than 7 days")
+ */
+function describeFilters(t, filters = {}) {
+  const rules = [];
+  if (filters.subsOnly) rules.push(t("giveaway.rules_subs"));
+  if (filters.followersOnly) rules.push(t("giveaway.rules_followers"));
+  if (filters.minAccountAgeDays) {
+    rules.push(t("giveaway.rules_age", { days: filters.minAccountAgeDays }));
+  }
+  return rules.length ? rules.join(", ") : t("giveaway.rules_everyone");
+}
+
+/**
+ * `count` distinct entrants, uniformly at random
+ */
+function pickWinners(entrants, count, randomInt = crypto.randomInt) {
+  const pool = entrants.slice();
+  const winners = [];
+  while (winners.length < count && pool.length) {
+    winners.push(pool.splice(randomInt(pool.length), 1)[0]);
+  }
+  return winners;
+}
+
+/**
+ * Chat raffles for personal discount codes, one open giveaway per channel.
+ *
+ * The open giveaway (offer, filters, entrants, end time) is kept in the
+ * store (`giveaway:<login>`), so entries survive a restart. When it ends,
+ * each winner gets a code through the normal viewer discount path
+ * (backend.requestViewerDiscount + claims + code delivery). Winners not
+ * paid yet stay in the store ("payout") until they are, so a restart
+ * mid-payout picks up where it stopped.
+ *
+ * Prize codes last settings.giveaway.prizeLifetimeMinutes (default 60).
+ *
+ * deps: { backend, store, clock, claims, channelSettings, analytics, viewerInfo,
+ *         say(login, text), contextFor(channel, viewer, commandName) -> ctx,
+ *         channels() -> joined logins, randomInt? }
+ */
+function createGiveaways(deps) {
+  const { backend, store, claims, channelSettings, analytics, viewerInfo, say } = deps;
+  const clock = deps.clock || systemClock;
+  const channels = deps.channels || (() => []);
+  const randomInt = deps.randomInt || crypto.randomInt;
+
+  // login -> open giveaway (null once we know there is none)
+  const giveaways = new Map();
+  const drawing = new Set();
+  let tickTimer = null;
+
+  async function persist(login) {
+    const giveaway = giveaways.get(login);
+    if (giveaway) await store.set(`giveaway:${login}`, "current", giveaway);
+    else await store.delete(`giveaway:${login}`, "current");
+  }
+
+  async function current(login) {
+    if (!giveaways.has(login)) {
+      giveaways.set(login, (await store.get(`giveaway:${login}`, "current")) || null);
+    }
+    return giveaways.get(login);
+  }
+
+  // chat lines in the channel's locale / overrides
+  async function translator(login) {
+    const settings = channelSettings ? await channelSettings.get(login) : {};
+    return (key, vars) => render(key, { channel: login, ...vars }, settings);
+  }
+
+  /**
+   * Open a giveaway.
+   * options: { winners, offer: { valueType, value }, durationMs, filters, startedBy }
+   * -> { ok, giveaway } | { ok: false, reason: "running", giveaway }
+   */
+  async function open(channel, { winners, offer, durationMs, filters = {}, startedBy = null }) {
+    const login = channelLogin(channel);
+    const running = await current(login);
+    if (running) return { ok: false, reason: "running", giveaway: running };
+
+    const now = clock.now();
+    const giveaway = {
+      id: String(now),
+      winners,
+      offer: { valueType: offer.valueType, value: offer.value },
+      filters: { subsOnly: false, followersOnly: false, minAccountAgeDays: 0, ...filters },
+      startedBy,
+      startedAt: now,
+      endsAt: now + durationMs,
+      entrants: [],
+    };
+    giveaways.set(login, giveaway);
+    await persist(login);
+    console.log(`[GIVEAWAY] ${login} opened ${giveaway.id} (${winners} winners)`);
+    return { ok: true, giveaway };
+  }
+
+  /**
+   * Why this viewer can't enter, or null if they can
+   */
+  async function entryDenial(login, filters, tags, viewerId) {
+    if (filters.subsOnly && !getViewerStatus(tags).subscriber) return "subs_only";
+
+    if (filters.followersOnly) {
+      const follows = viewerInfo ? await viewerInfo.isFollower(login, viewerId) : null;
+      if (follows == null) return "unverified";
+      if (!follows) return "followers_only";
+    }
+
+    if (filters.minAccountAgeDays) {
+      const days = viewerInfo ? await viewerInfo.accountAgeDays(login, viewerId) : null;
+      if (days == null) return "unverified";
+      if (days < filters.minAccountAgeDays) return "account_too_new";
+    }
+    return null;
+  }
+
+  /**
+   * -> { ok, entries } | { ok: false, reason: "closed" | "already_entered"
+   *    | "subs_only" | "followers_only" | "account_too_new" | "unverified", giveaway }
+   */
+  async function enter(channel, tags) {
+    const login = channelLogin(channel);
+    const giveaway = await current(login);
+    if (!giveaway || clock.now() >= giveaway.endsAt) return { ok: false, reason: "closed" };
+
+    const displayName = tags["display-name"] || tags.username;
+    const viewer = {
+      id: tags["user-id"] || displayName.toLowerCase(),
+      login: tags.username,
+      displayName,
+    };
+    if (giveaway.entrants.some((e) => e.id === viewer.id)) {
+      return { ok: false, reason: "already_entered", giveaway };
+    }
+
+    const denial = await entryDenial(login, giveaway.filters, tags, viewer.id);
+    if (denial) return { ok: false, reason: denial, giveaway };
+
+    // the giveaway may have been drawn or cancelled while we looked the viewer up
+    if (giveaways.get(login) !== giveaway) return { ok: false, reason: "closed" };
+
+    giveaway.entrants.push(viewer);
+    await persist(login);
+    return { ok: true, entries: giveaway.entrants.length, giveaway };
+  }
+
+  /**
+   * Close without drawing
+   */
+  async function cancel(channel) {
+    const login = channelLogin(channel);
+    const giveaway = await current(login);
+    if (!giveaway) return null;
+
+    giveaways.set(login, null);
+    await persist(login);
+    console.log(`[GIVEAWAY] ${login} cancelled ${giveaway.id}`);
+    return giveaway;
+  }
+
+  /**
+   * One winner's prize, through the viewer discount path.
+   * -> code, or null if the backend wouldn't create one
+   */
+  async function payWinner(login, giveaway, winner, session) {
+    const ctx = await deps.contextFor(`#${login}`, winner, "giveaway");
+    const lifetimeMinutes =
+      Number(ctx.settings?.giveaway?.prizeLifetimeMinutes) || DEFAULT_PRIZE_LIFETIME_MINUTES;
+    const policy = {
+      tier: "giveaway",
+      valueType: giveaway.offer.valueType,
+      value: giveaway.offer.value,
+      lifetimeMinutes,
+      oncePerCustomer: true,
+    };
+
+    let result;
+    try {
+      result = await backend.requestViewerDiscount(login, winner, policy, session);
+    } catch (err) {
+      console.error(`[GIVEAWAY] Prize for ${winner.login} failed:`, err?.message || err);
+    }
+
+    if (!result?.ok || !result.discountCode) {
+      console.error(`[GIVEAWAY] No prize code for ${winner.login} in ${login}:`, result);
+      await ctx.track("discount.failed", {
+        reason: result?.reason || "bad_response",
+        source: "giveaway",
+      });
+      ctx.say(ctx.t("giveaway.prize_failed"));
+      return null;
+    }
+
+    const code = result.discountCode;
+    await claims.setUserDiscount(
+      ctx.channel,
+      winner.id,
+      code,
+      lifetimeMinutes * 60 * 1000,
+      winner.displayName
+    );
+    await ctx.track("discount.issued", {
+      code,
+      tier: "giveaway",
+      valueType: policy.valueType,
+      value: policy.value,
+      source: "giveaway",
+    });
+
+    const vars = {
+      code,
+      offer: describeOffer(ctx.t, policy, ctx.settings),
+      lifetime: formatDuration(lifetimeMinutes * 60 * 1000),
+    };
+    await deliverPersonalCode(
+      ctx,
+      code,
+      ctx.t("giveaway.prize", vars),
+      ctx.t("delivery.whisper_offer", vars)
+    );
+    return code;
+  }
+
+  /**
+   * Pay the winners one by one, keeping the rest in the store
+   * -> [{ ...viewer, code }]
+   */
+  async function payOut(login, giveaway, pending) {
+    const session = analytics ? await analytics.session(login) : null;
+    const winners = [];
+    while (pending.length) {
+      const winner = pending[0];
+      winners.push({ ...winner, code: await payWinner(login, giveaway, winner, session) });
+      pending.shift();
+      if (pending.length) await store.set(`giveaway:${login}`, "payout", { giveaway, pending });
+      else await store.delete(`giveaway:${login}`, "payout");
+    }
+    return winners;
+  }
+
+  /**
+   * Close the giveaway, pick winners and hand out their codes.
+   * -> { giveaway, winners: [{ ...viewer, code }] }, or null if none was open
+   */
+  async function draw(channel) {
+    const login = channelLogin(channel);
+    const giveaway = await current(login);
+    if (!giveaway || drawing.has(login)) return null;
+
+    drawing.add(login);
+    try {
+      const picked = pickWinners(giveaway.entrants, giveaway.winners, randomInt);
+      if (picked.length) {
+        await store.set(`giveaway:${login}`, "payout", { giveaway, pending: picked });
+      }
+      giveaways.set(login, null);
+      await persist(login);
+
+      const t = await translator(login);
+      console.log(
+        `[GIVEAWAY] ${login} drew ${picked.length}/${giveaway.entrants.length} in ${giveaway.id}`
+      );
+
+      if (!picked.length) {
+        say(login, t("giveaway.no_entries"));
+        return { giveaway, winners: [] };
+      }
+
+      say(
+        login,
+        t("giveaway.winners", {
+          winners: picked.map((w) => `@${w.displayName}`).join(", "),
+          entries: giveaway.entrants.length,
+        })
+      );
+
+      return { giveaway, winners: await payOut(login, giveaway, picked.slice()) };
+    } finally {
+      drawing.delete(login);
+    }
+  }
+
+  /**
+   * Pay winners left over from a draw that was interrupted
+   * -> [{ ...viewer, code }]
+   */
+  async function resumePayout(login) {
+    const payout = await store.get(`giveaway:${login}`, "payout");
+    if (!payout?.pending?.length || drawing.has(login)) return [];
+
+    drawing.add(login);
+    try {
+      // stopped between saving the winners and closing the giveaway
+      if ((await current(login))?.id === payout.giveaway.id) {
+        giveaways.set(login, null);
+        await persist(login);
+      }
+      console.log(`[GIVEAWAY] ${login} resuming payout for ${payout.pending.length} winners`);
+      return await payOut(login, payout.giveaway, payout.pending);
+    } finally {
+      drawing.delete(login);
+    }
+  }
+
+  /**
+   * Open giveaway for !giveaway status: { giveaway, entries, remainingMs } or null
+   */
+  async function status(channel) {
+    const giveaway = await current(channelLogin(channel));
+    if (!giveaway) return null;
+    return {
+      giveaway,
+      entries: giveaway.entrants.length,
+      remainingMs: Math.max(0, giveaway.endsAt - clock.now()),
+    };
+  }
+
+  /**
+   * Pick up a giveaway that was open (or paying out) before a restart
+   */
+  async function load(channel) {
+    const login = channelLogin(channel);
+    giveaways.delete(login);
+    await resumePayout(login);
+    return current(login);
+  }
+
+  /**
+   * Draws every giveaway whose time is up
+   */
+  async function tick() {
+    const now = clock.now();
+    for (const [login, giveaway] of giveaways) {
+      if (!giveaway || giveaway.endsAt > now) continue;
+      try {
+        await draw(login);
+      } catch (err) {
+        console.error(`[GIVEAWAY] Draw failed for ${login}:`, err?.message || err);
+      }
+    }
+  }
+
+  function start() {
+    stop();
+    for (const login of channels()) {
+      load(login).catch((err) => {
+        console.error(`[GIVEAWAY] Load failed for ${login}:`, err?.message || err);
+      });
+    }
+    tickTimer = setInterval(() => {
+      tick().catch((err) => console.error("[GIVEAWAY] Tick failed:", err));
+    }, TICK_MS);
+    tickTimer.unref?.();
+  }
+
+  function stop() {
+    if (tickTimer) clearInterval(tickTimer);
+    tickTimer = null;
+  }
+
+  return {
+    open,
+    enter,
+    cancel,
+    draw,
+    status,
+    load,
+    resumePayout,
+    tick,
+    start,
+    stop,
+  };
+}
+
+module.exports = {
+  MIN_GIVEAWAY_DURATION_MS,
+  MAX_GIVEAWAY_DURATION_MS,
+  MAX_WINNERS,
+  MAX_GIVEAWAY_PERCENT,
+  parseFilters,
+  describeFilters,
+  pickWinners,
+  createGiveaways,
+};
@@ -0,0 +1,211 @@
+// liveStatus.js
+const axios = require("axios");
+const { systemClock, channelLogin } = require("./utils");
+
+const HELIX_STREAMS_URL = "https://api.twitch.tv/helix/streams";
+const LIVE_STATUS_TTL_MS = 60 * 1000;
+const SOURCES = new Set(["backend", "helix", "mock"]);
+
+// commands blocked offline when a channel sets blockWhenOffline: true
+const DEFAULT_OFFLINE_BLOCKED = ["discount", "drop"];
+
+/**
+ * settings.blockWhenOffline: true (discount + drop) or a list of command names
+ */
+function isBlockedOffline(settings, commandName) {
+  const value = settings?.blockWhenOffline;
+  if (value === true) return DEFAULT_OFFLINE_BLOCKED.includes(commandName);
+  if (Array.isArray(value)) return value.map((c) => String(c).toLowerCase()).includes(commandName);
+  return false;
+}
+
+/**
+ * ms timestamp from a number or an ISO date (backend / pushed events), or null
+ */
+function toMs(value) {
+  if (value == null || value === "") return null;
+  const ms = typeof value === "number" ? value : Date.parse(value);
+  return Number.isFinite(ms) ? ms : null;
+}
+
+/**
+ * Online/offline state per channel, and the stream it belongs to.
+ *
+ * source:
+ *   backend: GET /api/streamers/:login/live -> { ok, live, stream: { id, startedAt } }
+ *   helix:   GET /helix/streams?user_login=<login> (helix: { clientId, token })
+ *   mock:    nothing is fetched; only set() (pushed stream.online / offline
+ *            events, tests, local dev) changes the state
+ *
+ * A channel we know nothing about counts as live, so a backend outage
+ * never blocks commands. The last seen stream id is kept in the store
+ * (`live:<login>`), so a restart mid-stream isn't mistaken for a new stream.
+ *
+ * onStreamStart(login, stream) / onStreamEnd(login, stream) fire on changes.
+ */
+function createLiveStatus({
+  backend,
+  store,
+  helix,
+  source = "backend",
+  clock = systemClock,
+  http = axios,
+  ttlMs = LIVE_STATUS_TTL_MS,
+  channels = () => [],
+  onStreamStart = () => {},
+  onStreamEnd = () => {},
+}) {
+  if (!SOURCES.has(source)) {
+    console.warn(`[LIVE] Unknown live status source "${source}", using mock`);
+    source = "mock";
+  }
+
+  // login -> { live, stream, checkedAt }
+  const states = new Map();
+  let pollTimer = null;
+
+  async function fetchFromBackend(login) {
+    const data = await backend.call(`/api/streamers/${encodeURIComponent(login)}/live`, "GET");
+    if (!data?.ok || typeof data.live !== "boolean") return null;
+    return { live: data.live, stream: data.live ? data.stream || null : null };
+  }
+
+  async function fetchFromHelix(login) {
+    if (!helix?.clientId || !helix?.token) return null;
+    const res = await http.get(HELIX_STREAMS_URL, {
+      params: { user_login: login },
+      headers: {
+        "Client-Id": helix.clientId,
+        Authorization: `Bearer ${String(helix.token).replace(/^oauth:/, "")}`,
+      },
+      timeout: 10_000,
+      validateStatus: () => true,
+    });
+    if (res.status !== 200 || !Array.isArray(res.data?.data)) return null;
+
+    const stream = res.data.data[0];
+    if (!stream) return { live: false, stream: null };
+    return {
+      live: stream.type === "live",
+      stream: { id: String(stream.id), startedAt: Date.parse(stream.started_at) || null },
+    };
+  }
+
+  async function fetchStatus(login) {
+    try {
+      if (source === "backend") return await fetchFromBackend(login);
+      if (source === "helix") return await fetchFromHelix(login);
+    } catch (err) {
+      console.error(`[LIVE] Status check failed for ${login}:`, err?.message || err);
+    }
+    return null;
+  }
+
+  /**
+   * Record a new status and fire start/end callbacks on transitions
+   */
+  async function apply(login, { live, stream }) {
+    const previous = states.get(login);
+    const now = clock.now();
+    const known = await store.get(`live:${login}`, "stream");
+
+    let current = null;
+    if (live) {
+      const startedAt = toMs(stream?.startedAt);
+      const id = stream?.id ? String(stream.id) : startedAt ? String(startedAt) : null;
+      if (id) {
+        const startedAtKnown = known?.id === id ? known.startedAt : null;
+        current = { id, startedAt: startedAt || startedAtKnown || now };
+      } else {
+        // nothing identifies the stream: a channel that's already live keeps its stream
+        current = (previous?.live && previous.stream) || known;
+        current = current || { id: String(now), startedAt: now };
+      }
+    }
+    states.set(login, { live, stream: current, checkedAt: now });
+
+    if (live && known?.id !== current.id) {
+      await store.set(`live:${login}`, "stream", current);
+      console.log(`[LIVE] ${login} went live (stream ${current.id})`);
+      await onStreamStart(login, current);
+    } else if (!live && (previous?.live || known)) {
+      await store.delete(`live:${login}`, "stream");
+      console.log(`[LIVE] ${login} went offline`);
+      await onStreamEnd(login, previous?.stream || known);
+    }
+    return states.get(login);
+  }
+
+  /**
+   * -> { live, stream, checkedAt }, or null if the status is unknown
+   */
+  async function get(channel) {
+    const login = channelLogin(channel);
+    const cached = states.get(login);
+    if (source === "mock" || (cached && clock.now() - cached.checkedAt < ttlMs)) {
+      return cached || null;
+    }
+
+    const status = await fetchStatus(login);
+    if (!status) return cached || null;
+    return apply(login, status);
+  }
+
+  async function isLive(channel) {
+    const status = await get(channel);
+    return status ? status.live : true;
+  }
+
+  /**
+   * Pushed status (backend / EventSub events, or the local mock)
+   */
+  async function set(channel, { live, stream = null } = {}) {
+    return apply(channelLogin(channel), { live: Boolean(live), stream });
+  }
+
+  // last known status without fetching
+  function peek(channel) {
+    return states.get(channelLogin(channel)) || null;
+  }
+
+  async function pollAll() {
+    for (const login of channels()) {
+      try {
+        await get(login);
+      } catch (err) {
+        console.error(`[LIVE] Poll failed for ${login}:`, err?.message || err);
+      }
+    }
+  }
+
+  function start() {
+    stop();
+    if (source === "mock") return;
+    pollTimer = setInterval(() => {
+      pollAll().catch(() => {});
+    }, ttlMs);
+    pollTimer.unref?.();
+  }
+
+  function stop() {
+    if (pollTimer) clearInterval(pollTimer);
+    pollTimer = null;
+  }
+
+  return {
+    get,
+    isLive,
+    set,
+    peek,
+    pollAll,
+    start,
+    stop,
+  };
+}
+
+module.exports = {
+  LIVE_STATUS_TTL_MS,
+  DEFAULT_OFFLINE_BLOCKED,
+  isBlockedOffline,
+  createLiveStatus,
+};
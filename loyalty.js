@@ -0,0 +1,321 @@
+// loyalty.js
+const { systemClock, channelLogin } = require("./utils");
+const { normalizeDropSpec } = require("./dropSpec");
+
+const TICK_MS = 60 * 1000;
+const LEADERBOARD_SIZE = 5;
+const DEFAULT_REWARD_LIFETIME_MINUTES = 30;
+const MAX_REWARD_LIFETIME_MINUTES = 24 * 60;
+
+const LOYALTY_DEFAULTS = {
+  chatPoints: 5,
+  chatCooldownSeconds: 60,
+  minMessageLength: 3,
+  presencePoints: 10,
+  presenceMinutes: 10,
+};
+
+/**
+ * Per-channel points rules, from settings:
+ *
+ *   loyalty: {
+ *     enabled: true,              // false turns earning and spending off
+ *     chatPoints: 5,              // per chat message ...
+ *     chatCooldownSeconds: 60,    // ... at most once per this window
+ *     minMessageLength: 3,        // shorter messages earn nothing
+ *     presencePoints: 10,         // every presenceMinutes to everyone who
+ *     presenceMinutes: 10,        //   chatted in that window, while live
+ *     rewards: [
+ *       { id: "big", cost: 500, percent: 25, lifetimeMinutes: 30 },
+ *       { id: "fiver", cost: 800, valueType: "fixed_amount", value: 5 },
+ *     ],
+ *   }
+ */
+function loyaltySettings(settings) {
+  const raw = settings?.loyalty || {};
+  const number = (key) => {
+    const value = Number(raw[key]);
+    return Number.isFinite(value) && value >= 0 ? value : LOYALTY_DEFAULTS[key];
+  };
+
+  return {
+    enabled: raw.enabled !== false,
+    chatPoints: Math.floor(number("chatPoints")),
+    chatCooldownMs: number("chatCooldownSeconds") * 1000,
+    minMessageLength: number("minMessageLength"),
+    presencePoints: Math.floor(number("presencePoints")),
+    presenceMs: Math.max(1, number("presenceMinutes")) * 60 * 1000,
+  };
+}
+
+/**
+ * The channel's reward catalog -> [{ id, cost, valueType, value, lifetimeMinutes, label }]
+ * Rewards without a usable cost or discount value are skipped.
+ */
+function listRewards(settings) {
+  const raw = settings?.loyalty?.rewards;
+  if (!Array.isArray(raw)) return [];
+
+  const rewards = [];
+  for (const reward of raw) {
+    const id = String(reward?.id || "").trim().toLowerCase();
+    const cost = Math.floor(Number(reward?.cost));
+    const spec = normalizeDropSpec({
+      valueType: reward?.valueType,
+      value: reward?.value,
+      percent: reward?.percent,
+    });
+    if (!id || !(cost > 0) || !spec || spec.valueType === "free_shipping") continue;
+
+    const lifetime = Number(reward.lifetimeMinutes);
+    rewards.push({
+      id,
+      cost,
+      valueType: spec.valueType,
+      value: spec.value,
+      lifetimeMinutes: lifetime > 0
+        ? Math.min(MAX_REWARD_LIFETIME_MINUTES, lifetime)
+        : DEFAULT_REWARD_LIFETIME_MINUTES,
+      label: reward.label || null,
+    });
+  }
+  return rewards;
+}
+
+function getReward(settings, id) {
+  const wanted = String(id || "").trim().toLowerCase();
+  return listRewards(settings).find((r) => r.id === wanted) || null;
+}
+
+/**
+ * Points balances per channel (`points:<login>`, keyed by viewer id).
+ *
+ * Viewers earn for chatting (rate limited, repeats and very short
+ * messages don't count) and for being active while the stream is live.
+ * What counts as recent activity is kept in memory only.
+ *
+ * deps: { store, clock, channelSettings, isLive(login), channels() -> joined logins }
+ */
+function createLoyalty(deps) {
+  const { store, channelSettings } = deps;
+  const clock = deps.clock || systemClock;
+  const isLive = deps.isLive || (() => true);
+  const channels = deps.channels || (() => []);
+
+  // login -> Map(viewerId -> { viewer, lastSeenAt, lastEarnedAt, lastMessage })
+  const activity = new Map();
+  // login -> last presence payout
+  const presencePaidAt = new Map();
+  // balance updates run one at a time per channel
+  const locks = new Map();
+  let tickTimer = null;
+
+  function locked(login, fn) {
+    const previous = locks.get(login) || Promise.resolve();
+    const next = previous.then(fn, fn);
+    locks.set(login, next.catch(() => {}));
+    return next;
+  }
+
+  function viewerFromTags(tags) {
+    const displayName = tags["display-name"] || tags.username;
+    return {
+      id: tags["user-id"] || displayName.toLowerCase(),
+      login: tags.username,
+      displayName,
+    };
+  }
+
+  async function balance(channel, viewerId) {
+    const entry = await store.get(`points:${channelLogin(channel)}`, viewerId);
+    return entry || null;
+  }
+
+  /**
+   * Add (or with a negative amount, remove) points. Balances never go below 0.
+   * A refund gives points back without counting them as earned.
+   * -> the updated entry { id, login, displayName, balance, earned }
+   */
+  function add(channel, viewer, amount, { refund = false } = {}) {
+    const login = channelLogin(channel);
+    return locked(login, async () => {
+      const entry = (await store.get(`points:${login}`, viewer.id)) || {
+        id: viewer.id,
+        balance: 0,
+        earned: 0,
+      };
+      entry.login = viewer.login || entry.login;
+      entry.displayName = viewer.displayName || entry.displayName || viewer.login;
+      entry.balance = Math.max(0, entry.balance + amount);
+      if (amount > 0 && !refund) entry.earned += amount;
+      await store.set(`points:${login}`, viewer.id, entry);
+      return entry;
+    });
+  }
+
+  /**
+   * Take `cost` points if the viewer has them.
+   * -> { ok, balance } | { ok: false, reason: "insufficient", balance }
+   */
+  function spend(channel, viewerId, cost) {
+    const login = channelLogin(channel);
+    return locked(login, async () => {
+      const entry = await store.get(`points:${login}`, viewerId);
+      const current = entry?.balance || 0;
+      if (!entry || current < cost) {
+        return { ok: false, reason: "insufficient", balance: current };
+      }
+      entry.balance = current - cost;
+      await store.set(`points:${login}`, viewerId, entry);
+      return { ok: true, balance: entry.balance };
+    });
+  }
+
+  /**
+   * Find a viewer's balance by login (for !points <user> and mod grants).
+   * Someone who chatted recently but has no points yet gets an empty entry.
+   */
+  async function findByLogin(channel, viewerLogin) {
+    const login = channelLogin(channel);
+    const wanted = String(viewerLogin || "").replace(/^@/, "").toLowerCase();
+    const entries = await store.list(`points:${login}`);
+    const match = entries.find(({ value }) => String(value?.login || "").toLowerCase() === wanted);
+    if (match) return match.value;
+
+    for (const { viewer } of activity.get(login)?.values() || []) {
+      if (String(viewer.login || "").toLowerCase() === wanted) {
+        return { ...viewer, balance: 0, earned: 0 };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Top balances, highest first
+   */
+  async function leaderboard(channel, limit = LEADERBOARD_SIZE) {
+    const entries = await store.list(`points:${channelLogin(channel)}`);
+    return entries
+      .map(({ value }) => value)
+      .filter((entry) => entry?.balance > 0)
+      .sort((a, b) => b.balance - a.balance || a.displayName.localeCompare(b.displayName))
+      .slice(0, limit);
+  }
+
+  /**
+   * 1-based position on the leaderboard, or null without points
+   */
+  async function rank(channel, viewerId) {
+    const board = await leaderboard(channel, Infinity);
+    const index = board.findIndex((entry) => entry.id === viewerId);
+    return index === -1 ? null : index + 1;
+  }
+
+  /**
+   * Every chat line passes through here (commands included, they only
+   * count as presence). -> points earned by this message
+   */
+  async function onMessage(channel, tags, message, settings, { isCommand = false } = {}) {
+    const rules = loyaltySettings(settings);
+    if (!rules.enabled) return 0;
+
+    const login = channelLogin(channel);
+    const viewer = viewerFromTags(tags);
+    const now = clock.now();
+
+    if (!activity.has(login)) activity.set(login, new Map());
+    const seen = activity.get(login);
+    const state = seen.get(viewer.id) || { lastEarnedAt: -Infinity, lastMessage: null };
+    state.viewer = viewer;
+    state.lastSeenAt = now;
+    seen.set(viewer.id, state);
+
+    if (isCommand || !rules.chatPoints) return 0;
+
+    const text = String(message || "").trim().toLowerCase();
+    if (text.length < rules.minMessageLength) return 0;
+    if (text === state.lastMessage) return 0;
+    state.lastMessage = text;
+    if (now - state.lastEarnedAt < rules.chatCooldownMs) return 0;
+    if (!(await isLive(login))) return 0;
+
+    state.lastEarnedAt = now;
+    await add(login, viewer, rules.chatPoints);
+    return rules.chatPoints;
+  }
+
+  /**
+   * Presence payout: viewers active in the last window get presencePoints
+   */
+  async function payPresence(login) {
+    const settings = channelSettings ? await channelSettings.get(login) : {};
+    const rules = loyaltySettings(settings);
+    const now = clock.now();
+
+    const lastPaid = presencePaidAt.get(login);
+    if (lastPaid == null) {
+      presencePaidAt.set(login, now);
+      return 0;
+    }
+    if (now - lastPaid < rules.presenceMs) return 0;
+    presencePaidAt.set(login, now);
+
+    const seen = activity.get(login) || new Map();
+    // forget viewers who went quiet
+    for (const [id, state] of seen) {
+      if (now - state.lastSeenAt > rules.presenceMs) seen.delete(id);
+    }
+    if (!rules.enabled || !rules.presencePoints || !seen.size) return 0;
+    if (!(await isLive(login))) return 0;
+
+    for (const { viewer } of seen.values()) {
+      await add(login, viewer, rules.presencePoints);
+    }
+    return seen.size;
+  }
+
+  async function tick() {
+    for (const login of channels()) {
+      try {
+        await payPresence(login);
+      } catch (err) {
+        console.error(`[POINTS] Presence payout failed for ${login}:`, err?.message || err);
+      }
+    }
+  }
+
+  function start() {
+    stop();
+    tickTimer = setInterval(() => {
+      tick().catch((err) => console.error("[POINTS] Tick failed:", err));
+    }, TICK_MS);
+    tickTimer.unref?.();
+  }
+
+  function stop() {
+    if (tickTimer) clearInterval(tickTimer);
+    tickTimer = null;
+  }
+
+  return {
+    onMessage,
+    balance,
+    add,
+    spend,
+    findByLogin,
+    leaderboard,
+    rank,
+    payPresence,
+    tick,
+    start,
+    stop,
+  };
+}
+
+module.exports = {
+  LOYALTY_DEFAULTS,
+  loyaltySettings,
+  listRewards,
+  getReward,
+  createLoyalty,
+};
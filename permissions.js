@@ -0,0 +1,93 @@
+// permissions.js
+
+/**
+ * Roles, lowest to highest. A user with a higher role may run anything
+ * a lower role may run.
+ */
+const ROLES = ["viewer", "subscriber", "vip", "moderator", "broadcaster", "owner"];
+
+function roleRank(role) {
+  const rank = ROLES.indexOf(role);
+  return rank === -1 ? 0 : rank;
+}
+
+function normalizeRole(role) {
+  const value = String(role || "").trim().toLowerCase();
+  if (value === "mod") return "moderator";
+  if (value === "streamer") return "broadcaster";
+  if (value === "sub") return "subscriber";
+  return ROLES.includes(value) ? value : null;
+}
+
+/**
+ * Highest role the chatter has, from tmi tags (+ OWNER_USERNAME)
+ */
+function getUserRole(tags, ownerUsername = "") {
+  const badges = tags.badges || {};
+  const login = String(tags.username || "").toLowerCase();
+
+  if (ownerUsername && login === ownerUsername.toLowerCase()) return "owner";
+  if (badges.broadcaster === "1") return "broadcaster";
+  if (tags.mod === true || badges.moderator === "1") return "moderator";
+  if (tags.vip === true || badges.vip === "1") return "vip";
+  if (tags.subscriber === true || badges.subscriber || badges.founder) {
+    return "subscriber";
+  }
+  return "viewer";
+}
+
+/**
+ * Resolve what a user may do with a command in a channel.
+ *
+ * The command declares its default `permission`; the channel can override it
+ * through backend settings:
+ *
+ *   settings.commandPermissions = {
+ *     drop: {
+ *       role: "moderator",               // required role
+ *       allow: ["trusted_user"],         // always allowed (logins)
+ *       limits: { moderator: { maxPercent: 20 } }, // per-role extras
+ *     },
+ *   }
+ *
+ * returns { allowed, role, required, limits }
+ */
+function resolvePermission(command, tags, settings, ownerUsername) {
+  const override = settings?.commandPermissions?.[command.name] || {};
+  const role = getUserRole(tags, ownerUsername);
+
+  // the bot owner role can't be handed out by a channel
+  let required = normalizeRole(override.role) || command.permission || "viewer";
+  if (command.permission === "owner") required = "owner";
+
+  const login = String(tags.username || "").toLowerCase();
+  const allowList = Array.isArray(override.allow)
+    ? override.allow.map((u) => String(u).toLowerCase())
+    : [];
+
+  const allowed =
+    roleRank(role) >= roleRank(required) ||
+    (required !== "owner" && allowList.includes(login));
+
+  const limits = { ...(override.limits?.[role] || {}) };
+
+  return { allowed, role, required, limits };
+}
+
+/**
+ * The one denial message every command uses ("command.denied" template).
+ * t: ctx.t, command: "!drop"
+ */
+function denialMessage(t, required, command) {
+  const role = ROLES.includes(required) ? required : "viewer";
+  return t("command.denied", { roles: t(`role.${role}`), command });
+}
+
+module.exports = {
+  ROLES,
+  roleRank,
+  normalizeRole,
+  getUserRole,
+  resolvePermission,
+  denialMessage,
+};
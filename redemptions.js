@@ -0,0 +1,178 @@
+// redemptions.js
+const { channelLogin } = require("./utils");
+const { render } = require("./templates");
+
+// long enough to answer !dropstats for the rest of the stream
+const REDEMPTION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const DEFAULT_ANNOUNCE_INTERVAL_MS = 60 * 1000;
+// webhook order ids kept per code to drop redeliveries
+const MAX_ORDER_IDS = 200;
+
+/**
+ * settings.redemptionAnnouncements, e.g.
+ *   { drop: true, viewers: false, intervalSeconds: 60 }
+ * drop: "🔥 7 people have used the drop code so far!" (on by default)
+ * viewers: "@viewer just used their code 🎉" (opt-in)
+ * intervalSeconds: minimum gap between drop count announcements
+ */
+function announcementSettings(settings) {
+  const raw = settings?.redemptionAnnouncements || {};
+  const seconds = Number(raw.intervalSeconds);
+  return {
+    drop: raw.drop !== false,
+    viewers: raw.viewers === true,
+    intervalMs:
+      Number.isFinite(seconds) && seconds >= 0 ? seconds * 1000 : DEFAULT_ANNOUNCE_INTERVAL_MS,
+  };
+}
+
+/**
+ * Code usage reported by the backend (Shopify usage polling or
+ * orders/create webhooks), tied back to the channel's drop or to the
+ * viewer who claimed a personal code.
+ *
+ * Counts live in the store under `redemptions:<login>`, keyed by code:
+ *   { code, kind: "drop" | "viewer", count, orderIds, userId?, viewer?, firstAt, lastAt }
+ *
+ * deps: { store, clock, drops, claims, channelSettings, analytics?, say(login, text) }
+ */
+function createRedemptionTracker({
+  store,
+  clock,
+  drops,
+  claims,
+  channelSettings,
+  analytics,
+  say,
+}) {
+  // login -> when the drop count was last announced
+  const lastAnnouncedAt = new Map();
+
+  function namespace(login) {
+    return `redemptions:${login}`;
+  }
+
+  /**
+   * Which drop / viewer a code belongs to, or null if the bot never handed it out
+   */
+  async function identify(login, code) {
+    const state = await drops.load(login);
+    if (state.code && state.code.toUpperCase() === code) {
+      return { code: state.code, kind: "drop" };
+    }
+
+    const claim = await claims.findByCode(`#${login}`, code);
+    if (claim) {
+      return { code: claim.code, kind: "viewer", userId: claim.userId, viewer: claim.username };
+    }
+    return null;
+  }
+
+  /**
+   * One usage report for `channel`:
+   *   { code, usageCount }  from polling (absolute count)
+   *   { code, orderId }     from a webhook (one order, deduped by id)
+   *                         plus orderTotal / currency for revenue reports
+   *
+   * returns { ok: true, kind, count, announced } or
+   * { ok: false, reason: "unknown_code" | "bad_request" }; unknown codes
+   * (e.g. an earlier drop's, after the next drop replaced it) are `ignored`
+   */
+  async function record(channel, { code, usageCount, orderId, orderTotal, currency } = {}) {
+    const login = channelLogin(channel);
+    const wanted = String(code || "").trim().toUpperCase();
+    if (!login || !wanted) return { ok: false, reason: "bad_request" };
+
+    let entry = await store.get(namespace(login), wanted);
+    if (!entry) {
+      const owner = await identify(login, wanted);
+      if (!owner) return { ok: false, reason: "unknown_code", ignored: true };
+      entry = { ...owner, count: 0, orderIds: [], firstAt: null, lastAt: null };
+    }
+
+    const previousCount = entry.count;
+    if (orderId != null) {
+      const id = String(orderId);
+      if (entry.orderIds.includes(id)) {
+        return { ok: true, kind: entry.kind, count: entry.count, announced: false };
+      }
+      entry.orderIds = [...entry.orderIds, id].slice(-MAX_ORDER_IDS);
+      entry.count += 1;
+    } else if (Number.isFinite(Number(usageCount))) {
+      entry.count = Math.max(entry.count, Number(usageCount));
+    } else {
+      entry.count += 1;
+    }
+
+    if (entry.count > previousCount) {
+      entry.firstAt = entry.firstAt || clock.now();
+      entry.lastAt = clock.now();
+    }
+    await store.set(namespace(login), wanted, entry, REDEMPTION_TTL_MS);
+
+    if (analytics && entry.count > previousCount) {
+      await analytics.track(login, "code.redeemed", {
+        code: entry.code,
+        kind: entry.kind,
+        uses: entry.count - previousCount,
+        viewerId: entry.userId || null,
+        viewer: entry.viewer || null,
+        orderId: orderId != null ? String(orderId) : null,
+        orderTotal: Number.isFinite(Number(orderTotal)) ? Number(orderTotal) : null,
+        currency: currency || null,
+      });
+    }
+
+    const announced = entry.count > previousCount && (await announce(login, entry, previousCount));
+    return { ok: true, kind: entry.kind, count: entry.count, announced };
+  }
+
+  async function announce(login, entry, previousCount) {
+    const settings = channelSettings ? await channelSettings.get(login) : {};
+    const options = announcementSettings(settings);
+    const t = (key, vars) => render(key, { channel: login, ...vars }, settings);
+
+    if (entry.kind === "viewer") {
+      if (!options.viewers || previousCount > 0 || !entry.viewer) return false;
+      say(login, t("redemptions.viewer", { viewer: entry.viewer, code: entry.code }));
+      return true;
+    }
+
+    if (!options.drop) return false;
+    const last = lastAnnouncedAt.get(login);
+    if (last != null && clock.now() - last < options.intervalMs) return false;
+
+    lastAnnouncedAt.set(login, clock.now());
+    say(login, t("redemptions.drop", { count: entry.count, code: entry.code }));
+    return true;
+  }
+
+  /**
+   * Redemptions of the channel's current (or last) drop
+   * -> { code, count, active, lastAt } or null when there was no drop
+   */
+  async function dropStats(channel) {
+    const login = channelLogin(channel);
+    const state = await drops.load(login);
+    if (!state.code) return null;
+
+    const entry = await store.get(namespace(login), state.code.toUpperCase());
+    return {
+      code: state.code,
+      count: entry?.count || 0,
+      active: Boolean(drops.getActiveDrop(login)),
+      lastAt: entry?.lastAt || null,
+    };
+  }
+
+  return {
+    record,
+    dropStats,
+  };
+}
+
+module.exports = {
+  REDEMPTION_TTL_MS,
+  announcementSettings,
+  createRedemptionTracker,
+};
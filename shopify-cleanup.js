@@ -0,0 +1,40 @@
+// shopify-cleanup.js
+// Deletes expired Dropify price rules from the env store (SHOPIFY_STORE_DOMAIN).
+//
+//   node shopify-cleanup.js --dry-run
+//   node shopify-cleanup.js --keep-days 30
+const { cleanupExpiredDiscounts, formatCleanupReport } = require("./shopify.js");
+
+function parseArgs(argv) {
+  const options = { dryRun: false, keepDays: 0 };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--dry-run") options.dryRun = true;
+    else if (argv[i] === "--keep-days") options.keepDays = Number(argv[++i]) || 0;
+    else if (argv[i] === "--batch-size") options.batchSize = Number(argv[++i]) || undefined;
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const report = await cleanupExpiredDiscounts(options);
+  if (report.ok === false) {
+    console.error(`❌ ${report.message}`);
+    process.exit(1);
+  }
+
+  for (const rule of report.deleted) {
+    const when = new Date(rule.endsAt).toISOString();
+    console.log(`${report.dryRun ? "would delete" : "deleted"} ${rule.id} "${rule.title}" (ended ${when})`);
+  }
+  for (const rule of report.failed) {
+    console.log(`failed ${rule.id} "${rule.title}": ${rule.error}`);
+  }
+  console.log(`✅ ${formatCleanupReport(report)}`);
+  if (report.failed.length) process.exitCode = 1;
+}
+
+main().catch((err) => {
+  console.error("❌ Cleanup failed:", err?.message || err);
+  process.exit(1);
+});
@@ -1,133 +1,64 @@
 require("dotenv").config();
-const axios = require("axios");
-
-const STORE_DOMAIN = process.env.SHOPIFY_STORE_DOMAIN;
-const ADMIN_TOKEN = process.env.SHOPIFY_ADMIN_TOKEN;
-const API_VERSION = process.env.SHOPIFY_API_VERSION || "2025-01";
-
-if (!STORE_DOMAIN || !ADMIN_TOKEN) {
-  throw new Error("Missing Shopify environment variables.");
-}
-
-const BASE_URL = `https://${STORE_DOMAIN}/admin/api/${API_VERSION}`;
+const { createShopifyClient } = require("./shopify/client");
+const { createStoreRegistry } = require("./shopify/registry");
+const errors = require("./shopify/errors");
+const cleanup = require("./shopify/cleanup");
+const redemptions = require("./shopify/redemptions");
 
 /* -----------------------------------
-   CREATE PERSONAL PRICE RULE
+   SINGLE-STORE DEFAULT (env)
+   SHOPIFY_STORE_DOMAIN, SHOPIFY_ADMIN_TOKEN, SHOPIFY_API_VERSION,
+   SHOPIFY_API_MODE = "rest" (legacy price_rules) | "graphql"
+   SHOPIFY_CODE_FORMAT / SHOPIFY_CODE_PREFIX / SHOPIFY_CODE_ALPHABET
+     e.g. "{PREFIX}-{RANDOM6}" / "DROP" (see shopify/codes.js)
+   Multi-store setups use createStoreRegistry instead.
 ----------------------------------- */
-async function createPriceRule() {
-  const body = {
-    price_rule: {
-      title: `Dropify Auto Rule ${Date.now()}`,
-      target_type: "line_item",
-      target_selection: "all",
-      allocation_method: "across",
-      value_type: "percentage",
-      value: "-10.0",
-
-      customer_selection: "all",
-      once_per_customer: false,
-      usage_limit: 1,
-
-      starts_at: new Date(Date.now() - 1000).toISOString(),
-      ends_at: new Date(Date.now() + 10 * 60 * 1000).toISOString(),
-    },
-  };
-
-  const res = await axios.post(`${BASE_URL}/price_rules.json`, body, {
-    headers: {
-      "X-Shopify-Access-Token": ADMIN_TOKEN,
-      "Content-Type": "application/json",
+let defaultClient = null;
+
+function getDefaultClient() {
+  if (defaultClient) return defaultClient;
+
+  const domain = process.env.SHOPIFY_STORE_DOMAIN;
+  const token = process.env.SHOPIFY_ADMIN_TOKEN;
+  if (!domain || !token) return null;
+
+  defaultClient = createShopifyClient({
+    domain,
+    token,
+    apiVersion: process.env.SHOPIFY_API_VERSION,
+    mode: process.env.SHOPIFY_API_MODE || "rest",
+    codes: {
+      format: process.env.SHOPIFY_CODE_FORMAT || undefined,
+      prefix: process.env.SHOPIFY_CODE_PREFIX || undefined,
+      alphabet: process.env.SHOPIFY_CODE_ALPHABET || undefined,
     },
   });
-
-  return res.data.price_rule;
+  return defaultClient;
 }
 
-/* -----------------------------------
-   CREATE PERSONAL DISCOUNT CODE
------------------------------------ */
-async function createDiscountCode(priceRuleId, username) {
-  const random = Math.floor(1000 + Math.random() * 9000);
-  const code = `DROP-${username.toUpperCase()}-${random}`;
-
-  const body = {
-    discount_code: { code },
-  };
-
-  const res = await axios.post(
-    `${BASE_URL}/price_rules/${priceRuleId}/discount_codes.json`,
-    body,
-    {
-      headers: {
-        "X-Shopify-Access-Token": ADMIN_TOKEN,
-        "Content-Type": "application/json",
-      },
-    }
-  );
+const NOT_CONNECTED = {
+  ok: false,
+  reason: "not_connected",
+  message: "Missing Shopify environment variables.",
+};
 
-  return {
-    code,
-    url: `https://${STORE_DOMAIN}/discount/${code}`,
-    id: res.data.discount_code.id,
-  };
+async function createDiscountForViewer(username, policy) {
+  const client = getDefaultClient();
+  if (!client) return { ...NOT_CONNECTED };
+  return client.createDiscountForViewer(username, policy);
 }
 
-/* -----------------------------------
-   PERSONAL VIEWER DROP
------------------------------------ */
-async function createDiscountForViewer(username) {
-  const priceRule = await createPriceRule();
-  const discount = await createDiscountCode(priceRule.id, username);
-  return discount;
+async function createGlobalDrop(code, percentOrSpec, durationMinutes = 10) {
+  const client = getDefaultClient();
+  if (!client) return { ...NOT_CONNECTED };
+  return client.createGlobalDrop(code, percentOrSpec, durationMinutes);
 }
 
-/* -----------------------------------
-   GLOBAL DROP
------------------------------------ */
-async function createGlobalDrop(code, percent) {
-  const body = {
-    price_rule: {
-      title: `Dropify Global Drop ${code}`,
-      target_type: "line_item",
-      target_selection: "all",
-      allocation_method: "across",
-      value_type: "percentage",
-      value: `-${percent}.0`,
-      customer_selection: "all",
-
-      usage_limit: null,
-      once_per_customer: false,
-
-      starts_at: new Date(Date.now() - 1000).toISOString(),
-      ends_at: new Date(Date.now() + 10 * 60 * 1000).toISOString(),
-    },
-  };
-
-  const ruleRes = await axios.post(`${BASE_URL}/price_rules.json`, body, {
-    headers: {
-      "X-Shopify-Access-Token": ADMIN_TOKEN,
-      "Content-Type": "application/json",
-    },
-  });
-
-  const priceRuleId = ruleRes.data.price_rule.id;
-
-  const codeBody = {
-    discount_code: { code },
-  };
-
-  const codeRes = await axios.post(
-    `${BASE_URL}/price_rules/${priceRuleId}/discount_codes.json`,
-    codeBody,
-    {
-      headers: {
-        "X-Shopify-Access-Token": ADMIN_TOKEN,
-        "Content-Type": "application/json",
-      },
-    }
-  );
-
-  return codeRes.data.discount_code;
+// expired Dropify rules on the env store; see shopify/cleanup.js for options
+async function cleanupExpiredDiscounts(options) {
+  const client = getDefaultClient();
+  if (!client) return { ...NOT_CONNECTED };
+  return cleanup.cleanupExpiredDiscounts(client, options);
 }
 
 /* -----------------------------------
@@ -136,4 +67,13 @@ async function createGlobalDrop(code, percent) {
 module.exports = {
   createDiscountForViewer,
   createGlobalDrop,
+  cleanupExpiredDiscounts,
+  cleanupAllStores: cleanup.cleanupAllStores,
+  formatCleanupReport: cleanup.formatCleanupReport,
+  // usage polling + orders/create webhooks (tie codes back to channels/drops)
+  ...redemptions,
+  createShopifyClient,
+  createStoreRegistry,
+  // typed errors + errorResult(err) -> { ok: false, reason, message }
+  ...errors,
 };
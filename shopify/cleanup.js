@@ -0,0 +1,124 @@
+// shopify/cleanup.js
+const { systemClock } = require("../utils");
+
+// titles the REST and GraphQL backends give their rules
+const DROPIFY_TITLE = /^Dropify (Auto Rule|Global Drop)\b/;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_BATCH_SIZE = 10;
+// between batches, on top of the transport's own call-limit waits
+const DEFAULT_PAUSE_MS = 1000;
+
+function isDropifyRule(rule) {
+  return DROPIFY_TITLE.test(String(rule?.title || ""));
+}
+
+/**
+ * Deletes expired Dropify price rules / code discounts from one store.
+ *
+ * client: a Shopify client (client.js) with listExpiredDiscounts/deleteDiscount
+ * options:
+ *   dryRun: list what would go, delete nothing
+ *   keepDays: keep rules that ended less than this many days ago (analytics)
+ *   batchSize / pauseMs: deletes per batch and the pause between batches
+ *
+ * Rules the bot didn't create are never touched. Returns a report:
+ * { dryRun, scanned, kept, deleted, failed } where deleted lists what
+ * would be removed on a dry run and failed carries each rule's error.
+ */
+async function cleanupExpiredDiscounts(
+  client,
+  {
+    dryRun = false,
+    keepDays = 0,
+    batchSize = DEFAULT_BATCH_SIZE,
+    pauseMs = DEFAULT_PAUSE_MS,
+    clock = systemClock,
+  } = {}
+) {
+  const now = clock.now();
+  const keepAfter = now - Math.max(0, Number(keepDays) || 0) * DAY_MS;
+
+  const expired = (await client.listExpiredDiscounts({ before: now })).filter(isDropifyRule);
+  const report = { dryRun, scanned: expired.length, kept: [], deleted: [], failed: [] };
+
+  const doomed = [];
+  for (const rule of expired) {
+    if (rule.endsAt >= keepAfter) report.kept.push(rule);
+    else doomed.push(rule);
+  }
+
+  if (dryRun) {
+    report.deleted = doomed;
+    return report;
+  }
+
+  const size = Math.max(1, Number(batchSize) || DEFAULT_BATCH_SIZE);
+  for (let i = 0; i < doomed.length; i += size) {
+    if (i > 0 && pauseMs > 0) await clock.sleep(pauseMs);
+
+    for (const rule of doomed.slice(i, i + size)) {
+      try {
+        await client.deleteDiscount(rule.id);
+        report.deleted.push(rule);
+      } catch (err) {
+        console.error(`[SHOPIFY] Could not delete expired rule ${rule.id}:`, err?.message || err);
+        report.failed.push({ ...rule, error: err?.message || String(err) });
+      }
+    }
+  }
+
+  return report;
+}
+
+/**
+ * Runs the cleanup for every store in the registry, one store at a time.
+ * -> [{ login, domain, ok, report }] or { ok: false, reason, message } per store
+ */
+async function cleanupAllStores(registry, options = {}) {
+  const results = [];
+
+  for (const { login, domain } of await registry.list()) {
+    const resolved = await registry.resolve(login);
+    if (!resolved.ok) {
+      results.push({ login, domain, ok: false, reason: resolved.reason, message: resolved.message });
+      continue;
+    }
+    try {
+      const report = await cleanupExpiredDiscounts(resolved.client, options);
+      results.push({ login, domain, ok: true, report });
+    } catch (err) {
+      console.error(`[SHOPIFY] Cleanup failed for ${login}:`, err?.message || err);
+      results.push({
+        login,
+        domain,
+        ok: false,
+        reason: err?.reason || "shopify_error",
+        message: err?.message || String(err),
+      });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Report -> one log line, e.g.
+ * "deleted 12, kept 3 (recent), failed 1 of 16 expired Dropify rules"
+ */
+function formatCleanupReport(report) {
+  const verb = report.dryRun ? "would delete" : "deleted";
+  const failed = report.failed.length ? `, failed ${report.failed.length}` : "";
+  return (
+    `${verb} ${report.deleted.length}, kept ${report.kept.length} (recent)${failed}` +
+    ` of ${report.scanned} expired Dropify rules`
+  );
+}
+
+module.exports = {
+  DROPIFY_TITLE,
+  isDropifyRule,
+  cleanupExpiredDiscounts,
+  cleanupAllStores,
+  formatCleanupReport,
+};
@@ -0,0 +1,58 @@
+// shopify/client.js
+const { createRestBackend } = require("./rest");
+const { createGraphqlBackend } = require("./graphql");
+const { createCodeGenerator } = require("./codes");
+
+const DEFAULT_API_VERSION = "2025-01";
+
+const BACKENDS = {
+  rest: createRestBackend,
+  graphql: createGraphqlBackend,
+};
+
+/**
+ * One merchant's store. mode: "rest" (legacy price_rules) | "graphql"
+ * (discountCodeBasicCreate); both expose the same functions.
+ *
+ * codes: { format, prefix, alphabet } for generated codes (see codes.js)
+ * clock / http are injectable for tests.
+ */
+function createShopifyClient({ domain, token, apiVersion, mode = "rest", codes, clock, http }) {
+  if (!domain || !token) {
+    throw new Error("Shopify client needs a store domain and an admin token.");
+  }
+
+  const name = String(mode).toLowerCase();
+  const createBackend = BACKENDS[name];
+  if (!createBackend) {
+    throw new Error(`Unknown Shopify API mode "${mode}" (expected rest or graphql).`);
+  }
+
+  const backend = createBackend({
+    domain: normalizeDomain(domain),
+    token,
+    apiVersion: apiVersion || DEFAULT_API_VERSION,
+    codes: createCodeGenerator(codes || {}),
+    clock,
+    http,
+  });
+
+  return { domain: normalizeDomain(domain), ...backend };
+}
+
+/**
+ * "https://My-Shop.myshopify.com/" -> "my-shop.myshopify.com"
+ */
+function normalizeDomain(domain) {
+  return String(domain || "")
+    .trim()
+    .toLowerCase()
+    .replace(/^https?:\/\//, "")
+    .replace(/\/.*$/, "");
+}
+
+module.exports = {
+  DEFAULT_API_VERSION,
+  createShopifyClient,
+  normalizeDomain,
+};
@@ -0,0 +1,87 @@
+// shopify/codes.js
+const crypto = require("crypto");
+
+// no 0/O, 1/I/L, 5/S or 2/Z: codes get read off a stream overlay and typed by hand
+const DEFAULT_ALPHABET = "ABCDEFGHJKMNPQRTUVWXY346789";
+const DEFAULT_FORMAT = "{PREFIX}-{RANDOM6}";
+const DEFAULT_PREFIX = "DROP";
+
+// below this a busy store starts colliding (27^6 is ~387M codes)
+const MIN_RANDOM_LENGTH = 4;
+const MAX_CODE_LENGTH = 255;
+
+/**
+ * Anything -> characters Shopify accepts in a code (A-Z, 0-9, - and _),
+ * upper-cased, without leading/trailing or doubled separators.
+ */
+function sanitizeCode(value) {
+  return String(value || "")
+    .normalize("NFKD")
+    .toUpperCase()
+    .replace(/[^A-Z0-9_-]+/g, "")
+    .replace(/([_-])[_-]+/g, "$1")
+    .replace(/^[_-]+|[_-]+$/g, "")
+    .slice(0, MAX_CODE_LENGTH);
+}
+
+function normalizeAlphabet(alphabet) {
+  const chars = [...new Set(sanitizeCode(alphabet).replace(/[_-]/g, ""))];
+  if (chars.length < 2) throw new Error("Discount code alphabet needs at least 2 characters.");
+  return chars.join("");
+}
+
+/**
+ * Per-store code generator.
+ *
+ * format: "{PREFIX}-{RANDOM6}" style pattern; {RANDOMn} is n characters
+ *         from `alphabet`, {PREFIX} the store's prefix
+ * randomInt: injectable for tests (defaults to crypto.randomInt)
+ */
+function createCodeGenerator({
+  format = DEFAULT_FORMAT,
+  prefix = DEFAULT_PREFIX,
+  alphabet = DEFAULT_ALPHABET,
+  randomInt = crypto.randomInt,
+} = {}) {
+  const chars = normalizeAlphabet(alphabet);
+  const cleanPrefix = sanitizeCode(prefix);
+  const pattern = String(format || DEFAULT_FORMAT);
+
+  const unknown = pattern.match(/\{(?!PREFIX\}|RANDOM\d+\})[^}]*\}/);
+  if (unknown) throw new Error(`Unknown placeholder ${unknown[0]} in discount code format.`);
+
+  const randomLength = [...pattern.matchAll(/\{RANDOM(\d+)\}/g)].reduce(
+    (sum, m) => sum + Number(m[1]),
+    0
+  );
+  if (randomLength < MIN_RANDOM_LENGTH) {
+    throw new Error(
+      `Discount code format "${pattern}" needs at least ${MIN_RANDOM_LENGTH} random characters.`
+    );
+  }
+
+  function randomChars(length) {
+    let out = "";
+    for (let i = 0; i < length; i++) out += chars[randomInt(chars.length)];
+    return out;
+  }
+
+  function generate() {
+    return sanitizeCode(
+      pattern
+        .replace(/\{PREFIX\}/g, cleanPrefix)
+        .replace(/\{RANDOM(\d+)\}/g, (_, n) => randomChars(Math.min(64, Number(n))))
+    );
+  }
+
+  return {
+    generate,
+  };
+}
+
+module.exports = {
+  DEFAULT_ALPHABET,
+  DEFAULT_FORMAT,
+  sanitizeCode,
+  createCodeGenerator,
+};
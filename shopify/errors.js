@@ -0,0 +1,121 @@
+// shopify/errors.js
+
+/**
+ * Everything the Shopify layer throws is a ShopifyError with a `reason`
+ * the bot can turn into a chat line (see errorResult).
+ */
+class ShopifyError extends Error {
+  constructor(
+    message,
+    { reason = "shopify_error", status = null, details = null, retried = false } = {}
+  ) {
+    super(message);
+    this.name = this.constructor.name;
+    this.reason = reason;
+    this.status = status;
+    this.details = details;
+    // the transport sent the request more than once (an earlier try may have landed)
+    this.retried = retried;
+  }
+}
+
+/** 429 / GraphQL THROTTLED that outlived our retries */
+class ShopifyRateLimitError extends ShopifyError {
+  constructor(message, { retryAfterMs = null, ...rest } = {}) {
+    super(message, { reason: "rate_limited", ...rest });
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/** 5xx, timeouts, connection failures */
+class ShopifyUnavailableError extends ShopifyError {
+  constructor(message, options = {}) {
+    super(message, { reason: "shopify_unavailable", ...options });
+  }
+}
+
+/** 401 / 403: token revoked or missing scopes */
+class ShopifyAuthError extends ShopifyError {
+  constructor(message, options = {}) {
+    super(message, { reason: "shopify_unauthorized", ...options });
+  }
+}
+
+/** 422 / GraphQL userErrors: Shopify refused the input */
+class ShopifyValidationError extends ShopifyError {
+  constructor(message, { userErrors = [], ...rest } = {}) {
+    super(message, { reason: "invalid", ...rest });
+    this.userErrors = userErrors;
+  }
+}
+
+/**
+ * 422 "code must be unique" (REST) / userErrors code TAKEN (GraphQL)
+ */
+function isCodeTaken(err) {
+  if (!(err instanceof ShopifyValidationError)) return false;
+  if (err.userErrors.some((e) => e?.code === "TAKEN")) return true;
+  return /must be unique|already been taken|already exists/i.test(err.message);
+}
+
+/**
+ * REST error bodies: { errors: "..." } | { errors: { code: ["has already been taken"] } }
+ */
+function describeErrors(errors) {
+  if (!errors) return "";
+  if (typeof errors === "string") return errors;
+  if (Array.isArray(errors)) return errors.map((e) => e?.message || String(e)).join("; ");
+  return Object.entries(errors)
+    .map(([field, messages]) => `${field} ${[].concat(messages).join(", ")}`)
+    .join("; ");
+}
+
+/**
+ * Non-2xx response -> typed error
+ */
+function errorFromResponse(status, data, { retryAfterMs = null, retried = false } = {}) {
+  const detail = describeErrors(data?.errors) || `HTTP ${status}`;
+  const options = { status, details: data?.errors || null, retried };
+
+  if (status === 429) {
+    return new ShopifyRateLimitError(`Shopify rate limit hit: ${detail}`, { retryAfterMs, ...options });
+  }
+  if (status === 401 || status === 403) {
+    return new ShopifyAuthError(`Shopify rejected the admin token: ${detail}`, options);
+  }
+  if (status === 422 || status === 400) {
+    return new ShopifyValidationError(`Shopify refused the request: ${detail}`, options);
+  }
+  if (status === 404) {
+    return new ShopifyError(`Shopify resource not found: ${detail}`, { reason: "not_found", ...options });
+  }
+  if (status >= 500) {
+    return new ShopifyUnavailableError(`Shopify is unavailable: ${detail}`, options);
+  }
+  return new ShopifyError(`Shopify returned ${detail}`, options);
+}
+
+/**
+ * Any thrown error -> { ok: false, reason, message, retryAfterSeconds? },
+ * the shape the backend hands back to the bot.
+ */
+function errorResult(err) {
+  const result = {
+    ok: false,
+    reason: err instanceof ShopifyError ? err.reason : "shopify_error",
+    message: err?.message || String(err),
+  };
+  if (err?.retryAfterMs) result.retryAfterSeconds = Math.ceil(err.retryAfterMs / 1000);
+  return result;
+}
+
+module.exports = {
+  ShopifyError,
+  ShopifyRateLimitError,
+  ShopifyUnavailableError,
+  ShopifyAuthError,
+  ShopifyValidationError,
+  isCodeTaken,
+  errorFromResponse,
+  errorResult,
+};
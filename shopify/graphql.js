@@ -0,0 +1,439 @@
+// shopify/graphql.js
+const { systemClock } = require("../utils");
+const { createShopifyHttp } = require("./http");
+const {
+  ShopifyError,
+  ShopifyAuthError,
+  ShopifyRateLimitError,
+  ShopifyValidationError,
+  isCodeTaken,
+} = require("./errors");
+const { createCodeGenerator, sanitizeCode } = require("./codes");
+const { toDropSpec, viewerDiscountSpec } = require("../dropSpec");
+const { toGid } = require("./ids");
+
+// discountCodeBasicCreate is a flat 10 points; used until Shopify tells us the real cost
+const DEFAULT_MUTATION_COST = 10;
+const MAX_THROTTLE_RETRIES = 3;
+// points/second on standard plans, for THROTTLED answers without a throttleStatus
+const DEFAULT_RESTORE_RATE = 50;
+// fresh codes tried before giving up on "code already exists"
+const MAX_CODE_ATTEMPTS = 5;
+
+const DISCOUNT_CODE_BASIC_CREATE = `
+  mutation discountCodeBasicCreate($basicCodeDiscount: DiscountCodeBasicInput!) {
+    discountCodeBasicCreate(basicCodeDiscount: $basicCodeDiscount) {
+      codeDiscountNode {
+        id
+        codeDiscount {
+          ... on DiscountCodeBasic {
+            title
+            startsAt
+            endsAt
+            codes(first: 1) {
+              nodes {
+                id
+                code
+              }
+            }
+          }
+        }
+      }
+      userErrors {
+        field
+        code
+        message
+      }
+    }
+  }
+`;
+
+const DISCOUNT_CODE_FREE_SHIPPING_CREATE = `
+  mutation discountCodeFreeShippingCreate($freeShippingCodeDiscount: DiscountCodeFreeShippingInput!) {
+    discountCodeFreeShippingCreate(freeShippingCodeDiscount: $freeShippingCodeDiscount) {
+      codeDiscountNode {
+        id
+        codeDiscount {
+          ... on DiscountCodeFreeShipping {
+            title
+            startsAt
+            endsAt
+            codes(first: 1) {
+              nodes {
+                id
+                code
+              }
+            }
+          }
+        }
+      }
+      userErrors {
+        field
+        code
+        message
+      }
+    }
+  }
+`;
+
+const CODE_DISCOUNT_NODES = `
+  query codeDiscountNodes($first: Int!, $after: String, $query: String) {
+    codeDiscountNodes(first: $first, after: $after, query: $query) {
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+      nodes {
+        id
+        codeDiscount {
+          ... on DiscountCodeBasic {
+            title
+            endsAt
+          }
+          ... on DiscountCodeFreeShipping {
+            title
+            endsAt
+          }
+        }
+      }
+    }
+  }
+`;
+
+const DISCOUNT_CODE_DELETE = `
+  mutation discountCodeDelete($id: ID!) {
+    discountCodeDelete(id: $id) {
+      deletedCodeDiscountId
+      userErrors {
+        field
+        code
+        message
+      }
+    }
+  }
+`;
+
+const CODE_DISCOUNT_NODE_BY_CODE = `
+  query codeDiscountNodeByCode($code: String!) {
+    codeDiscountNodeByCode(code: $code) {
+      id
+      codeDiscount {
+        ... on DiscountCodeBasic {
+          asyncUsageCount
+        }
+        ... on DiscountCodeFreeShipping {
+          asyncUsageCount
+        }
+      }
+    }
+  }
+`;
+
+const PAGE_SIZE = 100;
+// rough estimate for a page of 100 nodes with this small selection
+const LIST_QUERY_COST = 50;
+
+/**
+ * Drop spec (see dropSpec.js) -> { operation, mutation, variables } for the matching
+ * discountCode*Create mutation.
+ */
+function discountInputFromSpec(spec, { title, code, now }) {
+  const input = {
+    title,
+    code,
+    startsAt: new Date(now - 1000).toISOString(),
+    endsAt: new Date(now + spec.durationMinutes * 60 * 1000).toISOString(),
+    customerSelection: { all: true },
+    appliesOncePerCustomer: spec.oncePerCustomer,
+    usageLimit: spec.maxUses,
+  };
+
+  if (spec.minSubtotal != null) {
+    input.minimumRequirement = {
+      subtotal: { greaterThanOrEqualToSubtotal: spec.minSubtotal.toFixed(2) },
+    };
+  } else if (spec.minQuantity != null) {
+    input.minimumRequirement = {
+      quantity: { greaterThanOrEqualToQuantity: String(spec.minQuantity) },
+    };
+  }
+
+  if (spec.valueType === "free_shipping") {
+    input.destination = { all: true };
+    return {
+      operation: "discountCodeFreeShippingCreate",
+      mutation: DISCOUNT_CODE_FREE_SHIPPING_CREATE,
+      variables: { freeShippingCodeDiscount: input },
+    };
+  }
+
+  const items = {};
+  if (spec.productIds.length) {
+    items.products = { productsToAdd: spec.productIds.map((id) => toGid("Product", id)) };
+  }
+  if (spec.collectionIds.length) {
+    items.collections = { add: spec.collectionIds.map((id) => toGid("Collection", id)) };
+  }
+  if (!items.products && !items.collections) items.all = true;
+
+  input.customerGets = {
+    value:
+      spec.valueType === "percentage"
+        ? { percentage: spec.value / 100 }
+        : { discountAmount: { amount: spec.value.toFixed(2), appliesOnEachItem: false } },
+    items,
+  };
+
+  return {
+    operation: "discountCodeBasicCreate",
+    mutation: DISCOUNT_CODE_BASIC_CREATE,
+    variables: { basicCodeDiscount: input },
+  };
+}
+
+/**
+ * Shopify answered, but refused the input (userErrors on the mutation payload).
+ */
+function userErrorsError(operation, userErrors) {
+  return new ShopifyValidationError(
+    `Shopify ${operation} failed: ${userErrors.map((e) => e.message).join("; ")}`,
+    { userErrors, details: userErrors }
+  );
+}
+
+function hasErrorCode(errors, code) {
+  return (errors || []).some((e) => e?.extensions?.code === code);
+}
+
+/**
+ * GraphQL Admin API backend (discountCodeBasicCreate).
+ *
+ * Same interface as shopify/rest.js. Throttling is cost based: every
+ * response carries extensions.cost.throttleStatus, so we wait for the
+ * bucket to refill before sending a query it can't afford, and back off
+ * again if Shopify still answers THROTTLED.
+ */
+function createGraphqlBackend({
+  domain,
+  token,
+  apiVersion,
+  clock = systemClock,
+  http,
+  random,
+  codes = createCodeGenerator(),
+}) {
+  const api = createShopifyHttp({ domain, token, apiVersion, clock, http, random });
+
+  // last throttleStatus seen + when we saw it
+  let bucket = null;
+
+  function trackCost(cost) {
+    const status = cost?.throttleStatus;
+    if (!status) return;
+    bucket = {
+      maximumAvailable: Number(status.maximumAvailable),
+      currentlyAvailable: Number(status.currentlyAvailable),
+      restoreRate: Number(status.restoreRate) || 1,
+      at: clock.now(),
+    };
+  }
+
+  /**
+   * How long until the bucket can afford `cost` points (0 if it already can).
+   */
+  function msUntilAffordable(cost) {
+    if (!bucket) return 0;
+    const elapsedSeconds = (clock.now() - bucket.at) / 1000;
+    const available = Math.min(
+      bucket.maximumAvailable,
+      bucket.currentlyAvailable + elapsedSeconds * bucket.restoreRate
+    );
+    if (available >= cost) return 0;
+    return Math.ceil(((cost - available) / bucket.restoreRate) * 1000);
+  }
+
+  /**
+   * THROTTLED without a throttleStatus: wait for `cost` points at the standard
+   * restore rate, doubling with every attempt.
+   */
+  function throttleBackoffMs(cost, attempt) {
+    return Math.ceil((cost / DEFAULT_RESTORE_RATE) * 1000) * 2 ** attempt;
+  }
+
+  async function graphql(query, variables, { cost = DEFAULT_MUTATION_COST } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      const waitMs = msUntilAffordable(cost);
+      if (waitMs > 0) await clock.sleep(waitMs);
+
+      // 429 / 5xx are handled (and retried) by the transport
+      const body = (await api.request("POST", "/graphql.json", { query, variables })) || {};
+      trackCost(body.extensions?.cost);
+
+      if (hasErrorCode(body.errors, "THROTTLED")) {
+        cost = Number(body.extensions?.cost?.requestedQueryCost) || cost;
+        const known = Boolean(body.extensions?.cost?.throttleStatus);
+        const waitMs = known ? msUntilAffordable(cost) : throttleBackoffMs(cost, attempt);
+        if (attempt < MAX_THROTTLE_RETRIES) {
+          // a known bucket is waited for at the top of the loop
+          if (!known) await clock.sleep(waitMs);
+          continue;
+        }
+        throw new ShopifyRateLimitError("Shopify GraphQL API is throttled, try again shortly.", {
+          retryAfterMs: waitMs,
+        });
+      }
+
+      if (body.errors?.length) {
+        const message = `Shopify GraphQL error: ${body.errors.map((e) => e.message).join("; ")}`;
+        if (hasErrorCode(body.errors, "ACCESS_DENIED")) {
+          throw new ShopifyAuthError(message, { details: body.errors });
+        }
+        throw new ShopifyError(message, { details: body.errors });
+      }
+
+      return body.data;
+    }
+  }
+
+  async function createCodeDiscount(spec, { title, code }) {
+    const { operation, mutation, variables } = discountInputFromSpec(spec, {
+      title,
+      code,
+      now: clock.now(),
+    });
+    const data = await graphql(mutation, variables);
+    const payload = data[operation];
+
+    if (payload.userErrors?.length) {
+      throw userErrorsError(operation, payload.userErrors);
+    }
+
+    return payload.codeDiscountNode;
+  }
+
+  /**
+   * Create the discount under `code`, or under generated codes (retried
+   * with a fresh one while Shopify answers TAKEN) when `code` is null.
+   * returns { node, code }
+   */
+  async function createWithCode(spec, code, titleFor) {
+    const generated = code == null;
+    let candidate = generated ? codes.generate() : code;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const node = await createCodeDiscount(spec, { title: titleFor(candidate), code: candidate });
+        return { node, code: node.codeDiscount?.codes?.nodes?.[0]?.code || candidate };
+      } catch (err) {
+        if (!generated || !isCodeTaken(err) || attempt >= MAX_CODE_ATTEMPTS) throw err;
+        console.warn(`[SHOPIFY] Code ${candidate} already exists, generating another`);
+        candidate = codes.generate();
+      }
+    }
+  }
+
+  /* -----------------------------------
+     PERSONAL VIEWER DROP
+  ----------------------------------- */
+  // policy: resolved viewer policy (viewerPolicy.js); none = 10% for 10 minutes
+  // (the store's code format; never the viewer's name)
+  async function createDiscountForViewer(username, policy) {
+    const title = `Dropify Auto Rule ${clock.now()}`;
+    const { node, code } = await createWithCode(viewerDiscountSpec(policy), null, () => title);
+
+    return {
+      code,
+      url: `https://${domain}/discount/${encodeURIComponent(code)}`,
+      id: node.id,
+    };
+  }
+
+  /* -----------------------------------
+     GLOBAL DROP
+  ----------------------------------- */
+  // code: the drop's code, or null to generate one in the store's format
+  // percentOrSpec: 20, or a drop spec (products/collections, fixed amount, ...)
+  async function createGlobalDrop(code, percentOrSpec, durationMinutes = 10) {
+    const spec = toDropSpec(percentOrSpec, durationMinutes);
+    const chosen = code == null || code === "" ? null : sanitizeCode(code);
+    if (chosen === "") throw new ShopifyValidationError(`Invalid discount code "${code}".`);
+
+    const { node, code: dropCode } = await createWithCode(
+      spec,
+      chosen,
+      (candidate) => `Dropify Global Drop ${candidate}`
+    );
+
+    const created = node.codeDiscount?.codes?.nodes?.[0];
+    return {
+      id: created?.id || node.id,
+      discount_id: node.id,
+      code: dropCode,
+      usage_count: 0,
+    };
+  }
+
+  /* -----------------------------------
+     EXPIRED DISCOUNTS (cleanup job)
+  ----------------------------------- */
+  // -> [{ id, title, endsAt }] for every code discount that ended before `before` (ms)
+  async function listExpiredDiscounts({ before = clock.now() } = {}) {
+    const expired = [];
+    let after = null;
+
+    do {
+      const data = await graphql(
+        CODE_DISCOUNT_NODES,
+        { first: PAGE_SIZE, after, query: "status:expired" },
+        { cost: LIST_QUERY_COST }
+      );
+      const page = data.codeDiscountNodes;
+      for (const node of page.nodes || []) {
+        const endsAt = Date.parse(node.codeDiscount?.endsAt || "");
+        if (Number.isFinite(endsAt) && endsAt < before) {
+          expired.push({ id: node.id, title: node.codeDiscount.title || "", endsAt });
+        }
+      }
+      after = page.pageInfo?.hasNextPage ? page.pageInfo.endCursor : null;
+    } while (after);
+
+    return expired;
+  }
+
+  async function deleteDiscount(id) {
+    const data = await graphql(DISCOUNT_CODE_DELETE, { id });
+    const payload = data.discountCodeDelete;
+    if (payload.userErrors?.length) {
+      throw userErrorsError("discountCodeDelete", payload.userErrors);
+    }
+  }
+
+  /* -----------------------------------
+     CODE USAGE (redemption polling)
+  ----------------------------------- */
+  // -> { code, usageCount }, or null when the store has no such code.
+  // Dropify discounts carry a single code, so the discount's count is the code's.
+  async function getCodeUsage(code) {
+    const data = await graphql(CODE_DISCOUNT_NODE_BY_CODE, { code }, { cost: 2 });
+    const node = data.codeDiscountNodeByCode;
+    if (!node) return null;
+    return { code, usageCount: Number(node.codeDiscount?.asyncUsageCount) || 0 };
+  }
+
+  return {
+    mode: "graphql",
+    graphql,
+    createDiscountForViewer,
+    createGlobalDrop,
+    listExpiredDiscounts,
+    deleteDiscount,
+    getCodeUsage,
+  };
+}
+
+module.exports = {
+  createGraphqlBackend,
+  discountInputFromSpec,
+  DISCOUNT_CODE_BASIC_CREATE,
+  DISCOUNT_CODE_FREE_SHIPPING_CREATE,
+};
@@ -0,0 +1,149 @@
+// shopify/http.js
+const axios = require("axios");
+const { systemClock, jitterBackoffMs, retryAfterMs } = require("../utils");
+const { ShopifyUnavailableError, errorFromResponse } = require("./errors");
+
+const DEFAULT_TIMEOUT_MS = 15 * 1000;
+const DEFAULT_RETRIES = 3;
+const BACKOFF_BASE_MS = 500;
+const BACKOFF_MAX_MS = 10 * 1000;
+
+// REST leaky bucket: 40 calls, leaking 2/s on standard plans (Plus: 400 / 20/s)
+const DEFAULT_LEAK_RATE = 2;
+// calls we leave free for the merchant's other apps
+const BUCKET_HEADROOM = 2;
+
+const IDEMPOTENT_METHODS = new Set(["GET", "HEAD", "PUT", "DELETE"]);
+
+/**
+ * "32/40" -> { used: 32, limit: 40 }
+ */
+function parseCallLimit(headers) {
+  const match = String(headers?.["x-shopify-shop-api-call-limit"] || "").match(/^(\d+)\/(\d+)$/);
+  return match ? { used: Number(match[1]), limit: Number(match[2]) } : null;
+}
+
+/**
+ * Admin API transport shared by the REST and GraphQL backends.
+ *
+ * - waits when X-Shopify-Shop-Api-Call-Limit says the bucket is (nearly) full
+ * - 429: waits Retry-After (or backs off) and retries, any method
+ * - 5xx / network errors: retried only for idempotent methods, or POSTs the
+ *   caller marks retrySafe (e.g. a discount code: a duplicate attempt fails
+ *   with 422 instead of creating a second one; errors after a retry carry
+ *   `retried` so the caller can check whether the first try landed)
+ * - anything else non-2xx throws a typed error from errors.js
+ *
+ * request() resolves to the response body, or { data, headers } with
+ * withHeaders (REST pagination lives in the Link header).
+ */
+function createShopifyHttp({
+  domain,
+  token,
+  apiVersion,
+  clock = systemClock,
+  http = axios,
+  random = Math.random,
+  retries = DEFAULT_RETRIES,
+  leakRate = DEFAULT_LEAK_RATE,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+}) {
+  const baseUrl = `https://${domain}/admin/api/${apiVersion}`;
+
+  // last seen call limit + when we saw it
+  let bucket = null;
+
+  function trackCallLimit(headers) {
+    const callLimit = parseCallLimit(headers);
+    if (callLimit) bucket = { ...callLimit, at: clock.now() };
+  }
+
+  function msUntilCallAvailable() {
+    if (!bucket) return 0;
+    const leaked = ((clock.now() - bucket.at) / 1000) * leakRate;
+    const free = bucket.limit - BUCKET_HEADROOM - Math.max(0, bucket.used - leaked);
+    if (free >= 1) return 0;
+    return Math.ceil(((1 - free) / leakRate) * 1000);
+  }
+
+  function backoffMs(attempt) {
+    return jitterBackoffMs(attempt, random, BACKOFF_BASE_MS, BACKOFF_MAX_MS);
+  }
+
+  async function request(method, path, data, { retrySafe = false, withHeaders = false } = {}) {
+    method = method.toUpperCase();
+    const canRetryFailure = IDEMPOTENT_METHODS.has(method) || retrySafe;
+
+    for (let attempt = 0; ; attempt++) {
+      const waitMs = msUntilCallAvailable();
+      if (waitMs > 0) await clock.sleep(waitMs);
+
+      let res;
+      try {
+        res = await http({
+          url: `${baseUrl}${path}`,
+          method,
+          data,
+          headers: {
+            "X-Shopify-Access-Token": token,
+            "Content-Type": "application/json",
+          },
+          timeout: timeoutMs,
+          validateStatus: () => true, // statuses are handled below
+        });
+      } catch (err) {
+        if (canRetryFailure && attempt < retries) {
+          await clock.sleep(backoffMs(attempt));
+          continue;
+        }
+        throw new ShopifyUnavailableError(`Could not reach Shopify: ${err?.message || err}`);
+      }
+
+      trackCallLimit(res.headers);
+      const status = res.status || 200;
+      if (status < 300) {
+        return withHeaders ? { data: res.data, headers: res.headers || {} } : res.data;
+      }
+
+      const retryAfter = retryAfterMs(res.headers, clock.now());
+
+      if (status === 429) {
+        // the bucket is full, whatever the header said
+        if (bucket) bucket = { ...bucket, used: bucket.limit, at: clock.now() };
+        const delay = retryAfter || backoffMs(attempt + 1);
+        if (attempt < retries) {
+          await clock.sleep(delay);
+          continue;
+        }
+        throw errorFromResponse(status, res.data, { retryAfterMs: delay, retried: attempt > 0 });
+      }
+
+      if (status >= 500 && canRetryFailure && attempt < retries) {
+        await clock.sleep(Math.min(BACKOFF_MAX_MS, Math.max(retryAfter, backoffMs(attempt))));
+        continue;
+      }
+
+      throw errorFromResponse(status, res.data, { retried: attempt > 0 });
+    }
+  }
+
+  return {
+    request,
+  };
+}
+
+/**
+ * Link: <https://...?page_info=abc&limit=250>; rel="next" -> "abc"
+ */
+function nextPageInfo(headers) {
+  const link = String(headers?.link || "");
+  const next = link.split(",").find((part) => /rel="?next"?/.test(part));
+  const match = next && next.match(/[?&]page_info=([^&>]+)/);
+  return match ? decodeURIComponent(match[1]) : null;
+}
+
+module.exports = {
+  createShopifyHttp,
+  parseCallLimit,
+  nextPageInfo,
+};
@@ -0,0 +1,21 @@
+// shopify/ids.js
+
+/**
+ * Merchants paste ids either way: "123" or "gid://shopify/Product/123".
+ * REST wants the number, GraphQL wants the gid.
+ */
+function numericId(id) {
+  const match = String(id).match(/(\d+)\s*$/);
+  return match ? Number(match[1]) : null;
+}
+
+function toGid(type, id) {
+  const text = String(id);
+  if (text.startsWith("gid://")) return text;
+  return `gid://shopify/${type}/${numericId(text)}`;
+}
+
+module.exports = {
+  numericId,
+  toGid,
+};
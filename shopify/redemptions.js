@@ -0,0 +1,75 @@
+// shopify/redemptions.js
+const crypto = require("crypto");
+const { sanitizeCode } = require("./codes");
+
+/**
+ * Shopify webhook check: X-Shopify-Hmac-Sha256 is the base64 HMAC-SHA256
+ * of the raw body with the app's client secret.
+ */
+function verifyWebhook(rawBody, hmacHeader, secret) {
+  if (!secret || !hmacHeader) return false;
+  const expected = crypto.createHmac("sha256", secret).update(rawBody || "").digest("base64");
+  const left = Buffer.from(String(hmacHeader));
+  const right = Buffer.from(expected);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * orders/create payload -> [{ code, orderId, orderTotal, currency, customerName, createdAt }],
+ * one entry per discount code on the order (the order's total is
+ * attributed to each).
+ */
+function redemptionsFromOrder(order) {
+  const customer = order?.customer || {};
+  const customerName = [customer.first_name, customer.last_name].filter(Boolean).join(" ") || null;
+  const createdAt = Date.parse(order?.created_at || "");
+  const orderTotal = Number(order?.total_price);
+
+  return (order?.discount_codes || [])
+    .map((discount) => sanitizeCode(discount?.code))
+    .filter(Boolean)
+    .map((code) => ({
+      code,
+      orderId: order.id != null ? String(order.id) : null,
+      orderTotal: Number.isFinite(orderTotal) ? orderTotal : null,
+      currency: order.currency || null,
+      customerName,
+      createdAt: Number.isFinite(createdAt) ? createdAt : null,
+    }));
+}
+
+/**
+ * Polls usage counts for `codes` (the store's active Dropify codes) and
+ * returns only the ones that moved since the last poll.
+ *
+ * previous: Map code -> usageCount, updated in place; keep it between polls
+ * -> [{ code, usageCount, previousCount }]
+ */
+async function pollCodeUsage(client, codes, previous = new Map()) {
+  const changed = [];
+
+  for (const code of codes) {
+    let usage;
+    try {
+      usage = await client.getCodeUsage(code);
+    } catch (err) {
+      console.error(`[SHOPIFY] Could not read usage for ${code}:`, err?.message || err);
+      continue;
+    }
+    if (!usage) continue;
+
+    const previousCount = previous.get(code) || 0;
+    previous.set(code, usage.usageCount);
+    if (usage.usageCount > previousCount) {
+      changed.push({ code, usageCount: usage.usageCount, previousCount });
+    }
+  }
+
+  return changed;
+}
+
+module.exports = {
+  verifyWebhook,
+  redemptionsFromOrder,
+  pollCodeUsage,
+};
@@ -0,0 +1,134 @@
+// shopify/registry.js
+const { systemClock, channelLogin } = require("../utils");
+const { createShopifyClient, normalizeDomain } = require("./client");
+const { encryptToken, decryptToken } = require("./secrets");
+const { createCodeGenerator } = require("./codes");
+
+const NAMESPACE = "shopify:stores";
+
+// "*.myshopify.com" or a custom domain; no scheme, path or port
+const DOMAIN_PATTERN = /^[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)+$/;
+
+function notConnected(login, message) {
+  return {
+    ok: false,
+    reason: "not_connected",
+    message: message || `No Shopify store is connected for ${login}.`,
+  };
+}
+
+/**
+ * Which Shopify store belongs to which Twitch channel.
+ *
+ * Credentials live in the store under `shopify:stores` with the admin
+ * token encrypted (see secrets.js); clients are built on first use and
+ * reused until the channel reconnects.
+ *
+ * options: { store, tokenKey, clock, http, mode }
+ *   tokenKey: defaults to SHOPIFY_TOKEN_KEY
+ *   mode: default API mode for channels that don't pick one
+ */
+function createStoreRegistry({
+  store,
+  tokenKey = process.env.SHOPIFY_TOKEN_KEY,
+  clock = systemClock,
+  http,
+  mode = "rest",
+}) {
+  // login -> { connectedAt, client }
+  const clients = new Map();
+
+  /**
+   * Save (or replace) a channel's store credentials.
+   * codes: optional { format, prefix, alphabet } for the store's generated codes
+   * returns { ok: true, domain } or { ok: false, reason: "invalid", message }
+   */
+  async function connect(channel, { domain, token, apiVersion, mode: channelMode, codes } = {}) {
+    const login = channelLogin(channel);
+    const host = normalizeDomain(domain);
+    if (!login || !DOMAIN_PATTERN.test(host) || !token) {
+      return { ok: false, reason: "invalid", message: "A store domain and admin token are required." };
+    }
+    try {
+      createCodeGenerator(codes || {});
+    } catch (err) {
+      return { ok: false, reason: "invalid", message: err.message };
+    }
+
+    await store.set(NAMESPACE, login, {
+      domain: host,
+      token: encryptToken(token, tokenKey),
+      apiVersion: apiVersion || null,
+      mode: channelMode || null,
+      codes: codes || null,
+      connectedAt: clock.now(),
+    });
+    clients.delete(login);
+    console.log(`[SHOPIFY] Connected ${login} to ${host}`);
+
+    return { ok: true, domain: host };
+  }
+
+  async function disconnect(channel) {
+    const login = channelLogin(channel);
+    await store.delete(NAMESPACE, login);
+    clients.delete(login);
+  }
+
+  /**
+   * Channel -> { ok: true, client } or a not_connected result. Never throws,
+   * so a channel without a store can't take the process down.
+   */
+  async function resolve(channel) {
+    const login = channelLogin(channel);
+    const record = await store.get(NAMESPACE, login);
+    if (!record?.domain || !record.token) return notConnected(login);
+
+    const cached = clients.get(login);
+    if (cached && cached.connectedAt === record.connectedAt) {
+      return { ok: true, client: cached.client };
+    }
+
+    let client;
+    try {
+      client = createShopifyClient({
+        domain: record.domain,
+        token: decryptToken(record.token, tokenKey),
+        apiVersion: record.apiVersion,
+        mode: record.mode || mode,
+        codes: record.codes || undefined,
+        clock,
+        http,
+      });
+    } catch (err) {
+      console.error(`[SHOPIFY] Unusable store credentials for ${login}:`, err?.message || err);
+      return notConnected(login, "The Shopify connection needs to be renewed.");
+    }
+    clients.set(login, { connectedAt: record.connectedAt, client });
+    return { ok: true, client };
+  }
+
+  /**
+   * Connected channels (no tokens)
+   */
+  async function list() {
+    const entries = await store.list(NAMESPACE);
+    return entries.map(({ key, value }) => ({
+      login: key,
+      domain: value.domain,
+      mode: value.mode || mode,
+      connectedAt: value.connectedAt,
+    }));
+  }
+
+  return {
+    connect,
+    disconnect,
+    resolve,
+    list,
+  };
+}
+
+module.exports = {
+  createStoreRegistry,
+};
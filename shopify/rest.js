@@ -0,0 +1,267 @@
+// shopify/rest.js
+const { systemClock } = require("../utils");
+const { createShopifyHttp, nextPageInfo } = require("./http");
+const { isCodeTaken, ShopifyError, ShopifyValidationError } = require("./errors");
+const { createCodeGenerator, sanitizeCode } = require("./codes");
+const { numericId } = require("./ids");
+const { toDropSpec, viewerDiscountSpec } = require("../dropSpec");
+
+// fresh codes tried before giving up on "code already exists"
+const MAX_CODE_ATTEMPTS = 5;
+const PAGE_SIZE = 250;
+
+/**
+ * Drop spec (see dropSpec.js) -> price_rule body
+ */
+function priceRuleFromSpec(spec, { title, now }) {
+  const rule = {
+    title,
+    customer_selection: "all",
+    once_per_customer: spec.oncePerCustomer,
+    usage_limit: spec.maxUses,
+
+    starts_at: new Date(now - 1000).toISOString(),
+    ends_at: new Date(now + spec.durationMinutes * 60 * 1000).toISOString(),
+  };
+
+  if (spec.valueType === "free_shipping") {
+    Object.assign(rule, {
+      target_type: "shipping_line",
+      target_selection: "all",
+      allocation_method: "each",
+      value_type: "percentage",
+      value: "-100.0",
+    });
+  } else {
+    const entitled = spec.productIds.length > 0 || spec.collectionIds.length > 0;
+    Object.assign(rule, {
+      target_type: "line_item",
+      target_selection: entitled ? "entitled" : "all",
+      allocation_method: "across",
+      value_type: spec.valueType,
+      value: `-${spec.value.toFixed(spec.valueType === "percentage" ? 1 : 2)}`,
+    });
+    if (spec.productIds.length) rule.entitled_product_ids = spec.productIds.map(numericId);
+    if (spec.collectionIds.length) {
+      rule.entitled_collection_ids = spec.collectionIds.map(numericId);
+    }
+  }
+
+  if (spec.minSubtotal != null) {
+    rule.prerequisite_subtotal_range = { greater_than_or_equal_to: spec.minSubtotal.toFixed(2) };
+  }
+  if (spec.minQuantity != null) {
+    rule.prerequisite_quantity_range = { greater_than_or_equal_to: spec.minQuantity };
+  }
+
+  return rule;
+}
+
+/**
+ * Legacy REST Admin API backend (price_rules.json + discount_codes.json).
+ * Shopify marks these endpoints legacy; kept behind SHOPIFY_API_MODE=rest
+ * until every store runs on shopify/graphql.js.
+ */
+function createRestBackend({
+  domain,
+  token,
+  apiVersion,
+  clock = systemClock,
+  http,
+  random,
+  codes = createCodeGenerator(),
+}) {
+  const api = createShopifyHttp({ domain, token, apiVersion, clock, http, random });
+
+  /* -----------------------------------
+     CODE UNDER A FRESH PRICE RULE
+     Generated codes are regenerated when Shopify says they already exist;
+     a code the caller picked is used as-is. A "taken" answer to a retried
+     POST is checked against the rule first: the earlier try may have
+     created the code. If no code can be created, the rule is deleted
+     again so a failed request never leaves an orphaned rule behind.
+  ----------------------------------- */
+  async function createCodeForRule(priceRuleId, code, { generated = false } = {}) {
+    try {
+      for (let attempt = 1; ; attempt++) {
+        try {
+          const data = await api.request(
+            "POST",
+            `/price_rules/${priceRuleId}/discount_codes.json`,
+            { discount_code: { code } },
+            { retrySafe: true }
+          );
+          return { ...data.discount_code, code: data.discount_code?.code || code };
+        } catch (err) {
+          if (err.retried && isCodeTaken(err)) {
+            const existing = await findCodeOnRule(priceRuleId, code);
+            if (existing) return existing;
+          }
+          if (!generated || !isCodeTaken(err) || attempt >= MAX_CODE_ATTEMPTS) throw err;
+          console.warn(`[SHOPIFY] Code ${code} already exists, generating another`);
+          code = codes.generate();
+        }
+      }
+    } catch (err) {
+      await deletePriceRule(priceRuleId);
+      throw err;
+    }
+  }
+
+  // -> the rule's discount_code for `code`, or null (also when the lookup fails)
+  async function findCodeOnRule(priceRuleId, code) {
+    try {
+      const data = await api.request("GET", `/price_rules/${priceRuleId}/discount_codes.json`);
+      const wanted = code.toUpperCase();
+      return (data?.discount_codes || []).find((c) => c.code?.toUpperCase() === wanted) || null;
+    } catch (err) {
+      console.warn(
+        `[SHOPIFY] Could not list the codes of price rule ${priceRuleId}:`,
+        err?.message || err
+      );
+      return null;
+    }
+  }
+
+  async function deletePriceRule(priceRuleId) {
+    try {
+      await api.request("DELETE", `/price_rules/${priceRuleId}.json`);
+      console.warn(`[SHOPIFY] Removed price rule ${priceRuleId} after its code failed`);
+    } catch (err) {
+      console.error(
+        `[SHOPIFY] Could not remove orphaned price rule ${priceRuleId}:`,
+        err?.message || err
+      );
+    }
+  }
+
+  /* -----------------------------------
+     CREATE PERSONAL PRICE RULE
+  ----------------------------------- */
+  async function createPriceRule(policy) {
+    const now = clock.now();
+    const spec = viewerDiscountSpec(policy);
+    const data = await api.request("POST", "/price_rules.json", {
+      price_rule: priceRuleFromSpec(spec, { title: `Dropify Auto Rule ${now}`, now }),
+    });
+
+    return data.price_rule;
+  }
+
+  /* -----------------------------------
+     CREATE PERSONAL DISCOUNT CODE
+     (the store's code format; never the viewer's name)
+  ----------------------------------- */
+  async function createDiscountCode(priceRuleId) {
+    const discountCode = await createCodeForRule(priceRuleId, codes.generate(), {
+      generated: true,
+    });
+
+    return {
+      code: discountCode.code,
+      url: `https://${domain}/discount/${encodeURIComponent(discountCode.code)}`,
+      id: discountCode.id,
+    };
+  }
+
+  /* -----------------------------------
+     PERSONAL VIEWER DROP
+  ----------------------------------- */
+  // policy: resolved viewer policy (viewerPolicy.js); none = 10% for 10 minutes
+  async function createDiscountForViewer(username, policy) {
+    const priceRule = await createPriceRule(policy);
+    const discount = await createDiscountCode(priceRule.id);
+    return discount;
+  }
+
+  /* -----------------------------------
+     GLOBAL DROP
+  ----------------------------------- */
+  // code: the drop's code, or null to generate one in the store's format
+  // percentOrSpec: 20, or a drop spec (products/collections, fixed amount, ...)
+  async function createGlobalDrop(code, percentOrSpec, durationMinutes = 10) {
+    const spec = toDropSpec(percentOrSpec, durationMinutes);
+    const chosen = code == null || code === "" ? null : sanitizeCode(code);
+    if (chosen === "") throw new ShopifyValidationError(`Invalid discount code "${code}".`);
+    const dropCode = chosen || codes.generate();
+
+    const body = {
+      price_rule: priceRuleFromSpec(spec, {
+        title: `Dropify Global Drop ${dropCode}`,
+        now: clock.now(),
+      }),
+    };
+
+    const ruleData = await api.request("POST", "/price_rules.json", body);
+
+    const priceRuleId = ruleData.price_rule.id;
+
+    return createCodeForRule(priceRuleId, dropCode, { generated: !chosen });
+  }
+
+  /* -----------------------------------
+     EXPIRED PRICE RULES (cleanup job)
+  ----------------------------------- */
+  // -> [{ id, title, endsAt }] for every rule that ended before `before` (ms)
+  async function listExpiredDiscounts({ before = clock.now() } = {}) {
+    const expired = [];
+    let path = `/price_rules.json?limit=${PAGE_SIZE}&ends_at_max=${encodeURIComponent(
+      new Date(before).toISOString()
+    )}`;
+
+    while (path) {
+      const { data, headers } = await api.request("GET", path, undefined, { withHeaders: true });
+      for (const rule of data?.price_rules || []) {
+        const endsAt = Date.parse(rule.ends_at || "");
+        if (Number.isFinite(endsAt) && endsAt < before) {
+          expired.push({ id: rule.id, title: rule.title || "", endsAt });
+        }
+      }
+      const pageInfo = nextPageInfo(headers);
+      path = pageInfo
+        ? `/price_rules.json?limit=${PAGE_SIZE}&page_info=${encodeURIComponent(pageInfo)}`
+        : null;
+    }
+
+    return expired;
+  }
+
+  // deleting the rule deletes its codes too
+  async function deleteDiscount(id) {
+    await api.request("DELETE", `/price_rules/${id}.json`);
+  }
+
+  /* -----------------------------------
+     CODE USAGE (redemption polling)
+  ----------------------------------- */
+  // -> { code, usageCount }, or null when the store has no such code
+  async function getCodeUsage(code) {
+    try {
+      // Shopify answers with a redirect to the code, which axios follows
+      const data = await api.request(
+        "GET",
+        `/discount_codes/lookup.json?code=${encodeURIComponent(code)}`
+      );
+      const discountCode = data?.discount_code;
+      if (!discountCode) return null;
+      return { code: discountCode.code || code, usageCount: Number(discountCode.usage_count) || 0 };
+    } catch (err) {
+      if (err instanceof ShopifyError && err.reason === "not_found") return null;
+      throw err;
+    }
+  }
+
+  return {
+    mode: "rest",
+    createDiscountForViewer,
+    createGlobalDrop,
+    listExpiredDiscounts,
+    deleteDiscount,
+    getCodeUsage,
+  };
+}
+
+module.exports = {
+  createRestBackend,
+  priceRuleFromSpec,
+};
@@ -0,0 +1,54 @@
+// shopify/secrets.js
+const crypto = require("crypto");
+
+const VERSION = "v1";
+
+/**
+ * SHOPIFY_TOKEN_KEY -> 32-byte AES key. Accepts 64 hex chars or 44 base64
+ * chars as-is; anything else is treated as a passphrase and hashed.
+ */
+function deriveKey(secret) {
+  const text = String(secret || "");
+  if (!text) throw new Error("Missing Shopify token encryption key (SHOPIFY_TOKEN_KEY).");
+  if (/^[0-9a-f]{64}$/i.test(text)) return Buffer.from(text, "hex");
+  const base64 = Buffer.from(text, "base64");
+  if (base64.length === 32 && /^[A-Za-z0-9+/]{43}=$/.test(text)) return base64;
+  return crypto.createHash("sha256").update(text).digest();
+}
+
+/**
+ * Admin tokens are stored as "v1.<iv>.<tag>.<ciphertext>" (AES-256-GCM, base64)
+ */
+function encryptToken(token, secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", deriveKey(secret), iv);
+  const encrypted = Buffer.concat([cipher.update(String(token), "utf8"), cipher.final()]);
+  return [VERSION, iv, cipher.getAuthTag(), encrypted]
+    .map((part) => (Buffer.isBuffer(part) ? part.toString("base64") : part))
+    .join(".");
+}
+
+/**
+ * Throws if the blob was tampered with or the key is wrong.
+ */
+function decryptToken(blob, secret) {
+  const [version, iv, tag, encrypted] = String(blob || "").split(".");
+  if (version !== VERSION || !iv || !tag || !encrypted) {
+    throw new Error("Unrecognized encrypted token format.");
+  }
+  const decipher = crypto.createDecipheriv(
+    "aes-256-gcm",
+    deriveKey(secret),
+    Buffer.from(iv, "base64")
+  );
+  decipher.setAuthTag(Buffer.from(tag, "base64"));
+  return Buffer.concat([
+    decipher.update(Buffer.from(encrypted, "base64")),
+    decipher.final(),
+  ]).toString("utf8");
+}
+
+module.exports = {
+  encryptToken,
+  decryptToken,
+};
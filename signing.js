@@ -0,0 +1,60 @@
+// signing.js
+const crypto = require("crypto");
+
+// how far a signed request's timestamp may drift (replay window)
+const MAX_SKEW_MS = 5 * 60 * 1000;
+
+/**
+ * HMAC used between bot and backend, both directions:
+ *   sha256 over `${timestamp}.${METHOD}.${path}.${body}`, hex encoded
+ */
+function sign(secret, timestamp, method, path, body = "") {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${method.toUpperCase()}.${path}.${body}`)
+    .digest("hex");
+}
+
+/**
+ * Headers for an outgoing signed request
+ */
+function signatureHeaders(secret, method, path, body, now = Date.now()) {
+  const timestamp = String(Math.floor(now / 1000));
+  return {
+    "X-Dropify-Timestamp": timestamp,
+    "X-Dropify-Signature": `sha256=${sign(secret, timestamp, method, path, body)}`,
+  };
+}
+
+/**
+ * Check an incoming request. headers are lower-cased (node http style).
+ * Accepts either an HMAC signature or `Authorization: Bearer <secret>`.
+ */
+function verifyRequest(secret, { method, path, body, headers }, now = Date.now()) {
+  if (!secret) return false;
+
+  const signature = String(headers["x-dropify-signature"] || "");
+  const timestamp = String(headers["x-dropify-timestamp"] || "");
+
+  if (signature && timestamp) {
+    const skew = Math.abs(now - Number(timestamp) * 1000);
+    if (!Number.isFinite(skew) || skew > MAX_SKEW_MS) return false;
+    const expected = `sha256=${sign(secret, timestamp, method, path, body)}`;
+    return safeEqual(signature, expected);
+  }
+
+  const auth = String(headers.authorization || "");
+  return auth.startsWith("Bearer ") && safeEqual(auth.slice(7), secret);
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+module.exports = {
+  sign,
+  signatureHeaders,
+  verifyRequest,
+};
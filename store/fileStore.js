@@ -0,0 +1,121 @@
+// store/fileStore.js
+const fs = require("fs");
+const path = require("path");
+const { createMemoryStore } = require("./memoryStore");
+
+const DEFAULT_FLUSH_DELAY_MS = 1000;
+
+/**
+ * JSON file backed store.
+ *
+ * Keeps everything in memory and writes the whole snapshot to disk
+ * shortly after each change (tmp file + rename, so a crash mid-write
+ * never leaves a truncated file behind).
+ *
+ * options: { filePath, now, sweepIntervalMs, flushDelayMs }
+ */
+function createFileStore(options = {}) {
+  const filePath = path.resolve(options.filePath || "data/dropify-store.json");
+  const flushDelayMs = options.flushDelayMs ?? DEFAULT_FLUSH_DELAY_MS;
+
+  const memory = createMemoryStore({
+    now: options.now,
+    // we run our own sweep so removals get persisted too
+    sweepIntervalMs: 0,
+  });
+
+  try {
+    const raw = fs.readFileSync(filePath, "utf8");
+    memory.load(JSON.parse(raw));
+    memory.sweep();
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      console.error(
+        `[STORE] Could not read ${filePath}, starting empty:`,
+        err?.message || err
+      );
+    }
+  }
+
+  let flushTimer = null;
+  let writing = Promise.resolve();
+
+  function writeNow() {
+    const snapshot = JSON.stringify(memory.dump());
+    const tmpPath = `${filePath}.tmp`;
+
+    writing = writing
+      .then(async () => {
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(tmpPath, snapshot, "utf8");
+        await fs.promises.rename(tmpPath, filePath);
+      })
+      .catch((err) => {
+        console.error(`[STORE] Failed to write ${filePath}:`, err?.message || err);
+      });
+
+    return writing;
+  }
+
+  function scheduleFlush() {
+    if (flushTimer) return;
+    flushTimer = setTimeout(() => {
+      flushTimer = null;
+      writeNow();
+    }, flushDelayMs);
+    flushTimer.unref?.();
+  }
+
+  async function flush() {
+    if (flushTimer) {
+      clearTimeout(flushTimer);
+      flushTimer = null;
+    }
+    await writeNow();
+  }
+
+  async function set(namespace, key, value, ttlMs) {
+    await memory.set(namespace, key, value, ttlMs);
+    scheduleFlush();
+  }
+
+  async function del(namespace, key) {
+    await memory.delete(namespace, key);
+    scheduleFlush();
+  }
+
+  function sweep() {
+    const removed = memory.sweep();
+    if (removed) scheduleFlush();
+    return removed;
+  }
+
+  const sweepIntervalMs = options.sweepIntervalMs ?? 60 * 1000;
+  let sweepTimer = null;
+  if (sweepIntervalMs > 0) {
+    sweepTimer = setInterval(sweep, sweepIntervalMs);
+    sweepTimer.unref?.();
+  }
+
+  async function close() {
+    if (sweepTimer) clearInterval(sweepTimer);
+    sweepTimer = null;
+    await flush();
+  }
+
+  return {
+    kind: "file",
+    filePath,
+    get: memory.get,
+    set,
+    delete: del,
+    list: memory.list,
+    sweep,
+    flush,
+    close,
+  };
+}
+
+module.exports = {
+  createFileStore,
+};
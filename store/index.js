@@ -0,0 +1,43 @@
+// store/index.js
+const { createMemoryStore } = require("./memoryStore");
+const { createFileStore } = require("./fileStore");
+
+/**
+ * Pick a store implementation.
+ *
+ * options.type: "memory" (default) | "file" | "mongo"
+ * Falls back to env: STORE_TYPE, STORE_FILE, MONGODB_URI, MONGODB_DB
+ */
+function createStore(options = {}) {
+  const type = (options.type || process.env.STORE_TYPE || "memory")
+    .trim()
+    .toLowerCase();
+
+  switch (type) {
+    case "memory":
+      return createMemoryStore(options);
+    case "file":
+      return createFileStore({
+        ...options,
+        filePath: options.filePath || process.env.STORE_FILE,
+      });
+    case "mongo":
+    case "mongodb": {
+      // only load the driver when it's actually used
+      const { createMongoStore } = require("./mongoStore");
+      return createMongoStore({
+        ...options,
+        uri: options.uri || process.env.MONGODB_URI,
+        dbName: options.dbName || process.env.MONGODB_DB,
+      });
+    }
+    default:
+      throw new Error(`Unknown STORE_TYPE "${type}" (use memory, file or mongo).`);
+  }
+}
+
+module.exports = {
+  createStore,
+  createMemoryStore,
+  createFileStore,
+};
@@ -0,0 +1,132 @@
+// store/memoryStore.js
+
+const DEFAULT_SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * In-memory key/value store with per-entry TTL.
+ *
+ * Entries live in `namespace -> key -> { value, expiresAt }`.
+ * Expired entries are never returned and are swept on an interval.
+ *
+ * options: { now, sweepIntervalMs }
+ */
+function createMemoryStore(options = {}) {
+  const now = options.now || (() => Date.now());
+  const sweepIntervalMs = options.sweepIntervalMs ?? DEFAULT_SWEEP_INTERVAL_MS;
+
+  const data = new Map();
+
+  function isExpired(entry) {
+    return entry.expiresAt !== null && now() >= entry.expiresAt;
+  }
+
+  function bucket(namespace, create = false) {
+    let ns = data.get(namespace);
+    if (!ns && create) {
+      ns = new Map();
+      data.set(namespace, ns);
+    }
+    return ns;
+  }
+
+  async function get(namespace, key) {
+    const ns = bucket(namespace);
+    const entry = ns?.get(String(key));
+    if (!entry) return null;
+    if (isExpired(entry)) {
+      ns.delete(String(key));
+      return null;
+    }
+    return entry.value;
+  }
+
+  async function set(namespace, key, value, ttlMs) {
+    const expiresAt = ttlMs > 0 ? now() + ttlMs : null;
+    bucket(namespace, true).set(String(key), { value, expiresAt });
+  }
+
+  async function del(namespace, key) {
+    const ns = bucket(namespace);
+    if (!ns) return;
+    ns.delete(String(key));
+    if (!ns.size) data.delete(namespace);
+  }
+
+  async function list(namespace) {
+    const ns = bucket(namespace);
+    if (!ns) return [];
+    const out = [];
+    for (const [key, entry] of ns) {
+      if (isExpired(entry)) continue;
+      out.push({ key, value: entry.value });
+    }
+    return out;
+  }
+
+  /**
+   * Drop expired entries. Returns how many were removed.
+   */
+  function sweep() {
+    let removed = 0;
+    for (const [namespace, ns] of data) {
+      for (const [key, entry] of ns) {
+        if (isExpired(entry)) {
+          ns.delete(key);
+          removed++;
+        }
+      }
+      if (!ns.size) data.delete(namespace);
+    }
+    return removed;
+  }
+
+  /**
+   * Raw snapshot / restore (used by the file store)
+   */
+  function dump() {
+    const out = {};
+    for (const [namespace, ns] of data) {
+      out[namespace] = Object.fromEntries(ns);
+    }
+    return out;
+  }
+
+  function load(snapshot) {
+    data.clear();
+    for (const [namespace, entries] of Object.entries(snapshot || {})) {
+      const ns = new Map();
+      for (const [key, entry] of Object.entries(entries || {})) {
+        if (!entry || typeof entry !== "object") continue;
+        ns.set(key, { value: entry.value, expiresAt: entry.expiresAt ?? null });
+      }
+      if (ns.size) data.set(namespace, ns);
+    }
+  }
+
+  let sweepTimer = null;
+  if (sweepIntervalMs > 0) {
+    sweepTimer = setInterval(sweep, sweepIntervalMs);
+    sweepTimer.unref?.();
+  }
+
+  async function close() {
+    if (sweepTimer) clearInterval(sweepTimer);
+    sweepTimer = null;
+  }
+
+  return {
+    kind: "memory",
+    get,
+    set,
+    delete: del,
+    list,
+    sweep,
+    dump,
+    load,
+    close,
+  };
+}
+
+module.exports = {
+  createMemoryStore,
+};
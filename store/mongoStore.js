@@ -0,0 +1,106 @@
+// store/mongoStore.js
+const { MongoClient } = require("mongodb");
+
+/**
+ * MongoDB backed store.
+ *
+ * One document per entry: { ns, key, value, expiresAt }.
+ * A TTL index on `expiresAt` lets MongoDB delete expired entries itself;
+ * reads still filter on `expiresAt` because the TTL monitor only runs
+ * about once a minute.
+ *
+ * options: { uri, dbName, collectionName, now }
+ */
+function createMongoStore(options = {}) {
+  const now = options.now || (() => Date.now());
+  const uri = options.uri;
+  const dbName = options.dbName || "dropify";
+  const collectionName = options.collectionName || "bot_store";
+
+  if (!uri) {
+    throw new Error("Mongo store needs a connection uri (MONGODB_URI).");
+  }
+
+  const client = new MongoClient(uri);
+  let ready = null;
+
+  // connect lazily on first use, and only once
+  function collection() {
+    if (!ready) {
+      ready = (async () => {
+        await client.connect();
+        const col = client.db(dbName).collection(collectionName);
+        await col.createIndex({ ns: 1, key: 1 }, { unique: true });
+        await col.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+        return col;
+      })().catch((err) => {
+        ready = null;
+        throw err;
+      });
+    }
+    return ready;
+  }
+
+  function notExpired() {
+    return {
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date(now()) } }],
+    };
+  }
+
+  async function get(namespace, key) {
+    const col = await collection();
+    const doc = await col.findOne({
+      ns: namespace,
+      key: String(key),
+      ...notExpired(),
+    });
+    return doc ? doc.value : null;
+  }
+
+  async function set(namespace, key, value, ttlMs) {
+    const col = await collection();
+    const expiresAt = ttlMs > 0 ? new Date(now() + ttlMs) : null;
+    await col.updateOne(
+      { ns: namespace, key: String(key) },
+      { $set: { value, expiresAt } },
+      { upsert: true }
+    );
+  }
+
+  async function del(namespace, key) {
+    const col = await collection();
+    await col.deleteOne({ ns: namespace, key: String(key) });
+  }
+
+  async function list(namespace) {
+    const col = await collection();
+    const docs = await col.find({ ns: namespace, ...notExpired() }).toArray();
+    return docs.map((doc) => ({ key: doc.key, value: doc.value }));
+  }
+
+  async function sweep() {
+    const col = await collection();
+    const res = await col.deleteMany({ expiresAt: { $lte: new Date(now()) } });
+    return res.deletedCount || 0;
+  }
+
+  async function close() {
+    if (!ready) return;
+    ready = null;
+    await client.close();
+  }
+
+  return {
+    kind: "mongo",
+    get,
+    set,
+    delete: del,
+    list,
+    sweep,
+    close,
+  };
+}
+
+module.exports = {
+  createMongoStore,
+};
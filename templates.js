@@ -0,0 +1,52 @@
+// templates.js
+
+/**
+ * Bundled chat locales. English is the fallback for anything missing.
+ */
+const LOCALES = {
+  en: require("./locales/en.json"),
+  de: require("./locales/de.json"),
+  es: require("./locales/es.json"),
+  tr: require("./locales/tr.json"),
+};
+
+const DEFAULT_LOCALE = "en";
+
+/**
+ * "de-DE" / "DE" -> "de"; unknown -> "en"
+ */
+function resolveLocale(locale) {
+  const short = String(locale || "").trim().toLowerCase().split(/[-_]/)[0];
+  return LOCALES[short] ? short : DEFAULT_LOCALE;
+}
+
+/**
+ * Template for `key`, in order:
+ *   settings.templates[key] (per-channel override)
+ *   -> settings.locale bundle -> English -> the key itself
+ */
+function getTemplate(key, settings) {
+  const override = settings?.templates?.[key];
+  if (typeof override === "string" && override.trim()) return override;
+
+  const locale = resolveLocale(settings?.locale);
+  return LOCALES[locale][key] ?? LOCALES[DEFAULT_LOCALE][key] ?? key;
+}
+
+/**
+ * Fill `{placeholders}`; unknown ones are left as-is so a typo in a
+ * streamer's override is visible instead of silently blank.
+ */
+function render(key, vars = {}, settings = {}) {
+  return getTemplate(key, settings).replace(/\{(\w+)\}/g, (match, name) =>
+    vars[name] == null ? match : String(vars[name])
+  );
+}
+
+module.exports = {
+  LOCALES,
+  DEFAULT_LOCALE,
+  resolveLocale,
+  getTemplate,
+  render,
+};
@@ -0,0 +1,143 @@
+// test/analytics.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { setupBot, CHANNEL, STREAMER, withSettings, withDrop, quietly } = require("./helpers");
+const { createControlServer } = require("../controlServer");
+const { SESSION_IDLE_MS, eventsToCsv } = require("../analytics");
+
+test("!discount and !drop outcomes are logged per stream with failure reasons", async () => {
+  const { bot, chat, backend } = setupBot();
+  withDrop(backend);
+  backend.setViewerDiscount((login, viewer) =>
+    viewer.login === "capped"
+      ? { ok: false, reason: "plan_limit", message: "Monthly limit reached." }
+      : { ok: true, discountCode: `DROP-${viewer.login.toUpperCase()}` }
+  );
+
+  await chat("!discount", { login: "fan", displayName: "Fan" });
+  await chat("!discount", { login: "capped" });
+  await chat("!discount", { login: "fan", displayName: "Fan" });
+  await chat("!drop 20", STREAMER);
+
+  const [session] = await bot.analytics.listSessions(CHANNEL);
+  const events = await bot.analytics.events(CHANNEL, session.id);
+  assert.deepEqual(
+    events.map((e) => [e.type, e.viewer, e.reason || e.code]),
+    [
+      ["discount.issued", "Fan", "DROP-FAN"],
+      ["discount.failed", "capped", "plan_limit"],
+      ["discount.failed", "Fan", "command_cooldown"],
+      ["drop.created", "Streamer", "DROPIFY20"],
+    ]
+  );
+  assert.ok(events.every((e) => e.channel === "streamer" && e.session === session.id));
+});
+
+test("reports join redemptions with orders and the stream ends with a recap", async () => {
+  const { bot, chat, client, backend, clock } = setupBot();
+  withDrop(backend);
+  withSettings(backend, { currency: "EUR" });
+  backend.setViewerDiscount((login, viewer) => ({
+    ok: true,
+    discountCode: `DROP-${viewer.login.toUpperCase()}`,
+  }));
+
+  await chat("!discount", { login: "fan", displayName: "Fan" });
+  await chat("!discount", { login: "lurker", displayName: "Lurker" });
+  await chat("!drop 20", STREAMER);
+  const order = { currency: "EUR" };
+  await bot.redemptions.record(CHANNEL, { ...order, code: "DROP-FAN", orderId: 1, orderTotal: 40 });
+  await bot.redemptions.record(CHANNEL, { ...order, code: "DROPIFY20", orderId: 2, orderTotal: 25.5 });
+
+  const report = await bot.analytics.endSession(CHANNEL);
+
+  assert.deepEqual(report.issued, { viewer: 2, drop: 1, total: 3 });
+  assert.equal(report.redemptions, 2);
+  assert.equal(report.redemptionRate, 0.5);
+  assert.equal(report.revenue, 65.5);
+  assert.deepEqual(report.topViewers[0], {
+    viewer: "Fan",
+    viewerId: "id-fan",
+    issued: 1,
+    redeemed: 1,
+    revenue: 40,
+  });
+  assert.equal(
+    client.lastMessage(),
+    "📊 Stream recap: 3 codes handed out, 2 redemptions, €65.50 in sales. " +
+      "Thanks for the support! 💜 Top supporter: @Fan 🏆"
+  );
+
+  // a late order still counts toward the stream its code came from
+  clock.advance(60 * 1000);
+  await chat("!discount", { login: "next", displayName: "Next" });
+  await bot.redemptions.record(CHANNEL, { code: "DROP-LURKER", orderId: 3, orderTotal: 10 });
+
+  const again = await bot.analytics.report(CHANNEL, report.session.id);
+  assert.equal(again.redemptions, 3);
+  assert.equal(again.redemptionRate, 1);
+  assert.equal((await bot.analytics.listSessions(CHANNEL)).length, 2);
+});
+
+test("an idle gap starts a new stream session", async () => {
+  const { bot, chat, clock } = setupBot();
+
+  await chat("!discount", { login: "fan" });
+  clock.advance(SESSION_IDLE_MS + 1);
+  await chat("!discount", { login: "other" });
+
+  const sessions = await bot.analytics.listSessions(CHANNEL);
+  assert.equal(sessions.length, 2);
+  assert.ok(sessions[1].endedAt);
+  assert.equal(sessions[0].endedAt, null);
+});
+
+test("CSV export quotes fields that need it", () => {
+  const csv = eventsToCsv([
+    {
+      at: 0,
+      session: "1",
+      channel: "streamer",
+      type: "discount.failed",
+      viewer: 'a,"b"',
+      reason: "cooldown",
+    },
+  ]);
+  assert.equal(
+    csv,
+    "at,session,channel,type,viewer,viewerId,code,reason,uses,orderId,orderTotal,currency\n" +
+      '1970-01-01T00:00:00.000Z,1,streamer,discount.failed,"a,""b""",,,cooldown,,,,\n'
+  );
+});
+
+test("reports are served as JSON and CSV to authorized callers", async () => {
+  const secret = "push-secret";
+  const { bot, chat } = setupBot();
+  const server = createControlServer({ bot, secret });
+  const { port } = await server.listen(0);
+  const auth = { Authorization: `Bearer ${secret}` };
+
+  try {
+    await quietly(async () => {
+      await chat("!discount", { login: "fan", displayName: "Fan" });
+
+      const json = await fetch(`http://127.0.0.1:${port}/reports/streamer`, { headers: auth });
+      const body = await json.json();
+      assert.equal(body.report.issued.viewer, 1);
+
+      const csv = await fetch(`http://127.0.0.1:${port}/reports/streamer?format=csv`, {
+        headers: auth,
+      });
+      assert.match(csv.headers.get("content-type"), /^text\/csv/);
+      assert.match(await csv.text(), /discount\.issued,Fan,id-fan,DROP-TEST-0001/);
+
+      const denied = await fetch(`http://127.0.0.1:${port}/reports/streamer`);
+      assert.equal(denied.status, 401);
+
+      const missing = await fetch(`http://127.0.0.1:${port}/reports/nobody`, { headers: auth });
+      assert.equal(missing.status, 404);
+    });
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,142 @@
+// test/backend.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { createBackend } = require("../backend");
+const { verifyRequest } = require("../signing");
+const { createFakeClock } = require("./fakes/fakeClock");
+const { createFakeHttp } = require("./fakes/fakeHttp");
+
+function setup(replies, options = {}) {
+  const http = createFakeHttp(replies);
+  const clock = createFakeClock();
+  const backend = createBackend({
+    baseUrl: "https://api.dropify.test/",
+    http,
+    clock,
+    random: () => 0.5,
+    ...options,
+  });
+  return { backend, http, clock };
+}
+
+test("discount POSTs retry with the same idempotency key", async () => {
+  const { backend, http } = setup([
+    { status: 503, data: "upstream down" },
+    new Error("socket hang up"),
+    { status: 200, data: { ok: true, discountCode: "DROP-1" } },
+  ]);
+
+  const result = await backend.requestViewerDiscount("Streamer", {
+    id: "42",
+    login: "alice",
+    displayName: "Alice",
+  });
+
+  assert.deepEqual(result, { ok: true, discountCode: "DROP-1", httpStatus: 200 });
+  assert.equal(http.requests.length, 3);
+  assert.equal(http.requests[0].url, "https://api.dropify.test/api/discounts/streamer");
+  const keys = new Set(http.requests.map((r) => r.headers["Idempotency-Key"]));
+  assert.equal(keys.size, 1);
+  assert.ok([...keys][0]);
+  assert.deepEqual(JSON.parse(http.requests[0].data), {
+    viewerId: "42",
+    viewerLogin: "alice",
+    viewerDisplayName: "Alice",
+  });
+});
+
+test("plain POSTs are never retried", async () => {
+  const { backend, http } = setup([{ status: 502, data: "" }]);
+
+  const result = await backend.call("/api/something", "POST", { a: 1 });
+
+  assert.equal(http.requests.length, 1);
+  assert.deepEqual(result, {
+    ok: false,
+    reason: "http_error",
+    message: "Dropify API returned HTTP 502",
+    httpStatus: 502,
+    raw: "",
+  });
+});
+
+test("errors are normalized to { ok, reason, message }", async () => {
+  const { backend } = setup(
+    [
+      { status: 404, data: "<html>nope</html>" },
+      { status: 400, data: { error: "percent must be 1-50" } },
+      { status: 403, data: { ok: false, reason: "plan_limit", message: "Upgrade!" } },
+      Object.assign(new Error("timeout of 10000ms exceeded"), { code: "ECONNABORTED" }),
+    ],
+    { retries: 0 }
+  );
+
+  const notFound = await backend.call("/x", "GET");
+  assert.equal(notFound.reason, "not_found");
+
+  const badRequest = await backend.call("/x", "POST");
+  assert.equal(badRequest.ok, false);
+  assert.equal(badRequest.reason, "http_error");
+  assert.equal(badRequest.message, "percent must be 1-50");
+
+  const planLimit = await backend.call("/x", "POST");
+  assert.deepEqual(
+    [planLimit.ok, planLimit.reason, planLimit.message],
+    [false, "plan_limit", "Upgrade!"]
+  );
+
+  const timedOut = await backend.call("/x", "GET");
+  assert.equal(timedOut.reason, "timeout");
+});
+
+test("hmac mode signs timestamp, method, path and body", async () => {
+  const { backend, http, clock } = setup([{ status: 200, data: { ok: true } }], {
+    secret: "s3cret",
+    authMode: "hmac",
+  });
+
+  await backend.call("/api/discounts/streamer/global", "POST", { percent: 10 });
+
+  const { headers, data } = http.requests[0];
+  const timestamp = String(Math.floor(clock.now() / 1000));
+  const expected = crypto
+    .createHmac("sha256", "s3cret")
+    .update(`${timestamp}.POST./api/discounts/streamer/global.${data}`)
+    .digest("hex");
+
+  assert.equal(headers["X-Dropify-Timestamp"], timestamp);
+  assert.equal(headers["X-Dropify-Signature"], `sha256=${expected}`);
+  assert.equal(headers.Authorization, undefined);
+});
+
+test("hmac signatures cover a path prefix in the base URL", async () => {
+  const { backend, http, clock } = setup([{ status: 200, data: { ok: true } }], {
+    baseUrl: "https://api.dropify.test/v1/",
+    secret: "s3cret",
+    authMode: "hmac",
+  });
+
+  await backend.call("/api/discounts/streamer/global", "POST", { percent: 10 });
+
+  const { url, headers, data } = http.requests[0];
+  const path = new URL(url).pathname;
+  assert.equal(path, "/v1/api/discounts/streamer/global");
+  const lowerCased = Object.fromEntries(
+    Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value])
+  );
+  assert.ok(
+    verifyRequest("s3cret", { method: "POST", path, body: data, headers: lowerCased }, clock.now())
+  );
+});
+
+test("bearer mode sends the shared secret", async () => {
+  const { backend, http } = setup([{ status: 200, data: { ok: true, channels: [] } }], {
+    secret: "s3cret",
+  });
+
+  await backend.call("/api/streamers/active", "GET");
+
+  assert.equal(http.requests[0].headers.Authorization, "Bearer s3cret");
+  assert.equal(http.requests[0].data, undefined);
+});
@@ -0,0 +1,185 @@
+// test/channelPoints.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { setupBot, CHANNEL, withSettings, quietly } = require("./helpers");
+const { createControlServer } = require("../controlServer");
+
+const REWARD = "11111111-2222-3333-4444-555555555555";
+const ADA = { login: "ada", displayName: "Ada" };
+
+function eventSubRedemption(redemptionId) {
+  return {
+    type: "channel_points.redeemed",
+    channel: "streamer",
+    rewardId: REWARD,
+    redemptionId,
+    viewer: { id: "id-ada", login: "ada", displayName: "Ada" },
+  };
+}
+
+// POST /events to a running controlServer -> { status, body }
+function pusher(port, secret) {
+  return (event) =>
+    fetch(`http://127.0.0.1:${port}/events`, {
+      method: "POST",
+      headers: { Authorization: `Bearer ${secret}`, "Content-Type": "application/json" },
+      body: JSON.stringify(event),
+    }).then(async (res) => ({ status: res.status, body: await res.json() }));
+}
+
+function redeemInChat(chat, text, user = ADA, rewardId = REWARD) {
+  return quietly(() => chat(text, { ...user, tags: { "custom-reward-id": rewardId } }));
+}
+
+test("a chat redemption pays out a code and is marked fulfilled", async () => {
+  const { bot, chat, client, backend } = setupBot({
+    config: { channelPoints: { source: "mock" } },
+  });
+  withSettings(backend, {
+    channelPointRewards: { [REWARD]: { percent: 15, lifetimeMinutes: 30 } },
+  });
+  backend.setViewerDiscount(() => ({ ok: true, discountCode: "POINTS-ADA" }));
+
+  // the viewer's text is just input, even if it looks like a command
+  await redeemInChat(chat, "!drop 50");
+
+  assert.equal(
+    client.lastMessage(),
+    "🎁 @Ada thanks for redeeming! Your code: POINTS-ADA — 15% OFF, valid for 30m!"
+  );
+  assert.deepEqual(backend.calls.at(-1).body.policy, {
+    tier: "channel_points",
+    valueType: "percentage",
+    value: 15,
+    lifetimeMinutes: 30,
+    oncePerCustomer: false,
+  });
+  assert.deepEqual(bot.channelPoints.settled, [
+    {
+      channel: "streamer",
+      rewardId: REWARD,
+      redemptionId: null,
+      viewerId: "id-ada",
+      status: "FULFILLED",
+    },
+  ]);
+  assert.equal((await bot.claims.getUserDiscount(CHANNEL, "id-ada")).code, "POINTS-ADA");
+});
+
+test("failed code requests refund the redemption with a reason", async () => {
+  const { bot, chat, client, backend } = setupBot({
+    config: { channelPoints: { source: "mock" } },
+  });
+  withSettings(backend, { channelPointRewards: { [REWARD]: {} } });
+
+  backend.setViewerDiscount(() => ({ ok: false, reason: "limit_reached" }));
+  await redeemInChat(chat, "gimme");
+  assert.equal(
+    client.lastMessage(),
+    "@Ada you already got your code this stream, your channel points were refunded."
+  );
+
+  backend.setViewerDiscount(() => ({ ok: false, reason: "shopify_error" }));
+  await redeemInChat(chat, "again");
+  assert.equal(
+    client.lastMessage(),
+    "@Ada I couldn't create your code, your channel points were refunded."
+  );
+  assert.deepEqual(bot.channelPoints.settled.map((s) => s.status), ["CANCELED", "CANCELED"]);
+});
+
+test("rewards the channel didn't map are left alone", async () => {
+  const { bot, chat, client, backend } = setupBot({
+    config: { channelPoints: { source: "mock" } },
+  });
+  withSettings(backend, { channelPointRewards: { [REWARD]: { percent: 10 } } });
+
+  await redeemInChat(chat, "hydrate!", ADA, "some-other-reward");
+  assert.equal(client.messages(CHANNEL).length, 0);
+  assert.ok(!backend.calls.some((c) => c.path === "/api/discounts/streamer"));
+  assert.deepEqual(bot.channelPoints.settled, []);
+});
+
+test("EventSub redemptions pushed by the backend are settled through it once", async () => {
+  const secret = "push-secret";
+  const { bot, client, backend } = setupBot();
+  withSettings(backend, { channelPointRewards: { [REWARD]: { percent: 20, chat: false } } });
+  const settled = [];
+  backend.route("POST", "/api/streamers/streamer/channel-points/redemptions", (body) => {
+    settled.push(body);
+    return { ok: true };
+  });
+
+  const server = createControlServer({ bot, secret });
+  const { port } = await server.listen(0);
+  const push = pusher(port, secret);
+  const event = eventSubRedemption("r-1");
+
+  try {
+    await quietly(async () => {
+      assert.deepEqual(await push(event), {
+        status: 200,
+        body: { ok: true, code: "DROP-TEST-0001", status: "FULFILLED" },
+      });
+      // handled already: no error status that would make the backend retry
+      assert.deepEqual(await push(event), {
+        status: 200,
+        body: { ok: false, reason: "duplicate", ignored: true },
+      });
+
+      // chat copies of an EventSub-only reward are ignored
+      await bot.handleMessage(
+        CHANNEL,
+        { username: "ada", "user-id": "id-ada", "custom-reward-id": REWARD },
+        "text",
+        false
+      );
+    });
+  } finally {
+    await server.close();
+  }
+
+  assert.deepEqual(settled, [
+    { rewardId: REWARD, redemptionId: "r-1", viewerId: "id-ada", status: "FULFILLED" },
+  ]);
+  assert.match(client.lastMessage(), /Your code: DROP-TEST-0001 — 20% OFF/);
+});
+
+test("a redemption that fails midway is refunded, or left for a retry", async () => {
+  const secret = "push-secret";
+  const { bot, backend } = setupBot();
+  withSettings(backend, { channelPointRewards: { [REWARD]: { percent: 20, chat: false } } });
+  let settles = true;
+  const settled = [];
+  backend.route("POST", "/api/streamers/streamer/channel-points/redemptions", (body) => {
+    settled.push(body.status);
+    return { ok: settles };
+  });
+  const session = bot.analytics.session;
+  bot.analytics.session = async () => {
+    throw new Error("store down");
+  };
+
+  const server = createControlServer({ bot, secret });
+  const { port } = await server.listen(0);
+  const push = pusher(port, secret);
+  try {
+    await quietly(async () => {
+      assert.deepEqual(await push(eventSubRedemption("r-2")), {
+        status: 200,
+        body: { ok: false, reason: "error", status: "CANCELED" },
+      });
+
+      // the refund didn't go through either: a redelivery gets another go
+      settles = false;
+      assert.equal((await push(eventSubRedemption("r-3"))).status, 400);
+      settles = true;
+      bot.analytics.session = session;
+      assert.equal((await push(eventSubRedemption("r-3"))).body.status, "FULFILLED");
+    }, ["log", "error"]);
+  } finally {
+    await server.close();
+  }
+
+  assert.deepEqual(settled, ["CANCELED", "CANCELED", "FULFILLED"]);
+});
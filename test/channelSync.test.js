@@ -0,0 +1,110 @@
+// test/channelSync.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createChannelSync } = require("../channelSync");
+const { createControlServer } = require("../controlServer");
+const { signatureHeaders } = require("../signing");
+const { setupBot, quietly } = require("./helpers");
+const { createFakeChatClient } = require("./fakes/fakeChatClient");
+const { createFakeBackend } = require("./fakes/fakeBackend");
+const { createFakeClock } = require("./fakes/fakeClock");
+
+function setup(options = {}) {
+  const client = createFakeChatClient();
+  const backend = createFakeBackend();
+  const clock = createFakeClock();
+  const sync = createChannelSync({ client, backend, clock, ...options });
+  return { client, backend, clock, sync };
+}
+
+test("syncFromBackend joins new channels and parts removed ones", async () => {
+  const { client, backend, sync } = setup({ staticChannels: ["home"] });
+
+  backend.route("GET", "/api/streamers/active", { ok: true, channels: ["A", "b"] });
+  await quietly(() => sync.syncFromBackend());
+  assert.deepEqual([...sync.joinedChannels].sort(), ["a", "b", "home"]);
+
+  backend.route("GET", "/api/streamers/active", { ok: true, channels: ["b", "c"] });
+  const result = await quietly(() => sync.syncFromBackend());
+
+  assert.deepEqual(result, { joined: ["c"], parted: ["a"] });
+  assert.deepEqual(client.parted, ["a"]);
+  // static channels from .env stay joined
+  assert.deepEqual([...sync.joinedChannels].sort(), ["b", "c", "home"]);
+});
+
+test("a failed fetch never parts anything", async () => {
+  const { client, backend, sync } = setup();
+
+  backend.route("GET", "/api/streamers/active", { ok: true, channels: ["a"] });
+  await quietly(() => sync.syncFromBackend());
+
+  await quietly(async () => {
+    backend.route("GET", "/api/streamers/active", { ok: false, reason: "http_error" });
+    await sync.syncFromBackend();
+    // nor does an empty list, unless the backend confirms it
+    backend.route("GET", "/api/streamers/active", { ok: true, channels: [] });
+    await sync.syncFromBackend();
+  }, ["warn"]);
+
+  assert.deepEqual(client.parted, []);
+  assert.ok(sync.joinedChannels.has("a"));
+
+  backend.route("GET", "/api/streamers/active", { ok: true, channels: [], confirmedEmpty: true });
+  await quietly(() => sync.syncFromBackend());
+  assert.deepEqual(client.parted, ["a"]);
+});
+
+test("joins wait for the join rate limit", async () => {
+  const { clock, sync } = setup({ joinLimit: { capacity: 2, windowMs: 10 * 1000 } });
+  const startedAt = clock.now();
+
+  await quietly(() => sync.reconcile(["a", "b", "c", "d", "e"]));
+
+  assert.equal(sync.joinedChannels.size, 5);
+  assert.equal(clock.now() - startedAt, 20 * 1000);
+});
+
+test("pushed events join and part right away", async () => {
+  const secret = "push-secret";
+  const { bot, client } = setupBot();
+  const server = createControlServer({ bot, secret });
+  const { port } = await server.listen(0);
+
+  async function post(event, headers) {
+    const body = JSON.stringify(event);
+    const res = await fetch(`http://127.0.0.1:${port}/events`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...headers(body) },
+      body,
+    });
+    return { status: res.status, data: await res.json() };
+  }
+
+  try {
+    await quietly(async () => {
+      const signed = (body) => signatureHeaders(secret, "POST", "/events", body);
+
+      const joined = await post({ type: "streamer.activated", channel: "#NewStreamer" }, signed);
+      assert.deepEqual(joined, { status: 200, data: { ok: true, joined: true } });
+      assert.deepEqual(client.joined, ["newstreamer"]);
+
+      const parted = await post({ type: "streamer.deactivated", channel: "newstreamer" }, signed);
+      assert.deepEqual(parted.data, { ok: true, parted: true });
+      assert.deepEqual(client.parted, ["newstreamer"]);
+
+      const forged = await post({ type: "streamer.activated", channel: "evil" }, () => ({
+        "X-Dropify-Timestamp": String(Math.floor(Date.now() / 1000)),
+        "X-Dropify-Signature": "sha256=deadbeef",
+      }));
+      assert.equal(forged.status, 401);
+      assert.deepEqual(client.joined, ["newstreamer"]);
+
+      const health = await fetch(`http://127.0.0.1:${port}/health`).then((r) => r.json());
+      assert.equal(health.ok, true);
+      assert.equal(health.chat.depth, 0);
+    });
+  } finally {
+    await server.close();
+  }
+});
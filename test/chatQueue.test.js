@@ -0,0 +1,89 @@
+// test/chatQueue.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createChatQueue } = require("../chatQueue");
+const { createFakeChatClient } = require("./fakes/fakeChatClient");
+const { createFakeClock } = require("./fakes/fakeClock");
+
+function setup({ mod = false, limits } = {}) {
+  const clock = createFakeClock();
+  const client = createFakeChatClient();
+  client.botIsMod = mod;
+  const chat = createChatQueue({ client, clock, limits });
+  return { clock, client, chat };
+}
+
+test("non-mod channels are paced one message per second", async () => {
+  const { clock, client, chat } = setup();
+
+  chat.say("#a", "one");
+  chat.say("#a", "two");
+  chat.say("#b", "other channel");
+
+  assert.deepEqual(client.messages(), ["one", "other channel"]);
+  assert.equal(chat.stats().depth, 1);
+
+  clock.advance(1000);
+  chat.pump();
+  assert.deepEqual(client.messages(), ["one", "other channel", "two"]);
+  chat.stop();
+});
+
+test("global limit holds messages until the window frees up", async () => {
+  const { clock, client, chat } = setup({
+    mod: true,
+    limits: { global: { capacity: 3, windowMs: 30 * 1000 } },
+  });
+
+  for (let i = 1; i <= 5; i++) chat.say(`#c${i}`, `m${i}`);
+  assert.equal(client.sent.length, 3);
+  assert.deepEqual(chat.stats().channels, { "#c4": 1, "#c5": 1 });
+
+  clock.advance(30 * 1000);
+  chat.pump();
+  assert.deepEqual(client.messages(), ["m1", "m2", "m3", "m4", "m5"]);
+  chat.stop();
+});
+
+test("low-priority acks are coalesced and dropped under pressure", async () => {
+  const { clock, client, chat } = setup();
+
+  chat.say("#a", "first");
+  const ack = chat.say("#a", "⏳ working…", { priority: "low", coalesceKey: "k" });
+  chat.say("#a", "done!", { coalesceKey: "k" });
+  assert.deepEqual(await ack, { sent: false, reason: "coalesced" });
+
+  chat.say("#a", "busy");
+  const dropped = await chat.say("#a", "⏳ another ack", { priority: "low" });
+  assert.deepEqual(dropped, { sent: false, reason: "dropped" });
+
+  clock.advance(1000);
+  chat.pump();
+  clock.advance(1000);
+  chat.pump();
+
+  assert.deepEqual(client.messages(), ["first", "done!", "busy"]);
+  await new Promise(setImmediate);
+  assert.deepEqual(chat.stats(), {
+    depth: 0,
+    channels: {},
+    sent: 3,
+    dropped: 1,
+    coalesced: 1,
+    failed: 0,
+  });
+  chat.stop();
+});
+
+test("high priority jumps the channel's queue", async () => {
+  const { clock, client, chat } = setup();
+
+  chat.say("#a", "now");
+  chat.say("#a", "later");
+  chat.say("#a", "urgent", { priority: "high" });
+
+  clock.advance(1000);
+  chat.pump();
+  assert.deepEqual(client.messages(), ["now", "urgent"]);
+  chat.stop();
+});
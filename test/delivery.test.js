@@ -0,0 +1,60 @@
+// test/delivery.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { setupBot, CHANNEL, withSettings, quietly } = require("./helpers");
+
+const VIEWER = { login: "alice", displayName: "Alice", id: "42" };
+
+test("whisper mode sends the code privately and only confirms in chat", async () => {
+  const { chat, client, backend } = setupBot({
+    backendOptions: { viewerDiscount: { ok: true, discountCode: "SECRET-1" } },
+  });
+  withSettings(backend, { codeDelivery: "whisper" });
+
+  await chat("!discount", VIEWER);
+
+  assert.deepEqual(client.whispers, [
+    {
+      username: "alice",
+      message: "🎁 Your discount code for streamer's stream: SECRET-1 — valid for ~10 minutes!",
+    },
+  ]);
+  assert.equal(client.lastMessage(CHANNEL), "@Alice I whispered you your discount code 📬");
+  assert.ok(client.messages().every((m) => !m.includes("SECRET-1")));
+});
+
+test("failed whisper falls back to a redemption link", async () => {
+  const { chat, client, backend, clock } = setupBot({
+    backendOptions: { viewerDiscount: { ok: true, discountCode: "SECRET-2" } },
+  });
+  withSettings(backend, { codeDelivery: "whisper" });
+  client.whisperError = new Error("whispers blocked");
+  backend.route("POST", "/api/discounts/streamer/redemption-link", (body) => ({
+    ok: true,
+    url: `https://dropify.test/r/${body.code.toLowerCase()}`,
+    expiresAt: new Date(clock.now() + 5 * 60 * 1000).toISOString(),
+  }));
+
+  await quietly(() => chat("!discount", VIEWER), ["warn"]);
+
+  assert.equal(
+    client.lastMessage(),
+    "@Alice I couldn't whisper you, grab your code here: https://dropify.test/r/secret-2 (expires in 5m)"
+  );
+});
+
+test("no whisper and no link never leaks the code", async () => {
+  const { chat, client, backend } = setupBot({
+    backendOptions: { viewerDiscount: { ok: true, discountCode: "SECRET-3" } },
+  });
+  withSettings(backend, { codeDelivery: "whisper" });
+  client.whisperError = new Error("whispers blocked");
+
+  await quietly(() => chat("!discount", VIEWER), ["warn"]);
+
+  assert.equal(
+    client.lastMessage(),
+    "@Alice I couldn't whisper you your code. Check that you accept whispers and try again."
+  );
+  assert.ok(client.messages().every((m) => !m.includes("SECRET-3")));
+});
@@ -0,0 +1,156 @@
+// test/discount.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { setupBot, CHANNEL, withSettings, quietly } = require("./helpers");
+
+const VIEWER = { login: "alice", displayName: "Alice", id: "42" };
+
+test("!discount posts the viewer's code and remembers it", async () => {
+  const { chat, client, backend, bot, clock } = setupBot({
+    backendOptions: { viewerDiscount: { ok: true, discountCode: "DROP-ALICE-1234" } },
+  });
+
+  await chat("!discount", VIEWER);
+  const session = { id: String(clock.now()), startedAt: clock.now() };
+
+  assert.deepEqual(client.messages(CHANNEL), [
+    "@Alice generating your personal discount code… ⏳",
+    "🎁 @Alice your code: DROP-ALICE-1234 — valid for ~10 minutes!",
+  ]);
+  assert.deepEqual(backend.calls.find((c) => c.method === "POST"), {
+    method: "POST",
+    path: "/api/discounts/streamer",
+    body: { id: "42", login: "alice", displayName: "Alice", session },
+  });
+
+  const claimed = await bot.claims.getUserDiscount(CHANNEL, "42");
+  assert.equal(claimed.code, "DROP-ALICE-1234");
+});
+
+test("!discount is on cooldown only after a successful code", async () => {
+  const { chat, client, backend, clock } = setupBot();
+
+  backend.setViewerDiscount({ ok: false, reason: "disabled" });
+  await chat("!discount", VIEWER);
+  backend.setViewerDiscount({ ok: true, discountCode: "CODE1" });
+  await chat("!discount", VIEWER);
+  assert.match(client.lastMessage(), /your code: CODE1/);
+
+  await chat("!discount", VIEWER);
+  assert.equal(client.lastMessage(), "@Alice wait 30s before requesting another code.");
+
+  clock.advance(30 * 1000);
+  await chat("!discount", VIEWER);
+  assert.match(client.lastMessage(), /your code: CODE1/);
+});
+
+const REASONS = [
+  [
+    { ok: false, reason: "disabled" },
+    "@Alice Dropify discounts are currently disabled for this channel.",
+  ],
+  [
+    { ok: false, reason: "not_connected" },
+    "@Alice Dropify is not fully connected to Shopify yet.",
+  ],
+  [
+    { ok: false, reason: "cooldown", retryAfterSeconds: 25 },
+    "@Alice Dropify is on cooldown, try again in about 25 seconds.",
+  ],
+  [
+    { ok: false, reason: "cooldown" },
+    "@Alice Dropify is on cooldown, try again in about 10 seconds.",
+  ],
+  [
+    { ok: false, reason: "plan_limit", message: "This channel hit its monthly limit." },
+    "@Alice This channel hit its monthly limit.",
+  ],
+  [
+    { ok: false, reason: "not_found" },
+    "@Alice this channel isn't registered with Dropify yet.",
+  ],
+  [
+    { ok: false, reason: "limit_reached" },
+    "@Alice you've already redeemed your discount for this stream 🙌",
+  ],
+  [
+    { ok: false, reason: "rate_limited", retryAfterSeconds: 3 },
+    "@Alice Shopify is busy right now, try again in about 3s.",
+  ],
+  [
+    { ok: false, reason: "shopify_unauthorized", message: "Shopify rejected the admin token" },
+    "@Alice the store's Shopify connection needs to be renewed by the streamer.",
+  ],
+  [
+    { ok: false, reason: "network_error" },
+    "@Alice something went wrong while generating your discount.",
+  ],
+  [{ error: "nope" }, "@Alice the Dropify API didn't respond correctly."],
+];
+
+for (const [response, expected] of REASONS) {
+  test(`!discount handles ${JSON.stringify(response)}`, async () => {
+    const { chat, client } = setupBot({ backendOptions: { viewerDiscount: response } });
+    await chat("!discount", VIEWER);
+    assert.equal(client.lastMessage(CHANNEL), expected);
+  });
+}
+
+test("!discount limit_reached echoes the code the viewer already claimed", async () => {
+  const { chat, client, backend, clock } = setupBot({
+    backendOptions: { viewerDiscount: { ok: true, discountCode: "DROP-ALICE-7777" } },
+  });
+
+  await chat("!discount", VIEWER);
+  clock.advance(31 * 1000);
+  backend.setViewerDiscount({ ok: false, reason: "limit_reached" });
+  await chat("!discount", VIEWER);
+
+  assert.equal(
+    client.lastMessage(),
+    "🎁 @Alice you already claimed a discount this stream: DROP-ALICE-7777"
+  );
+});
+
+test("!discount reports a thrown backend error", async () => {
+  const { chat, client } = setupBot({
+    backendOptions: {
+      viewerDiscount: () => {
+        throw new Error("socket hang up");
+      },
+    },
+  });
+
+  await quietly(() => chat("!discount", VIEWER), ["error"]);
+
+  assert.equal(
+    client.lastMessage(),
+    "@Alice something went wrong while generating your discount."
+  );
+});
+
+test("!discount sends the channel's tiered policy and describes it", async () => {
+  const { chat, client, backend, bot, clock } = setupBot();
+  withSettings(backend, {
+    viewerDiscount: {
+      percent: 10,
+      tiers: [{ name: "subscriber", subscriber: true, percent: 15, lifetimeMinutes: 30 }],
+    },
+  });
+  backend.setViewerDiscount({ ok: true, discountCode: "SUB15" });
+
+  await chat("!discount", { ...VIEWER, badges: { subscriber: "6" }, tags: { subscriber: true } });
+
+  assert.equal(client.lastMessage(), "🎁 @Alice your code: SUB15 — 15% OFF, valid for 30m!");
+  const request = backend.calls.find((c) => c.path === "/api/discounts/streamer");
+  assert.deepEqual(request.body.policy, {
+    tier: "subscriber",
+    valueType: "percentage",
+    value: 15,
+    lifetimeMinutes: 30,
+    oncePerCustomer: false,
+  });
+  // the claim lives as long as the code, not the default 10 minutes
+  clock.advance(20 * 60 * 1000);
+  assert.equal((await bot.claims.getUserDiscount(CHANNEL, "42")).code, "SUB15");
+});
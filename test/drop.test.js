@@ -0,0 +1,168 @@
+// test/drop.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { setupBot, CHANNEL, STREAMER, withSettings, withDrop } = require("./helpers");
+
+test("!drop is streamer only", async () => {
+  const { chat, client, backend } = setupBot();
+
+  await chat("!drop 20", { login: "mod", displayName: "Mod", badges: { moderator: "1" } });
+
+  assert.equal(client.lastMessage(), "@Mod only the streamer can use !drop.");
+  assert.equal(backend.calls.filter((c) => c.method === "POST").length, 0);
+});
+
+for (const arg of ["", "abc", "0", "51", "-5"]) {
+  test(`!drop rejects percent "${arg}"`, async () => {
+    const { chat, client } = setupBot();
+    await chat(`!drop ${arg}`, STREAMER);
+    assert.equal(client.lastMessage(), "@Streamer use: !drop <1-50> [duration] (example: !drop 10 5m)");
+  });
+}
+
+test("!drop creates a global drop and tracks it for !dropstatus", async () => {
+  const { chat, client, backend, clock } = setupBot();
+  withDrop(backend);
+
+  await chat("!drop 20", STREAMER);
+
+  assert.deepEqual(client.messages(CHANNEL), [
+    "🔥 @Streamer is creating a global 20% drop… stand by!",
+    "🔥 GLOBAL DROP ACTIVATED! 🎁 Code: DROPIFY20 💸 20% OFF for the next 10m ⏳",
+  ]);
+
+  clock.advance(5 * 60 * 1000 + 48 * 1000);
+  await chat("!dropstatus");
+  assert.equal(
+    client.lastMessage(),
+    "🎁 @viewer active drop: DROPIFY20 — 20% OFF, 4m 12s left ⏳"
+  );
+
+  clock.advance(5 * 60 * 1000);
+  await chat("!dropstatus", { login: "other" });
+  assert.equal(client.lastMessage(), "@other there is no active drop right now.");
+});
+
+test("!drop cooldown is per channel", async () => {
+  const { chat, client, backend } = setupBot();
+  withDrop(backend, "AAA");
+  withDrop(backend, "BBB", "otherstreamer");
+
+  await chat("!drop 10", STREAMER);
+  await chat("!drop 10", { ...STREAMER, login: "otherstreamer", id: "2" }, "#otherstreamer");
+
+  assert.match(client.lastMessage("#otherstreamer"), /Code: BBB/);
+});
+
+test("two !drop calls at once create a single drop", async () => {
+  const { chat, client, backend } = setupBot();
+  withDrop(backend);
+
+  await Promise.all([chat("!drop 10", STREAMER), chat("!drop 20", STREAMER)]);
+
+  assert.equal(backend.calls.filter((c) => c.path.endsWith("/global")).length, 1);
+  assert.ok(client.messages(CHANNEL).some((m) => /global drop is on cooldown/.test(m)));
+});
+
+test("!drop respects the channel's configured cooldown", async () => {
+  const { chat, client, backend, clock } = setupBot();
+  withDrop(backend);
+  withSettings(backend, { dropCooldownSeconds: 60 });
+
+  await chat("!drop 10", STREAMER);
+  clock.advance(10 * 1000);
+  await chat("!drop 10", STREAMER);
+  assert.equal(
+    client.lastMessage(),
+    "@Streamer global drop is on cooldown. Try again in 50s."
+  );
+
+  clock.advance(50 * 1000);
+  await chat("!drop 15", STREAMER);
+  assert.match(client.lastMessage(), /GLOBAL DROP ACTIVATED/);
+});
+
+test("!drop surfaces backend errors", async () => {
+  const { chat, client, backend, clock } = setupBot();
+
+  backend.route("POST", "/api/discounts/streamer/global", {
+    ok: false,
+    reason: "plan_limit",
+    message: "Upgrade to run more drops.",
+  });
+  await chat("!drop 10", STREAMER);
+  assert.equal(client.lastMessage(), "@Streamer Upgrade to run more drops.");
+
+  backend.route("POST", "/api/discounts/streamer/global", { ok: false });
+  clock.advance(5000);
+  await chat("!drop 10", STREAMER);
+  assert.equal(
+    client.lastMessage(),
+    "@Streamer could not create a global drop (Shopify not configured?)."
+  );
+});
+
+test("!drop <preset> sends the preset's targeting and describes it in chat", async () => {
+  const { chat, client, backend } = setupBot();
+  withSettings(backend, {
+    currency: "EUR",
+    dropPresets: {
+      hoodies: { percent: 20, collectionIds: ["gid://shopify/Collection/7"], label: "hoodies" },
+      bigcart: { valueType: "fixed_amount", value: 5, minSubtotal: 40, durationMinutes: 15 },
+      shipping: { valueType: "free_shipping", maxUses: 100 },
+    },
+  });
+  withDrop(backend, "HOODIES20");
+
+  await chat("!drop Hoodies", STREAMER);
+
+  assert.deepEqual(client.messages(CHANNEL), [
+    "🔥 @Streamer is creating the hoodies drop… stand by!",
+    "🔥 GLOBAL DROP ACTIVATED! 🎁 Code: HOODIES20 💸 20% OFF on hoodies for the next 10m ⏳",
+  ]);
+  const body = backend.calls.find((c) => c.method === "POST").body;
+  assert.equal(body.preset, "hoodies");
+  assert.equal(body.percent, 20);
+  assert.deepEqual(body.drop.collectionIds, ["gid://shopify/Collection/7"]);
+
+  await chat("!drop nope", { ...STREAMER, login: "other", id: "3" }, "#other");
+  assert.equal(client.lastMessage("#other"), "@Streamer use: !drop <1-50> [duration] (example: !drop 10 5m)");
+});
+
+test("!drop presets cover fixed amounts, free shipping and unknown names", async () => {
+  const { chat, client, backend, clock } = setupBot();
+  withSettings(backend, {
+    currency: "EUR",
+    dropCooldownSeconds: 0,
+    dropPresets: {
+      bigcart: { valueType: "fixed_amount", value: 5, minSubtotal: 40, durationMinutes: 15 },
+      shipping: { valueType: "free_shipping", maxUses: 100 },
+      broken: { valueType: "free_shipping", productIds: ["1"] },
+    },
+  });
+  withDrop(backend, "CART5");
+
+  await chat("!drop bigcart", STREAMER);
+  assert.equal(
+    client.lastMessage(),
+    "🔥 GLOBAL DROP ACTIVATED! 🎁 Code: CART5 💸 €5 OFF on orders over €40 for the next 15m ⏳"
+  );
+  const body = backend.calls.filter((c) => c.method === "POST")[0].body;
+  assert.equal(body.percent, null);
+  assert.equal(body.durationMinutes, 15);
+  assert.equal(body.drop.valueType, "fixed_amount");
+
+  clock.advance(5000);
+  await chat("!drop shipping 2m", STREAMER);
+  assert.equal(
+    client.lastMessage(),
+    "🔥 GLOBAL DROP ACTIVATED! 🎁 Code: CART5 💸 FREE SHIPPING for the next 2m ⏳"
+  );
+
+  clock.advance(5000);
+  await chat("!drop broken", STREAMER);
+  assert.equal(
+    client.lastMessage(),
+    "@Streamer there is no \"broken\" drop. Presets: bigcart, shipping"
+  );
+});
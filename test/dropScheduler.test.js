@@ -0,0 +1,131 @@
+// test/dropScheduler.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createDropScheduler, nextDailyAt } = require("../dropScheduler");
+const { createDropTracker } = require("../drops");
+const { createMemoryStore } = require("../store");
+const { createFakeBackend } = require("./fakes/fakeBackend");
+const { createFakeClock } = require("./fakes/fakeClock");
+const { setupBot, STREAMER, quietly } = require("./helpers");
+
+const MINUTE = 60 * 1000;
+
+function setup({ campaigns, store, clock = createFakeClock(), isLive } = {}) {
+  const backend = createFakeBackend();
+  backend.route("GET", "/api/streamers/streamer/campaigns", { ok: true, campaigns });
+  backend.route("POST", "/api/discounts/streamer/global", (body) => ({
+    ok: true,
+    drop: { code: `AUTO${body.percent}`, durationMinutes: body.durationMinutes },
+  }));
+
+  const said = [];
+  const scheduler = createDropScheduler({
+    backend,
+    store: store || createMemoryStore({ now: clock.now, sweepIntervalMs: 0 }),
+    clock,
+    drops: createDropTracker({ clock }),
+    say: (login, text) => said.push(text),
+    channels: () => ["streamer"],
+    isLive,
+  });
+  return { scheduler, backend, clock, said };
+}
+
+const EVERY_45 = {
+  id: "c1",
+  type: "interval",
+  everyMinutes: 45,
+  percent: 15,
+  durationMinutes: 5,
+};
+
+test("interval campaigns count down and then drop", async () => {
+  const { scheduler, backend, clock, said } = setup({ campaigns: [EVERY_45] });
+  await scheduler.load("streamer");
+
+  clock.advance(44 * MINUTE);
+  await scheduler.tick();
+  assert.deepEqual(said, ["⏰ Drop incoming in 1m: 15% OFF for 5m, get ready!"]);
+
+  clock.advance(50 * 1000);
+  await scheduler.tick();
+  await scheduler.tick();
+  assert.equal(said[1], "⏰ Drop incoming in 10s: 15% OFF for 5m, get ready!");
+  assert.equal(said.length, 2);
+
+  clock.advance(10 * 1000);
+  await scheduler.tick();
+  assert.equal(said[2], "🔥 GLOBAL DROP ACTIVATED! 🎁 Code: AUTO15 💸 15% OFF for the next 5m ⏳");
+  assert.deepEqual(backend.calls.at(-1).body, { percent: 15, durationMinutes: 5 });
+
+  assert.equal(scheduler.nextDrop("streamer").nextRunAt, clock.now() + 45 * MINUTE);
+});
+
+test("next run survives a restart", async () => {
+  const clock = createFakeClock();
+  const store = createMemoryStore({ now: clock.now, sweepIntervalMs: 0 });
+
+  const first = setup({ campaigns: [EVERY_45], store, clock });
+  await first.scheduler.load("streamer");
+  const { nextRunAt } = first.scheduler.nextDrop("streamer");
+
+  clock.advance(30 * MINUTE);
+  const second = setup({ campaigns: [EVERY_45], store, clock });
+  await second.scheduler.load("streamer");
+
+  assert.equal(second.scheduler.nextDrop("streamer").nextRunAt, nextRunAt);
+});
+
+test("offline channels skip their slot", async () => {
+  const { scheduler, backend, clock, said } = setup({
+    campaigns: [EVERY_45],
+    isLive: async () => false,
+  });
+  await scheduler.load("streamer");
+
+  clock.advance(45 * MINUTE);
+  await quietly(() => scheduler.tick());
+
+  assert.deepEqual(said, []);
+  assert.equal(backend.calls.filter((c) => c.method === "POST").length, 0);
+  assert.equal(scheduler.nextDrop("streamer").nextRunAt, clock.now() + 45 * MINUTE);
+});
+
+test("daily campaigns follow the campaign's timezone", () => {
+  // 2025-01-01 12:00Z is 13:00 in Berlin
+  const now = Date.parse("2025-01-01T12:00:00Z");
+  assert.equal(
+    new Date(nextDailyAt("20:00", "Europe/Berlin", now)).toISOString(),
+    "2025-01-01T19:00:00.000Z"
+  );
+  assert.equal(
+    new Date(nextDailyAt("09:30", "Europe/Berlin", now)).toISOString(),
+    "2025-01-02T08:30:00.000Z"
+  );
+  // summer time
+  assert.equal(
+    new Date(nextDailyAt("20:00", "Europe/Berlin", Date.parse("2025-07-01T12:00:00Z"))).toISOString(),
+    "2025-07-01T18:00:00.000Z"
+  );
+});
+
+test("!drop takes an optional duration", async () => {
+  const { chat, client, backend } = setupBot();
+  backend.route("POST", "/api/discounts/streamer/global", { ok: true, drop: { code: "FLASH" } });
+
+  await chat("!drop 20 5m", STREAMER);
+  assert.equal(
+    client.lastMessage(),
+    "🔥 GLOBAL DROP ACTIVATED! 🎁 Code: FLASH 💸 20% OFF for the next 5m ⏳"
+  );
+  assert.deepEqual(backend.calls.at(-1).body, { percent: 20, durationMinutes: 5 });
+});
+
+test("!drop rejects silly durations", async () => {
+  const { chat, client } = setupBot();
+  await chat("!drop 20 3h", STREAMER);
+  assert.equal(
+    client.lastMessage(),
+    "@Streamer drop duration must be between 1m and 60m (example: !drop 10 5m)"
+  );
+});
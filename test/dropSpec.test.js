@@ -0,0 +1,82 @@
+// test/dropSpec.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { normalizeDropSpec, toDropSpec } = require("../dropSpec");
+const { priceRuleFromSpec } = require("../shopify/rest");
+const { discountInputFromSpec } = require("../shopify/graphql");
+
+const NOW = Date.parse("2025-01-01T12:00:00Z");
+
+test("normalizeDropSpec rejects drops Shopify can't express", () => {
+  assert.equal(normalizeDropSpec({ percent: 0 }), null);
+  assert.equal(normalizeDropSpec({ percent: 120 }), null);
+  assert.equal(normalizeDropSpec({ valueType: "fixed_amount" }), null);
+  assert.equal(normalizeDropSpec({ valueType: "bogo", value: 1 }), null);
+  assert.equal(normalizeDropSpec({ percent: 10, minSubtotal: 40, minQuantity: 2 }), null);
+  assert.equal(normalizeDropSpec({ valueType: "free_shipping", collectionIds: ["1"] }), null);
+  assert.throws(() => toDropSpec("abc", 10), /Invalid drop/);
+
+  assert.deepEqual(toDropSpec(20, 15), {
+    valueType: "percentage",
+    value: 20,
+    durationMinutes: 15,
+    productIds: [],
+    collectionIds: [],
+    minSubtotal: null,
+    minQuantity: null,
+    maxUses: null,
+    oncePerCustomer: false,
+  });
+});
+
+test("REST price rules carry targeting, value type and prerequisites", () => {
+  const hoodies = priceRuleFromSpec(
+    toDropSpec({ percent: 20, collectionIds: ["gid://shopify/Collection/7"], maxUses: 50 }, 10),
+    { title: "Dropify Global Drop X", now: NOW }
+  );
+  assert.equal(hoodies.target_selection, "entitled");
+  assert.deepEqual(hoodies.entitled_collection_ids, [7]);
+  assert.equal(hoodies.value, "-20.0");
+  assert.equal(hoodies.usage_limit, 50);
+  assert.equal(hoodies.ends_at, "2025-01-01T12:10:00.000Z");
+
+  const cart = priceRuleFromSpec(
+    toDropSpec({ valueType: "fixed_amount", value: 5, minSubtotal: 40 }, 10),
+    { title: "t", now: NOW }
+  );
+  assert.equal(cart.value_type, "fixed_amount");
+  assert.equal(cart.value, "-5.00");
+  assert.equal(cart.target_selection, "all");
+  assert.deepEqual(cart.prerequisite_subtotal_range, { greater_than_or_equal_to: "40.00" });
+
+  const shipping = priceRuleFromSpec(
+    toDropSpec({ valueType: "free_shipping", minQuantity: 2 }, 10),
+    { title: "t", now: NOW }
+  );
+  assert.equal(shipping.target_type, "shipping_line");
+  assert.equal(shipping.value, "-100.0");
+  assert.deepEqual(shipping.prerequisite_quantity_range, { greater_than_or_equal_to: 2 });
+});
+
+test("GraphQL inputs pick the mutation and translate ids to gids", () => {
+  const basic = discountInputFromSpec(
+    toDropSpec({ valueType: "fixed_amount", value: 5, productIds: ["123"], minQuantity: 2 }, 10),
+    { title: "t", code: "X", now: NOW }
+  );
+  assert.equal(basic.operation, "discountCodeBasicCreate");
+  const input = basic.variables.basicCodeDiscount;
+  assert.deepEqual(input.customerGets, {
+    value: { discountAmount: { amount: "5.00", appliesOnEachItem: false } },
+    items: { products: { productsToAdd: ["gid://shopify/Product/123"] } },
+  });
+  assert.deepEqual(input.minimumRequirement, { quantity: { greaterThanOrEqualToQuantity: "2" } });
+
+  const shipping = discountInputFromSpec(toDropSpec({ valueType: "free_shipping", maxUses: 100 }, 5), {
+    title: "t",
+    code: "SHIP",
+    now: NOW,
+  });
+  assert.equal(shipping.operation, "discountCodeFreeShippingCreate");
+  assert.equal(shipping.variables.freeShippingCodeDiscount.usageLimit, 100);
+  assert.deepEqual(shipping.variables.freeShippingCodeDiscount.destination, { all: true });
+});
@@ -0,0 +1,132 @@
+// test/eligibility.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { setupBot, CHANNEL, withSettings, quietly } = require("./helpers");
+
+const DAY = 24 * 60 * 60 * 1000;
+const ADA = { login: "ada", displayName: "Ada" };
+
+test("viewers have to chat this stream before they get a code", async () => {
+  const { bot, chat, client, backend, clock } = setupBot({
+    config: { liveStatus: { source: "mock" } },
+  });
+  withSettings(backend, { discountEligibility: { minMessages: 2, minChatMinutes: 5 } });
+
+  await quietly(async () => {
+    await chat("!discount", ADA);
+    assert.equal(
+      client.lastMessage(),
+      "@Ada chat with us a little first: 2 more message(s) this stream and you can get a code."
+    );
+
+    await chat("hi all", ADA);
+    await chat("love the stream", ADA);
+    clock.advance(90 * 1000);
+    await chat("!discount", ADA);
+    assert.equal(
+      client.lastMessage(),
+      "@Ada hang out in chat a little longer first (3m 30s to go)."
+    );
+
+    clock.advance(4 * 60 * 1000);
+    await chat("!discount", ADA);
+    assert.match(client.lastMessage(), /your code: DROP-TEST-0001/);
+
+    // a new stream starts the count over
+    await bot.liveStatus.set(CHANNEL, { live: true, stream: { id: "s2" } });
+    await chat("!discount", { login: "bob" });
+    assert.match(client.lastMessage(), /^@bob chat with us a little first: 2 more/);
+  });
+
+  const [session] = await bot.analytics.listSessions(CHANNEL);
+  const reasons = (await bot.analytics.events(CHANNEL, session.id)).map((e) => e.reason);
+  assert.deepEqual(reasons, ["min_messages"]);
+});
+
+test("first-time chatters and non-subs can be turned away, mods are exempt", async () => {
+  const { chat, client, backend } = setupBot();
+  withSettings(backend, {
+    discountEligibility: { blockFirstTimeChatters: true, subsOnly: true, exemptRoles: ["vip"] },
+  });
+
+  await chat("!discount", { login: "newbie", tags: { "first-msg": true } });
+  assert.equal(
+    client.lastMessage(),
+    "@newbie welcome to the chat! Hang out with us for a bit before asking for a code."
+  );
+
+  await chat("!discount", ADA);
+  assert.equal(
+    client.lastMessage(),
+    "@Ada discount codes are for subscribers only in this channel."
+  );
+
+  await chat("!discount", { login: "sub", badges: { subscriber: "6" } });
+  assert.match(client.lastMessage(), /@sub your code/);
+  await chat("!discount", { login: "vip", badges: { vip: "1" } });
+  assert.match(client.lastMessage(), /@vip your code/);
+  const firstTimeMod = { login: "mod", badges: { moderator: "1" }, tags: { "first-msg": true } };
+  await chat("!discount", firstTimeMod);
+  assert.match(client.lastMessage(), /@mod your code/);
+});
+
+test("follower and account age checks use the backend viewer lookup", async () => {
+  const { chat, client, backend, clock } = setupBot();
+  withSettings(backend, { discountEligibility: { followersOnly: true, minAccountAgeDays: 30 } });
+  const now = clock.now();
+  backend.route("GET", "/api/streamers/streamer/viewers/id-lurker", {
+    ok: true,
+    viewer: { createdAt: new Date(now - 400 * DAY).toISOString(), followedAt: null },
+  });
+  backend.route("GET", "/api/streamers/streamer/viewers/id-alt", {
+    ok: true,
+    viewer: {
+      createdAt: new Date(now - 3 * DAY).toISOString(),
+      followedAt: new Date(now - DAY).toISOString(),
+    },
+  });
+
+  await chat("!discount", { login: "lurker" });
+  assert.equal(client.lastMessage(), "@lurker follow the channel to get a discount code.");
+  await chat("!discount", { login: "alt" });
+  assert.equal(
+    client.lastMessage(),
+    "@alt your account must be at least 30 days old to get a code."
+  );
+  await chat("!discount", { login: "unknown" });
+  assert.equal(
+    client.lastMessage(),
+    "@unknown I couldn't check your account right now, try again in a moment."
+  );
+});
+
+test("asking for codes across many channels at once gets the viewer flagged", async () => {
+  const { bot, chat, client, clock } = setupBot({ config: { velocity: { maxChannels: 3 } } });
+  const farm = { login: "farm", id: "666" };
+
+  await quietly(async () => {
+    await chat("!discount", farm, "#one");
+    clock.advance(30 * 1000);
+    await chat("!discount", farm, "#two");
+    assert.match(client.lastMessage("#two"), /your code/);
+
+    clock.advance(30 * 1000);
+    await chat("!discount", farm, "#three");
+    assert.equal(
+      client.lastMessage("#three"),
+      "@farm your account was flagged for unusual activity, please try again later."
+    );
+
+    // the flag sticks everywhere, even after the burst window
+    clock.advance(60 * 60 * 1000);
+    await chat("!discount", farm);
+    assert.match(client.lastMessage(), /^@farm your account was flagged/);
+  }, ["log", "warn"]);
+  assert.equal(await bot.eligibility.isFlagged("666"), true);
+
+  // one viewer in one channel is never a burst
+  await chat("!discount", ADA);
+  clock.advance(30 * 1000);
+  await chat("!discount", ADA);
+  assert.match(client.lastMessage(), /@Ada your code/);
+});
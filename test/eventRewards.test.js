@@ -0,0 +1,221 @@
+// test/eventRewards.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { setupBot, CHANNEL, withSettings, quietly } = require("./helpers");
+
+function withDrops(backend) {
+  let n = 0;
+  backend.route("POST", "/api/discounts/streamer/global", () => ({
+    ok: true,
+    drop: { code: `EVENT-DROP-${++n}` },
+  }));
+}
+
+function userstate(login, extra = {}) {
+  const displayName = login[0].toUpperCase() + login.slice(1);
+  return { login, "display-name": displayName, "user-id": `id-${login}`, ...extra };
+}
+
+function viewerCodeCalls(backend) {
+  return backend.calls.filter((c) => c.path === "/api/discounts/streamer");
+}
+
+test("subs and big cheers get a personal code, small and anonymous cheers don't", async () => {
+  const { bot, client, backend } = setupBot();
+  withSettings(backend, {
+    eventRewards: {
+      rules: [
+        { event: "subscription", percent: 15, lifetimeMinutes: 30 },
+        { event: "cheer", minBits: 500, valueType: "fixed_amount", value: 5 },
+      ],
+    },
+  });
+  backend.setViewerDiscount((login, viewer) => ({
+    ok: true,
+    discountCode: `SUB-${viewer.login}`,
+  }));
+
+  // tmi.js: subscription(channel, username, methods, message, userstate)
+  const methods = { plan: "1000" };
+  await quietly(() =>
+    bot.eventRewards.handleTmi("subscription", CHANNEL, "ada", methods, "", userstate("ada"))
+  );
+  assert.equal(
+    client.lastMessage(),
+    "🎉 Thanks for subscribing, @Ada! Your code: SUB-ada — 15% OFF, valid for 30m!"
+  );
+  assert.deepEqual(viewerCodeCalls(backend)[0].body.policy, {
+    tier: "event:subscription",
+    valueType: "percentage",
+    value: 15,
+    lifetimeMinutes: 30,
+    oncePerCustomer: true,
+  });
+  assert.equal((await bot.claims.getUserDiscount(CHANNEL, "id-ada")).code, "SUB-ada");
+
+  // cheer(channel, userstate, message)
+  const cheer = (login, bits) => {
+    const tags = { ...userstate(login), username: login, bits };
+    return quietly(() => bot.eventRewards.handleTmi("cheer", CHANNEL, tags, ""));
+  };
+  assert.deepEqual(await cheer("bob", "100"), []);
+  assert.deepEqual(await cheer("ananonymouscheerer", "1000"), [
+    { rule: "cheer-2", ok: false, reason: "anonymous" },
+  ]);
+
+  await cheer("cleo", "500");
+  assert.equal(
+    client.lastMessage(),
+    "💎 Thanks for the 500 bits, @Cleo! Your code: SUB-cleo — 5 OFF, valid for 30m!"
+  );
+  assert.equal(viewerCodeCalls(backend).length, 2);
+});
+
+test("a mass gift is rewarded once and counts towards the sub goal once", async () => {
+  const { bot, client, backend, store } = setupBot();
+  withSettings(backend, {
+    eventRewards: {
+      rules: [
+        { event: "subgift", minGifts: 5, percent: 25 },
+        { event: "subgoal", goal: 10, action: "drop", percent: 10, durationMinutes: 5 },
+      ],
+    },
+  });
+  withDrops(backend);
+  backend.setViewerDiscount(() => ({ ok: true, discountCode: "GIFTER-1" }));
+
+  const origin = "origin-abc";
+  const gifter = userstate("ada", { "msg-param-origin-id": origin });
+
+  await quietly(async () => {
+    // submysterygift(channel, username, numbOfSubs, methods, userstate)
+    bot.eventRewards.handleTmi("submysterygift", CHANNEL, "ada", "50", {}, gifter);
+    // ... then one subgift(channel, username, streakMonths, recipient, methods, userstate) each
+    const gifts = [];
+    for (let i = 0; i < 50; i++) {
+      gifts.push(
+        bot.eventRewards.handleTmi("subgift", CHANNEL, "ada", 0, `viewer${i}`, {}, gifter)
+      );
+    }
+    for (const outcome of await Promise.all(gifts)) assert.deepEqual(outcome, []);
+  });
+
+  assert.equal(viewerCodeCalls(backend).length, 1);
+  const drops = backend.calls.filter((c) => c.path === "/api/discounts/streamer/global");
+  assert.equal(drops.length, 1);
+  assert.equal(drops[0].body.durationMinutes, 5);
+
+  const messages = client.messages(CHANNEL);
+  assert.equal(messages.length, 2);
+  assert.equal(
+    messages[0],
+    "🎁 Thanks for the gift subs, @Ada! Your code: GIFTER-1 — 25% OFF, valid for 30m!"
+  );
+  assert.match(messages[1], /^🎯 Sub goal reached, 50 subs this stream! 🔥 GLOBAL DROP/);
+  assert.match(messages[1], /Code: EVENT-DROP-1/);
+
+  // a single gift outside of it still counts (and a new stream starts over)
+  await quietly(() =>
+    bot.eventRewards.handleTmi("subgift", CHANNEL, "bob", 0, "x", {}, userstate("bob"))
+  );
+  assert.equal(await store.get("event-rewards:streamer", "subs"), 51);
+  await bot.eventRewards.resetChannel(CHANNEL);
+  assert.equal(await store.get("event-rewards:streamer", "subs"), null);
+});
+
+test("big raids drop for everyone, with a cooldown and only while live", async () => {
+  const { bot, client, backend, clock } = setupBot();
+  withSettings(backend, {
+    eventRewards: {
+      rules: [
+        { event: "raided", minViewers: 50, percent: 20, durationMinutes: 5, cooldownSeconds: 3600 },
+      ],
+    },
+  });
+  withDrops(backend);
+
+  // raided(channel, username, viewers)
+  const raid = (raider, viewers) =>
+    quietly(() => bot.eventRewards.handleTmi("raided", CHANNEL, raider, viewers));
+
+  assert.deepEqual(await raid("smallfry", 12), []);
+  const [outcome] = await raid("bigstreamer", 120);
+  assert.deepEqual(outcome, { rule: "raided-1", ok: true, code: "EVENT-DROP-1" });
+  assert.match(
+    client.lastMessage(),
+    /^🚀 Welcome raiders from @bigstreamer \(120 viewers\)! 🔥 GLOBAL DROP ACTIVATED!/
+  );
+
+  clock.advance(60 * 1000);
+  assert.deepEqual(await raid("other", 300), [
+    { rule: "raided-1", ok: false, reason: "cooldown" },
+  ]);
+
+  clock.advance(60 * 60 * 1000);
+  await quietly(() => bot.liveStatus.set(CHANNEL, { live: false }));
+  assert.deepEqual(await raid("other", 300), [
+    { rule: "raided-1", ok: false, reason: "offline" },
+  ]);
+  assert.equal(backend.calls.filter((c) => c.path.endsWith("/global")).length, 1);
+});
+
+test("event codes are capped per minute and failures stay out of chat", async () => {
+  const { bot, client, backend, clock } = setupBot();
+  withSettings(backend, {
+    eventRewards: {
+      rules: [{ event: "resub", minMonths: 3, percent: 10, cooldownSeconds: 600 }],
+      maxCodesPerMinute: 2,
+    },
+  });
+  backend.setViewerDiscount((login, viewer) => ({
+    ok: true,
+    discountCode: `RESUB-${viewer.login}`,
+  }));
+
+  // resub(channel, username, months, message, userstate, methods)
+  const resub = (login, months) => {
+    const tags = userstate(login, { "msg-param-cumulative-months": String(months) });
+    return quietly(() => bot.eventRewards.handleTmi("resub", CHANNEL, login, 0, "", tags, {}));
+  };
+
+  assert.deepEqual(await resub("ada", 2), []);
+  await resub("ada", 7);
+  assert.equal(
+    client.lastMessage(),
+    "🎉 7 months, @Ada! Thanks for sticking around. " +
+      "Your code: RESUB-ada — 10% OFF, valid for 30m!"
+  );
+  assert.deepEqual(await resub("ada", 8), [{ rule: "resub-1", ok: false, reason: "cooldown" }]);
+
+  await resub("bob", 4);
+  assert.deepEqual(await quietly(() => resub("cleo", 5), ["warn"]), [
+    { rule: "resub-1", ok: false, reason: "rate_limited" },
+  ]);
+  assert.equal(viewerCodeCalls(backend).length, 2);
+
+  clock.advance(60 * 1000);
+  backend.setViewerDiscount(() => ({ ok: false, reason: "limit_reached" }));
+  const sent = client.messages(CHANNEL).length;
+  assert.deepEqual(await quietly(() => resub("cleo", 5), ["error"]), [
+    { rule: "resub-1", ok: false, reason: "limit_reached" },
+  ]);
+  assert.equal(client.messages(CHANNEL).length, sent);
+});
+
+test("tmi.js events reach the rules while attached", async () => {
+  const { bot, client, backend } = setupBot();
+  withSettings(backend, { eventRewards: { rules: [{ event: "subscription", percent: 15 }] } });
+  backend.setViewerDiscount(() => ({ ok: true, discountCode: "LISTENED" }));
+
+  bot.eventRewards.attach(client);
+  await quietly(async () => {
+    client.emit("subscription", CHANNEL, "ada", { prime: true }, "", userstate("ada"));
+    for (let i = 0; i < 20 && !client.sent.length; i++) {
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+  });
+  assert.match(client.lastMessage(), /Your code: LISTENED/);
+
+  bot.eventRewards.detach(client);
+  assert.equal(client.listenerCount("subscription"), 0);
+});
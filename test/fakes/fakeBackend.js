@@ -0,0 +1,64 @@
+// test/fakes/fakeBackend.js
+
+/**
+ * Stand-in for backend.js (same method names). Routes are keyed "METHOD /path" and can be a
+ * plain response object or a function (body, req) => response.
+ * A function that throws behaves like a failed request.
+ */
+function createFakeBackend(options = {}) {
+  const routes = { ...options.routes };
+  const calls = [];
+
+  let viewerDiscount =
+    options.viewerDiscount || (() => ({ ok: true, discountCode: "DROP-TEST-0001" }));
+
+  function route(method, path, handler) {
+    routes[`${method} ${path}`] = handler;
+  }
+
+  function setViewerDiscount(handler) {
+    viewerDiscount = handler;
+  }
+
+  async function call(path, method = "POST", body = {}) {
+    calls.push({ method, path, body });
+
+    const handler = routes[`${method} ${path}`];
+    if (!handler) {
+      return {
+        ok: false,
+        reason: "not_found",
+        message: "Dropify API returned HTTP 404",
+        httpStatus: 404,
+      };
+    }
+    return typeof handler === "function" ? handler(body, { method, path }) : handler;
+  }
+
+  async function requestViewerDiscount(streamerLogin, viewer, policy, session) {
+    const body = { ...viewer };
+    if (policy) body.policy = policy;
+    if (session) body.session = { id: session.id, startedAt: session.startedAt };
+    calls.push({ method: "POST", path: `/api/discounts/${streamerLogin}`, body });
+    return typeof viewerDiscount === "function"
+      ? viewerDiscount(streamerLogin, viewer, policy, session)
+      : viewerDiscount;
+  }
+
+  async function createGlobalDrop(streamerLogin, body) {
+    return call(`/api/discounts/${streamerLogin}/global`, "POST", body);
+  }
+
+  return {
+    calls,
+    route,
+    setViewerDiscount,
+    call,
+    requestViewerDiscount,
+    createGlobalDrop,
+  };
+}
+
+module.exports = {
+  createFakeBackend,
+};
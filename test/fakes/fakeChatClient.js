@@ -0,0 +1,76 @@
+// test/fakes/fakeChatClient.js
+const { EventEmitter } = require("events");
+
+/**
+ * Stand-in for tmi.Client: records everything the bot says / joins.
+ */
+function createFakeChatClient() {
+  const client = new EventEmitter();
+
+  client.sent = [];
+  client.whispers = [];
+  client.whisperError = null; // set to an Error to make whispers fail
+  client.joined = [];
+  client.parted = [];
+  client.connected = false;
+  // tests that exercise non-mod chat limits flip this off
+  client.botIsMod = true;
+
+  client.say = async (channel, message) => {
+    client.sent.push({ channel, message });
+    return [channel, message];
+  };
+
+  client.whisper = async (username, message) => {
+    if (client.whisperError) throw client.whisperError;
+    client.whispers.push({ username, message });
+    return [username, message];
+  };
+
+  client.join = async (channel) => {
+    client.joined.push(channel);
+    return [channel];
+  };
+
+  client.part = async (channel) => {
+    client.parted.push(channel);
+    return [channel];
+  };
+
+  client.getUsername = () => "dropifybot";
+
+  client.isMod = () => client.botIsMod;
+
+  client.connect = async () => {
+    client.connected = true;
+    return ["irc.fake.tv", 6697];
+  };
+
+  client.disconnect = async () => {
+    client.connected = false;
+    return ["irc.fake.tv", 6697];
+  };
+
+  /**
+   * Messages sent so far (optionally only for one channel)
+   */
+  client.messages = (channel) =>
+    client.sent
+      .filter((m) => !channel || m.channel === channel)
+      .map((m) => m.message);
+
+  client.lastMessage = (channel) => {
+    const list = client.messages(channel);
+    return list[list.length - 1];
+  };
+
+  client.clear = () => {
+    client.sent.length = 0;
+  };
+
+  return client;
+}
+
+module.exports = {
+  createFakeChatClient,
+};
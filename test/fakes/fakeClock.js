@@ -0,0 +1,22 @@
+// test/fakes/fakeClock.js
+
+/**
+ * Manually advanced clock. sleep() resolves immediately and moves time forward.
+ */
+function createFakeClock(start = Date.parse("2025-01-01T12:00:00Z")) {
+  let current = start;
+
+  return {
+    now: () => current,
+    advance(ms) {
+      current += ms;
+    },
+    async sleep(ms) {
+      current += ms;
+    },
+  };
+}
+
+module.exports = {
+  createFakeClock,
+};
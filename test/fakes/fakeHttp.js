@@ -0,0 +1,24 @@
+// test/fakes/fakeHttp.js
+
+/**
+ * Stand-in for axios(config). `replies` is a list consumed in order, or a
+ * function (config) => reply; an Error reply is thrown as-is. Replies default
+ * to status 200 with no headers. Every request config lands in http.requests.
+ */
+function createFakeHttp(replies) {
+  const requests = [];
+
+  const http = async (config) => {
+    requests.push(config);
+    const reply = typeof replies === "function" ? replies(config) : replies.shift();
+    if (reply instanceof Error) throw reply;
+    return { status: 200, headers: {}, ...reply };
+  };
+  http.requests = requests;
+
+  return http;
+}
+
+module.exports = {
+  createFakeHttp,
+};
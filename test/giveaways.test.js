@@ -0,0 +1,207 @@
+// test/giveaways.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { setupBot, CHANNEL, STREAMER, quietly } = require("./helpers");
+const { parseFilters, pickWinners } = require("../giveaways");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function perViewerCodes(backend) {
+  backend.setViewerDiscount((login, viewer) => ({
+    ok: true,
+    discountCode: `WIN-${viewer.login.toUpperCase()}`,
+  }));
+}
+
+test("a giveaway takes entries and pays every winner a personal code", async () => {
+  const { bot, chat, client, backend, clock } = setupBot();
+  perViewerCodes(backend);
+
+  await quietly(async () => {
+    await chat("!giveaway start 2 25% 2m", STREAMER);
+    assert.equal(
+      client.lastMessage(),
+      "🎉 GIVEAWAY! 2 winner(s) get 25% OFF. Type !enter in the next 2m to join! " +
+        "Open to: everyone"
+    );
+
+    await chat("!enter", { login: "ada", displayName: "Ada" });
+    await chat("!enter", { login: "bob", displayName: "Bob" });
+    clock.advance(6 * 1000);
+    await chat("!enter", { login: "ada", displayName: "Ada" });
+    assert.equal(client.lastMessage(), "@Ada you're already entered, good luck!");
+
+    clock.advance(2 * 60 * 1000);
+    await chat("!enter", { login: "late" });
+    assert.equal(client.lastMessage(), "@late there is no giveaway to enter right now.");
+    await bot.giveaways.tick();
+  });
+
+  const messages = client.messages(CHANNEL);
+  assert.match(
+    messages.at(-3),
+    /^🎉 Giveaway over! 2 entered, the winners are: @(Ada, @Bob|Bob, @Ada) 🏆$/
+  );
+  assert.deepEqual(messages.slice(-2).sort(), [
+    "🎁 @Ada you won 25% OFF: WIN-ADA (valid for 60m)",
+    "🎁 @Bob you won 25% OFF: WIN-BOB (valid for 60m)",
+  ]);
+
+  const prize = backend.calls.find((c) => c.body.login === "ada").body.policy;
+  assert.deepEqual(prize, {
+    tier: "giveaway",
+    valueType: "percentage",
+    value: 25,
+    lifetimeMinutes: 60,
+    oncePerCustomer: true,
+  });
+  assert.equal((await bot.claims.getUserDiscount(CHANNEL, "id-bob")).code, "WIN-BOB");
+
+  await chat("!giveaway", STREAMER);
+  assert.equal(client.lastMessage(), "@Streamer there is no giveaway running.");
+});
+
+test("entries survive a restart and the streamer can draw early", async () => {
+  const first = setupBot();
+  await quietly(async () => {
+    await first.chat("!giveaway start 1 10% 10m", STREAMER);
+    await first.chat("!enter", { login: "ada", displayName: "Ada" });
+  });
+
+  const { chat, client, backend, clock } = setupBot({ store: first.store, clock: first.clock });
+  perViewerCodes(backend);
+  clock.advance(60 * 1000);
+
+  await chat("!giveaway start 1 50% 5m", STREAMER);
+  assert.equal(
+    client.lastMessage(),
+    "@Streamer a giveaway is already running (1 entries, 9m left). " +
+      "Use !giveaway end or !giveaway cancel first."
+  );
+
+  clock.advance(3 * 1000);
+  await quietly(() => chat("!giveaway end", STREAMER));
+  assert.deepEqual(client.messages(CHANNEL).slice(-2), [
+    "🎉 Giveaway over! 1 entered, the winners are: @Ada 🏆",
+    "🎁 @Ada you won 10% OFF: WIN-ADA (valid for 60m)",
+  ]);
+  assert.equal(await first.store.get("giveaway:streamer", "current"), null);
+});
+
+test("winners drawn before a crash are paid after the restart", async () => {
+  const first = setupBot();
+  perViewerCodes(first.backend);
+  first.bot.claims.setUserDiscount = async () => {
+    throw new Error("store down");
+  };
+  await quietly(async () => {
+    await first.chat("!giveaway start 2 10% 10m", STREAMER);
+    await first.chat("!enter", { login: "ada", displayName: "Ada" });
+    await first.chat("!enter", { login: "bob", displayName: "Bob" });
+    first.clock.advance(3 * 1000);
+    await first.chat("!giveaway end", STREAMER);
+  }, ["log", "error"]);
+  assert.equal((await first.store.get("giveaway:streamer", "payout")).pending.length, 2);
+
+  const { bot, client, backend } = setupBot({ store: first.store, clock: first.clock });
+  perViewerCodes(backend);
+  await quietly(() => bot.giveaways.load(CHANNEL));
+
+  assert.deepEqual(client.messages(CHANNEL).sort(), [
+    "🎁 @Ada you won 10% OFF: WIN-ADA (valid for 60m)",
+    "🎁 @Bob you won 10% OFF: WIN-BOB (valid for 60m)",
+  ]);
+  assert.equal(await first.store.get("giveaway:streamer", "payout"), null);
+  assert.equal(await bot.giveaways.status(CHANNEL), null);
+});
+
+test("subs-only, follower and account age filters", async () => {
+  const { chat, client, backend, clock } = setupBot();
+  const now = clock.now();
+  backend.route("GET", "/api/streamers/streamer/viewers/id-fresh", {
+    ok: true,
+    viewer: { createdAt: new Date(now - 2 * DAY).toISOString(), followedAt: null },
+  });
+  backend.route("GET", "/api/streamers/streamer/viewers/id-sub", {
+    ok: true,
+    viewer: {
+      createdAt: new Date(now - 400 * DAY).toISOString(),
+      followedAt: new Date(now - 30 * DAY).toISOString(),
+    },
+  });
+
+  await quietly(() => chat("!giveaway start 1 20% 2m subs followers age:30d", STREAMER));
+  assert.match(client.lastMessage(), /Open to: subs, followers, accounts older than 30 days$/);
+
+  await chat("!enter", { login: "fresh" });
+  assert.equal(client.lastMessage(), "@fresh this giveaway is for subscribers only.");
+
+  const sub = { badges: { subscriber: "3" } };
+  clock.advance(5 * 1000);
+  await chat("!enter", { login: "fresh", tags: sub });
+  assert.equal(client.lastMessage(), "@fresh this giveaway is for followers only.");
+
+  await chat("!enter", { login: "unknown", tags: sub });
+  assert.equal(
+    client.lastMessage(),
+    "@unknown I couldn't check if you can enter, try again in a moment."
+  );
+
+  await chat("!enter", { login: "sub", tags: sub });
+  assert.equal(client.lastMessage(), "@sub you're in! (1 entries)");
+});
+
+test("account age is checked against the minimum", async () => {
+  const { chat, client, backend, clock } = setupBot();
+  backend.route("GET", "/api/streamers/streamer/viewers/id-fresh", {
+    ok: true,
+    viewer: { createdAt: new Date(clock.now() - 2 * DAY).toISOString() },
+  });
+
+  await quietly(() => chat("!giveaway start 1 20% 2m age:7d", STREAMER));
+  await chat("!enter", { login: "fresh" });
+  assert.equal(client.lastMessage(), "@fresh your account must be at least 7 days old to enter.");
+});
+
+test("bad arguments show the usage and cancel closes without winners", async () => {
+  const { chat, client, backend, clock } = setupBot();
+
+  await chat("!giveaway start 3 25% 2m everyone", STREAMER);
+  assert.equal(
+    client.lastMessage(),
+    "@Streamer use: !giveaway start <winners> <1-50>% <30s-60m> [subs] [followers] " +
+      "[age:<days>d] (example: !giveaway start 3 25% 2m)"
+  );
+
+  await chat("!enter", { login: "ada" });
+  assert.equal(client.lastMessage(), "@ada there is no giveaway to enter right now.");
+
+  await quietly(async () => {
+    clock.advance(2 * 1000);
+    await chat("!giveaway start 3 25% 2m", STREAMER);
+    await chat("!enter", { login: "ada" });
+    clock.advance(2 * 1000);
+    await chat("!giveaway cancel", STREAMER);
+  });
+  assert.equal(client.lastMessage(), "@Streamer cancelled the giveaway.");
+  assert.ok(!backend.calls.some((c) => c.path === "/api/discounts/streamer"));
+
+  await chat("!giveaway start 1 5% 1m", { login: "viewer" });
+  assert.equal(client.lastMessage(), "@viewer only the streamer can use !giveaway.");
+});
+
+test("filters parse and winners are distinct", () => {
+  assert.deepEqual(parseFilters(["subs", "AGE:14d"]), {
+    subsOnly: true,
+    followersOnly: false,
+    minAccountAgeDays: 14,
+  });
+  assert.equal(parseFilters(["age:0d"]), null);
+  assert.equal(parseFilters(["vips"]), null);
+
+  const entrants = ["a", "b", "c", "d"].map((id) => ({ id }));
+  const always0 = () => 0;
+  assert.deepEqual(pickWinners(entrants, 2, always0), [{ id: "a" }, { id: "b" }]);
+  assert.equal(pickWinners(entrants, 10, always0).length, 4);
+  assert.equal(entrants.length, 4);
+});
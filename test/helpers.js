@@ -0,0 +1,92 @@
+// test/helpers.js
+const { createBot } = require("../app");
+const { createMemoryStore } = require("../store");
+const { createFakeChatClient } = require("./fakes/fakeChatClient");
+const { createFakeBackend } = require("./fakes/fakeBackend");
+const { createFakeClock } = require("./fakes/fakeClock");
+
+const CHANNEL = "#streamer";
+
+/**
+ * Bot wired to fakes. Returns the pieces so tests can poke at them.
+ */
+function setupBot(options = {}) {
+  const clock = options.clock || createFakeClock();
+  const client = options.client || createFakeChatClient();
+  const backend = options.backend || createFakeBackend(options.backendOptions);
+  const store =
+    options.store || createMemoryStore({ now: clock.now, sweepIntervalMs: 0 });
+
+  const bot = createBot({
+    client,
+    backend,
+    store,
+    clock,
+    config: { ownerUsername: "owner", ...options.config },
+  });
+
+  /**
+   * Send a chat line as `user` and wait for the handler to finish
+   */
+  function chat(message, user = {}, channel = CHANNEL) {
+    const login = (user.login || "viewer").toLowerCase();
+    const tags = {
+      username: login,
+      "display-name": user.displayName || login,
+      "user-id": user.id || `id-${login}`,
+      badges: user.badges || null,
+      ...user.tags,
+    };
+    return bot.handleMessage(channel, tags, message, false);
+  }
+
+  return { bot, client, backend, store, clock, chat };
+}
+
+/**
+ * Serve `settings` from the fake backend's channel settings route
+ */
+function withSettings(backend, settings, login = "streamer") {
+  backend.route("GET", `/api/streamers/${login}/settings`, { ok: true, settings });
+}
+
+/**
+ * Let the fake backend create global drops with `code`
+ */
+function withDrop(backend, code = "DROPIFY20", login = "streamer") {
+  backend.route("POST", `/api/discounts/${login}/global`, (body) => ({
+    ok: true,
+    drop: { code, percent: body.percent },
+  }));
+}
+
+/**
+ * Run `fn` with the named console methods muted, e.g. quietly(fn, ["warn", "error"])
+ */
+async function quietly(fn, methods = ["log"]) {
+  const originals = methods.map((method) => console[method]);
+  for (const method of methods) console[method] = () => {};
+  try {
+    return await fn();
+  } finally {
+    methods.forEach((method, i) => {
+      console[method] = originals[i];
+    });
+  }
+}
+
+const STREAMER = {
+  login: "streamer",
+  displayName: "Streamer",
+  id: "1",
+  badges: { broadcaster: "1" },
+};
+
+module.exports = {
+  CHANNEL,
+  STREAMER,
+  setupBot,
+  withSettings,
+  withDrop,
+  quietly,
+};
@@ -0,0 +1,171 @@
+// test/liveStatus.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { setupBot, CHANNEL, STREAMER, withSettings, quietly } = require("./helpers");
+const { createLiveStatus, isBlockedOffline } = require("../liveStatus");
+const { createMemoryStore } = require("../store");
+const { createFakeBackend } = require("./fakes/fakeBackend");
+const { createFakeClock } = require("./fakes/fakeClock");
+
+function goLive(bot, id, startedAt) {
+  return quietly(() => bot.liveStatus.set(CHANNEL, { live: true, stream: { id, startedAt } }));
+}
+
+function setupLive(options = {}) {
+  const clock = createFakeClock();
+  const backend = createFakeBackend();
+  const store = createMemoryStore({ now: clock.now, sweepIntervalMs: 0 });
+  const started = [];
+  const ended = [];
+  const live = createLiveStatus({
+    backend,
+    store,
+    clock,
+    onStreamStart: (login, stream) => started.push([login, stream.id]),
+    onStreamEnd: (login) => ended.push(login),
+    ...options,
+  });
+  return { live, backend, store, clock, started, ended };
+}
+
+test("blockWhenOffline takes true or a list of commands", () => {
+  assert.equal(isBlockedOffline({}, "discount"), false);
+  assert.equal(isBlockedOffline({ blockWhenOffline: true }, "discount"), true);
+  assert.equal(isBlockedOffline({ blockWhenOffline: true }, "dropstatus"), false);
+  assert.equal(isBlockedOffline({ blockWhenOffline: ["Drop"] }, "drop"), true);
+  assert.equal(isBlockedOffline({ blockWhenOffline: ["drop"] }, "discount"), false);
+});
+
+test("backend status is cached and stream starts/ends fire once", async () => {
+  const { live, backend, clock, started, ended } = setupLive();
+  let status = { ok: true, live: true, stream: { id: "s1", startedAt: 1 } };
+  backend.route("GET", "/api/streamers/streamer/live", () => status);
+
+  await quietly(async () => {
+    assert.equal(await live.isLive("#streamer"), true);
+    assert.equal(await live.isLive("#streamer"), true);
+    assert.equal(backend.calls.length, 1);
+
+    status = { ok: true, live: false };
+    clock.advance(61 * 1000);
+    assert.equal(await live.isLive("streamer"), false);
+
+    status = { ok: true, live: true, stream: { id: "s2", startedAt: 2 } };
+    clock.advance(61 * 1000);
+    await live.isLive("streamer");
+  });
+
+  assert.deepEqual(started, [
+    ["streamer", "s1"],
+    ["streamer", "s2"],
+  ]);
+  assert.deepEqual(ended, ["streamer"]);
+});
+
+test("unknown status counts as live and a restart mid-stream is not a new stream", async () => {
+  const { live, store, clock, started } = setupLive();
+
+  // no /live route: the backend answers 404
+  assert.equal(await live.isLive("streamer"), true);
+
+  const backend = createFakeBackend();
+  backend.route("GET", "/api/streamers/streamer/live", {
+    ok: true,
+    live: true,
+    stream: { id: "s1", startedAt: 1 },
+  });
+  await store.set("live:streamer", "stream", { id: "s1", startedAt: 1 });
+  const restarted = createLiveStatus({
+    backend,
+    store,
+    clock,
+    onStreamStart: () => started.push("again"),
+  });
+
+  assert.equal(await restarted.isLive("streamer"), true);
+  assert.deepEqual(started, []);
+});
+
+test("polls without a stream id keep the stream that's already live", async () => {
+  const { live, backend, store, clock, started } = setupLive();
+  let status = { ok: true, live: true };
+  backend.route("GET", "/api/streamers/streamer/live", () => status);
+
+  await quietly(async () => {
+    for (let i = 0; i < 3; i++) {
+      await live.isLive("streamer");
+      clock.advance(61 * 1000);
+    }
+    assert.equal(started.length, 1);
+
+    // ISO start times are stored in ms, like Helix's
+    status = { ok: true, live: false };
+    await live.isLive("streamer");
+    clock.advance(61 * 1000);
+    status = { ok: true, live: true, stream: { startedAt: "2025-01-01T13:00:00Z" } };
+    await live.isLive("streamer");
+  });
+
+  assert.equal(started.length, 2);
+  const stream = await store.get("live:streamer", "stream");
+  assert.equal(stream.startedAt, Date.parse("2025-01-01T13:00:00Z"));
+  assert.equal(stream.id, String(stream.startedAt));
+});
+
+test("helix source reads /helix/streams", async () => {
+  const requests = [];
+  const http = {
+    get: async (url, config) => {
+      requests.push({ url, config });
+      return { status: 200, data: { data: [] } };
+    },
+  };
+  const { live } = setupLive({
+    source: "helix",
+    helix: { clientId: "cid", token: "oauth:tok" },
+    http,
+  });
+
+  assert.equal(await live.isLive("streamer"), false);
+  assert.equal(requests[0].url, "https://api.twitch.tv/helix/streams");
+  assert.deepEqual(requests[0].config.params, { user_login: "streamer" });
+  assert.equal(requests[0].config.headers.Authorization, "Bearer tok");
+});
+
+test("channels can block !discount / !drop while offline", async () => {
+  const { bot, chat, client, backend } = setupBot({ config: { liveStatus: { source: "mock" } } });
+  withSettings(backend, { blockWhenOffline: true });
+
+  await quietly(() => bot.liveStatus.set(CHANNEL, { live: false }));
+  await chat("!discount");
+  assert.equal(client.lastMessage(), "@viewer !discount only works while the stream is live.");
+  await chat("!drop 20", STREAMER);
+  assert.equal(client.lastMessage(), "@Streamer !drop only works while the stream is live.");
+
+  await goLive(bot, "s1");
+  await chat("!discount");
+  assert.match(client.lastMessage(), /DROP-TEST-0001/);
+});
+
+test("a new stream resets claims and opens a session the backend sees", async () => {
+  const { bot, chat, client, backend } = setupBot({ config: { liveStatus: { source: "mock" } } });
+
+  await goLive(bot, "s1", 5);
+  await chat("!discount", { login: "fan" });
+  assert.deepEqual(backend.calls.at(-1).body.session, { id: "s1", startedAt: 5 });
+  assert.ok(await bot.claims.getUserDiscount(CHANNEL, "id-fan"));
+
+  await quietly(() => bot.liveStatus.set(CHANNEL, { live: false }));
+  assert.match(client.lastMessage(), /^📊 Stream recap: 1 codes handed out/);
+
+  await goLive(bot, "s2", 9);
+  assert.equal(await bot.claims.getUserDiscount(CHANNEL, "id-fan"), null);
+  const sessions = await bot.analytics.listSessions(CHANNEL);
+  assert.deepEqual(
+    sessions.map((s) => [s.id, Boolean(s.endedAt)]),
+    [
+      ["s2", false],
+      ["s1", true],
+    ]
+  );
+});
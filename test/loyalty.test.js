@@ -0,0 +1,184 @@
+// test/loyalty.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { setupBot, CHANNEL, STREAMER, withSettings, quietly } = require("./helpers");
+const { listRewards } = require("../loyalty");
+
+const MOD = { login: "mod", displayName: "Mod", badges: { moderator: "1" } };
+const ADA = { login: "ada", displayName: "Ada" };
+
+async function points(bot, id = "id-ada") {
+  return (await bot.loyalty.balance(CHANNEL, id))?.balance || 0;
+}
+
+test("chat earns points at most once a minute, repeats and short lines earn nothing", async () => {
+  const { bot, chat, client, clock } = setupBot();
+
+  await quietly(async () => {
+    await chat("hello everyone", ADA);
+    await chat("how is it going", ADA);
+    assert.equal(await points(bot), 5);
+
+    clock.advance(61 * 1000);
+    await chat("how is it going", ADA);
+    await chat("gg", ADA);
+    await chat("!ping", ADA);
+    assert.equal(await points(bot), 5);
+
+    await chat("what a play", ADA);
+    assert.equal(await points(bot), 10);
+
+    await chat("first time here", { login: "bob", displayName: "Bob" });
+    clock.advance(6 * 1000);
+    await chat("!points", ADA);
+  });
+  assert.equal(client.lastMessage(), "@Ada you have 10 points (#1 in this channel).");
+});
+
+test("viewers active in the last window get presence points while live", async () => {
+  const { bot, chat, clock } = setupBot({ config: { liveStatus: { source: "mock" } } });
+
+  await quietly(async () => {
+    await bot.loyalty.payPresence("streamer");
+    await chat("!ping", ADA);
+    clock.advance(10 * 60 * 1000);
+    assert.equal(await bot.loyalty.payPresence("streamer"), 1);
+    assert.equal(await points(bot), 10);
+
+    // quiet for a whole window: no more presence points
+    clock.advance(10 * 60 * 1000);
+    assert.equal(await bot.loyalty.payPresence("streamer"), 0);
+
+    await bot.liveStatus.set(CHANNEL, { live: false });
+    await chat("still here", ADA);
+    clock.advance(10 * 60 * 1000);
+    assert.equal(await bot.loyalty.payPresence("streamer"), 0);
+  });
+  assert.equal(await points(bot), 10);
+});
+
+test("!redeem spends points on a personal code and refunds failures", async () => {
+  const { bot, chat, client, backend, clock } = setupBot();
+  withSettings(backend, {
+    loyalty: {
+      rewards: [
+        { id: "Big", cost: 100, percent: 25, lifetimeMinutes: 30 },
+        { id: "broken", cost: 0, percent: 10 },
+      ],
+    },
+  });
+  backend.setViewerDiscount(() => ({ ok: true, discountCode: "REWARD-ADA" }));
+
+  await quietly(async () => {
+    await chat("hello everyone", ADA);
+    await chat("!redeem", ADA);
+    assert.equal(
+      client.lastMessage(),
+      "@Ada rewards: big (100 points: 25% OFF). Use !redeem <reward>"
+    );
+
+    clock.advance(10 * 1000);
+    await chat("!redeem big", ADA);
+    assert.equal(client.lastMessage(), "@Ada big costs 100 points, you have 5.");
+
+    await chat("!addpoints @ada 200", MOD);
+    assert.equal(client.lastMessage(), "@Mod gave Ada 200 points (now 205).");
+
+    clock.advance(10 * 1000);
+    await chat("!redeem BIG", ADA);
+  });
+
+  assert.equal(
+    client.lastMessage(),
+    "🎁 @Ada you redeemed big: REWARD-ADA — 25% OFF, valid for 30m! (105 points left)"
+  );
+  assert.deepEqual(backend.calls.at(-1).body.policy, {
+    tier: "reward:big",
+    valueType: "percentage",
+    value: 25,
+    lifetimeMinutes: 30,
+    oncePerCustomer: true,
+  });
+  assert.equal((await bot.claims.getUserDiscount(CHANNEL, "id-ada")).code, "REWARD-ADA");
+
+  backend.setViewerDiscount(() => ({ ok: false, reason: "shopify_error" }));
+  clock.advance(10 * 1000);
+  await quietly(() => chat("!redeem big", ADA));
+  assert.equal(
+    client.lastMessage(),
+    "@Ada I couldn't create your reward code, your 100 points were refunded."
+  );
+  assert.equal(await points(bot), 105);
+
+  // the session lookup runs before any points are taken
+  bot.analytics.session = async () => {
+    throw new Error("store down");
+  };
+  clock.advance(10 * 1000);
+  await quietly(() => chat("!redeem big", ADA), ["log", "error"]);
+  assert.equal(await points(bot), 105);
+});
+
+test("mods grant and remove points, everyone sees the leaderboard", async () => {
+  const { chat, client, clock } = setupBot();
+
+  await quietly(async () => {
+    await chat("hello everyone", ADA);
+    await chat("good evening chat", { login: "bob", displayName: "Bob" });
+
+    await chat("!addpoints ada lots", MOD);
+    assert.equal(client.lastMessage(), "@Mod use: !addpoints <user> <amount>");
+    clock.advance(1000);
+    await chat("!addpoints nobody 5", MOD);
+    assert.equal(
+      client.lastMessage(),
+      "@Mod I haven't seen nobody in chat yet, they need to say something first."
+    );
+
+    // chatted, but too briefly to earn anything yet
+    await chat("hi", { login: "cleo", displayName: "Cleo" });
+    clock.advance(1000);
+    await chat("!addpoints cleo 20", MOD);
+    assert.equal(client.lastMessage(), "@Mod gave Cleo 20 points (now 20).");
+    await chat("!removepoints cleo 20", STREAMER);
+
+    clock.advance(1000);
+    await chat("!addpoints bob 50", MOD);
+    await chat("!removepoints ada 500", STREAMER);
+    assert.equal(client.lastMessage(), "@Streamer took 500 points from Ada (now 0).");
+
+    await chat("!removepoints bob 5", { login: "viewer" });
+    assert.equal(
+      client.lastMessage(),
+      "@viewer only moderators and the streamer can use !removepoints."
+    );
+
+    await chat("!leaderboard", ADA);
+    assert.equal(client.lastMessage(), "🏆 Top points: 1. Bob (55)");
+
+    await chat("!points bob", ADA);
+    assert.equal(client.lastMessage(), "@Ada Bob has 55 points.");
+  });
+});
+
+test("reward catalogs skip entries without a cost or value", () => {
+  const rewards = listRewards({
+    loyalty: {
+      rewards: [
+        { id: "fiver", cost: 800, valueType: "fixed_amount", value: 5, label: "Merch" },
+        { id: "ship", cost: 50, valueType: "free_shipping" },
+        { id: "nothing", cost: 50 },
+      ],
+    },
+  });
+  assert.deepEqual(rewards, [
+    {
+      id: "fiver",
+      cost: 800,
+      valueType: "fixed_amount",
+      value: 5,
+      lifetimeMinutes: 30,
+      label: "Merch",
+    },
+  ]);
+});
@@ -0,0 +1,86 @@
+// test/messageHandler.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { setupBot, CHANNEL, quietly } = require("./helpers");
+
+test("ignores own messages, plain chat and unknown commands", async () => {
+  const { bot, chat, client } = setupBot();
+
+  await bot.handleMessage(CHANNEL, { username: "dropifybot" }, "!ping", true);
+  await chat("hello there");
+  await chat("!");
+  await chat("!nope");
+
+  assert.deepEqual(client.sent, []);
+});
+
+test("commands are case-insensitive and get their args", async () => {
+  const seen = [];
+  const { bot, chat } = setupBot();
+  bot.commands.echo = {
+    name: "echo",
+    execute: async (ctx) => seen.push(ctx.args),
+  };
+
+  await chat("!ECHO  one   two");
+
+  assert.deepEqual(seen, [["one", "two"]]);
+});
+
+test("per-user command cooldown", async () => {
+  const { chat, client, clock } = setupBot();
+
+  await chat("!help", { login: "alice" });
+  await chat("!help", { login: "alice" });
+  assert.equal(client.lastMessage(), "@alice wait 2s before using !help again.");
+
+  // other viewers are unaffected
+  await chat("!help", { login: "bob" });
+  assert.match(client.lastMessage(), /^@bob Available commands: !ping, !help, !discount/);
+
+  clock.advance(2000);
+  await chat("!help", { login: "alice" });
+  assert.match(client.lastMessage(), /^@alice Available commands/);
+});
+
+test("a failing command is reported in chat", async () => {
+  const { bot, chat, client } = setupBot();
+  bot.commands.boom = {
+    name: "boom",
+    execute: async () => {
+      throw new Error("kaboom");
+    },
+  };
+
+  await quietly(() => chat("!boom", { login: "alice" }), ["error"]);
+
+  assert.equal(client.lastMessage(), "@alice something went wrong executing !boom.");
+});
+
+test("!reload is owner only and re-syncs joins", async () => {
+  const { chat, client, backend } = setupBot();
+  backend.route("GET", "/api/streamers/active", { ok: true, channels: ["NewOne", "streamer"] });
+
+  await chat("!reload", { login: "alice" });
+  assert.equal(client.lastMessage(), "@alice only the bot owner can use !reload.");
+
+  await chat("!reload", { login: "owner" });
+  assert.deepEqual(client.joined, ["newone", "streamer"]);
+  assert.equal(client.lastMessage(), "Channel list synced ✅");
+});
+
+test("start() wires the chat client's message event", async () => {
+  const { bot, client } = setupBot();
+  await bot.start();
+  assert.equal(client.connected, true);
+
+  await Promise.all(
+    client
+      .listeners("message")
+      .map((fn) => fn(CHANNEL, { username: "alice", "user-id": "9" }, "!ping", false))
+  );
+  assert.equal(client.lastMessage(), "Pong! 🏓 @alice");
+
+  await bot.stop();
+  assert.equal(client.listenerCount("message"), 0);
+});
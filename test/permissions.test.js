@@ -0,0 +1,62 @@
+// test/permissions.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { getUserRole, resolvePermission } = require("../permissions");
+const { setupBot, STREAMER, withSettings } = require("./helpers");
+
+const MOD = { login: "mod", displayName: "Mod", badges: { moderator: "1" } };
+
+test("getUserRole picks the highest role", () => {
+  assert.equal(getUserRole({ username: "a" }), "viewer");
+  assert.equal(getUserRole({ username: "a", subscriber: true }), "subscriber");
+  assert.equal(getUserRole({ username: "a", badges: { vip: "1", subscriber: "12" } }), "vip");
+  assert.equal(getUserRole({ username: "a", mod: true, badges: { vip: "1" } }), "moderator");
+  assert.equal(getUserRole({ username: "a", badges: { broadcaster: "1" } }), "broadcaster");
+  assert.equal(getUserRole({ username: "Boss", badges: { broadcaster: "1" } }, "boss"), "owner");
+});
+
+test("channel overrides can't unlock owner-only commands", () => {
+  const command = { name: "reload", permission: "owner" };
+  const settings = { commandPermissions: { reload: { role: "viewer", allow: ["alice"] } } };
+
+  assert.equal(resolvePermission(command, { username: "alice" }, settings, "owner").allowed, false);
+  assert.equal(resolvePermission(command, { username: "owner" }, settings, "owner").allowed, true);
+});
+
+test("mods can run !drop with a lower cap when the channel allows it", async () => {
+  const { chat, client, backend } = setupBot();
+  withSettings(backend, {
+    commandPermissions: {
+      drop: { role: "moderator", limits: { moderator: { maxPercent: 20 } } },
+    },
+  });
+  backend.route("POST", "/api/discounts/streamer/global", { ok: true, drop: { code: "MODDROP" } });
+
+  await chat("!drop 30", MOD);
+  assert.equal(client.lastMessage(), "@Mod use: !drop <1-20> [duration] (example: !drop 10 5m)");
+
+  await chat("!drop 30", STREAMER);
+  assert.match(client.lastMessage(), /Code: MODDROP 💸 30% OFF/);
+
+  await chat("!drop 10", { login: "viewer" });
+  assert.equal(client.lastMessage(), "@viewer only moderators and the streamer can use !drop.");
+});
+
+test("allowlisted users pass and !help only lists allowed commands", async () => {
+  const { chat, client, backend } = setupBot();
+  withSettings(backend, { commandPermissions: { drop: { allow: ["Helper"] } } });
+
+  await chat("!help", { login: "viewer" });
+  assert.equal(
+    client.lastMessage(),
+    "@viewer Available commands: !ping, !help, !discount, !dropstatus, !dropstats, !enter, " +
+      "!points, !leaderboard, !redeem"
+  );
+
+  await chat("!help", { login: "helper" });
+  assert.equal(
+    client.lastMessage(),
+    "@helper Available commands: !ping, !help, !discount, !drop, !dropstatus, !dropstats, " +
+      "!enter, !points, !leaderboard, !redeem"
+  );
+});
@@ -0,0 +1,162 @@
+// test/redemptions.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { setupBot, CHANNEL, STREAMER, withSettings, withDrop, quietly } = require("./helpers");
+const { verifyWebhook, redemptionsFromOrder, pollCodeUsage } = require("../shopify/redemptions");
+const { createControlServer } = require("../controlServer");
+
+test("drop code usage is announced, throttled, and shown by !dropstats", async () => {
+  const { bot, chat, client, backend, clock } = setupBot();
+  withDrop(backend);
+
+  await chat("!dropstats");
+  assert.equal(client.lastMessage(), "@viewer there hasn't been a drop yet.");
+
+  await chat("!drop 20", STREAMER);
+  const first = await bot.redemptions.record(CHANNEL, { code: "dropify20", usageCount: 3 });
+  assert.deepEqual(first, { ok: true, kind: "drop", count: 3, announced: true });
+  assert.equal(client.lastMessage(), "🔥 3 people have used the drop code so far!");
+
+  clock.advance(10 * 1000);
+  const quiet = await bot.redemptions.record(CHANNEL, { code: "DROPIFY20", usageCount: 5 });
+  assert.equal(quiet.announced, false);
+
+  clock.advance(60 * 1000);
+  await bot.redemptions.record(CHANNEL, { code: "DROPIFY20", usageCount: 7 });
+  assert.equal(client.lastMessage(), "🔥 7 people have used the drop code so far!");
+
+  await chat("!dropstats");
+  assert.equal(client.lastMessage(), "📊 @viewer the drop code DROPIFY20 has been used 7 times so far.");
+
+  clock.advance(10 * 60 * 1000);
+  await chat("!dropstats", { login: "other" });
+  assert.equal(client.lastMessage(), "📊 @other the last drop code DROPIFY20 was used 7 times.");
+});
+
+test("the live drop survives a restart", async () => {
+  const first = setupBot();
+  withDrop(first.backend);
+  await first.chat("!drop 20", STREAMER);
+
+  const { bot, chat, client, clock } = setupBot({ store: first.store, clock: first.clock });
+  const usage = await bot.redemptions.record(CHANNEL, { code: "DROPIFY20", usageCount: 2 });
+  assert.equal(usage.kind, "drop");
+
+  await chat("!dropstats");
+  assert.equal(client.lastMessage(), "📊 @viewer the drop code DROPIFY20 has been used 2 times so far.");
+  clock.advance(10 * 1000);
+  await chat("!drop 30", STREAMER);
+  assert.match(client.lastMessage(), /global drop is on cooldown/);
+});
+
+test("webhook orders are counted once per order id", async () => {
+  const { bot, chat, backend } = setupBot();
+  withDrop(backend);
+  withSettings(backend, { redemptionAnnouncements: { drop: false } });
+  await chat("!drop 20", STREAMER);
+
+  await bot.redemptions.record(CHANNEL, { code: "DROPIFY20", orderId: 1001 });
+  const again = await bot.redemptions.record(CHANNEL, { code: "DROPIFY20", orderId: 1001 });
+  const next = await bot.redemptions.record(CHANNEL, { code: "DROPIFY20", orderId: 1002 });
+
+  assert.equal(again.count, 1);
+  assert.deepEqual(next, { ok: true, kind: "drop", count: 2, announced: false });
+});
+
+test("personal code usage credits the viewer only when the channel opts in", async () => {
+  const { bot, chat, client, backend } = setupBot();
+  backend.setViewerDiscount(() => ({ ok: true, discountCode: "DROP-ABC123" }));
+
+  await chat("!discount", { login: "fan", displayName: "Fan" });
+  const silent = await bot.redemptions.record(CHANNEL, { code: "DROP-ABC123", orderId: 1 });
+  assert.deepEqual(silent, { ok: true, kind: "viewer", count: 1, announced: false });
+
+  withSettings(backend, { redemptionAnnouncements: { viewers: true } });
+  bot.channelSettings.invalidate("streamer");
+  await chat("!discount", { login: "buyer", displayName: "Buyer" });
+  backend.setViewerDiscount(() => ({ ok: true, discountCode: "DROP-XYZ789" }));
+  await chat("!discount", { login: "second", displayName: "Second" });
+
+  await bot.redemptions.record(CHANNEL, { code: "DROP-XYZ789", orderId: 2 });
+  assert.equal(client.lastMessage(), "@Second just used their code 🎉");
+
+  const unknown = await bot.redemptions.record(CHANNEL, { code: "NOPE", orderId: 3 });
+  assert.deepEqual(unknown, { ok: false, reason: "unknown_code", ignored: true });
+});
+
+test("orders for an earlier drop's code are acknowledged, not retried", async () => {
+  const secret = "push-secret";
+  const { bot, chat, backend, clock } = setupBot();
+  withDrop(backend, "FIRST");
+  await chat("!drop 20", STREAMER);
+  clock.advance(6 * 60 * 1000);
+  withDrop(backend, "SECOND");
+  await chat("!drop 20", STREAMER);
+
+  const server = createControlServer({ bot, secret });
+  const { port } = await server.listen(0);
+  try {
+    const res = await quietly(() =>
+      fetch(`http://127.0.0.1:${port}/events`, {
+        method: "POST",
+        headers: { Authorization: `Bearer ${secret}`, "Content-Type": "application/json" },
+        body: JSON.stringify({
+          type: "discount.redeemed",
+          channel: "streamer",
+          code: "FIRST",
+          orderId: 1,
+        }),
+      })
+    );
+    assert.equal(res.status, 200);
+    assert.deepEqual(await res.json(), { ok: false, reason: "unknown_code", ignored: true });
+  } finally {
+    await server.close();
+  }
+});
+
+test("orders/create webhooks are verified and list their discount codes", () => {
+  const body = JSON.stringify({
+    id: 42,
+    created_at: "2025-01-01T12:00:00Z",
+    total_price: "54.90",
+    currency: "EUR",
+    customer: { first_name: "Ada", last_name: "L" },
+    discount_codes: [{ code: "dropify20", amount: "10.00", type: "percentage" }],
+  });
+  const hmac = crypto.createHmac("sha256", "whsec").update(body).digest("base64");
+
+  assert.equal(verifyWebhook(body, hmac, "whsec"), true);
+  assert.equal(verifyWebhook(body, hmac, "other"), false);
+  assert.deepEqual(redemptionsFromOrder(JSON.parse(body)), [
+    {
+      code: "DROPIFY20",
+      orderId: "42",
+      orderTotal: 54.9,
+      currency: "EUR",
+      customerName: "Ada L",
+      createdAt: Date.parse("2025-01-01T12:00:00Z"),
+    },
+  ]);
+});
+
+test("pollCodeUsage reports only codes whose count moved", async () => {
+  const counts = { AAA: 2, BBB: 0 };
+  const client = {
+    async getCodeUsage(code) {
+      if (code === "GONE") return null;
+      return { code, usageCount: counts[code] };
+    },
+  };
+  const previous = new Map();
+
+  assert.deepEqual(await pollCodeUsage(client, ["AAA", "BBB", "GONE"], previous), [
+    { code: "AAA", usageCount: 2, previousCount: 0 },
+  ]);
+  counts.AAA = 2;
+  counts.BBB = 1;
+  assert.deepEqual(await pollCodeUsage(client, ["AAA", "BBB"], previous), [
+    { code: "BBB", usageCount: 1, previousCount: 0 },
+  ]);
+});
@@ -0,0 +1,188 @@
+// test/shopifyCleanup.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createRestBackend } = require("../shopify/rest");
+const { createGraphqlBackend } = require("../shopify/graphql");
+const {
+  cleanupExpiredDiscounts,
+  cleanupAllStores,
+  formatCleanupReport,
+} = require("../shopify/cleanup");
+const { createFakeClock } = require("./fakes/fakeClock");
+const { createFakeHttp } = require("./fakes/fakeHttp");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function restBackend(http, clock) {
+  return createRestBackend({
+    domain: "shop.example.com",
+    token: "shpat_test",
+    apiVersion: "2025-01",
+    clock,
+    http,
+    random: () => 0.5,
+  });
+}
+
+function rule(id, title, endedDaysAgo, clock) {
+  return { id, title, ends_at: new Date(clock.now() - endedDaysAgo * DAY_MS).toISOString() };
+}
+
+/**
+ * Fake client: listExpiredDiscounts returns `rules`, deleteDiscount records
+ * (and fails for ids in `failing`).
+ */
+function fakeClient(rules, { failing = [] } = {}) {
+  const deleted = [];
+  return {
+    deleted,
+    async listExpiredDiscounts() {
+      return rules;
+    },
+    async deleteDiscount(id) {
+      if (failing.includes(id)) throw new Error("Shopify is unavailable: HTTP 503");
+      deleted.push(id);
+    },
+  };
+}
+
+test("REST listExpiredDiscounts follows Link pagination and skips rules still running", async () => {
+  const clock = createFakeClock();
+  const http = createFakeHttp([
+    {
+      headers: {
+        link: '<https://shop.example.com/admin/api/2025-01/price_rules.json?page_info=p2&limit=250>; rel="next"',
+      },
+      data: { price_rules: [rule(1, "Dropify Auto Rule 1", 3, clock), rule(2, "Spring sale", 5, clock)] },
+    },
+    { data: { price_rules: [rule(3, "Dropify Global Drop HYPE", 1, clock), { id: 4, title: "Forever", ends_at: null }] } },
+  ]);
+
+  const expired = await restBackend(http, clock).listExpiredDiscounts();
+
+  assert.deepEqual(
+    expired.map((r) => r.id),
+    [1, 2, 3]
+  );
+  assert.match(http.requests[0].url, /price_rules\.json\?limit=250&ends_at_max=2025-01-01T12/);
+  assert.match(http.requests[1].url, /price_rules\.json\?limit=250&page_info=p2$/);
+});
+
+test("cleanup deletes only expired Dropify rules and keeps recent ones", async () => {
+  const clock = createFakeClock();
+  const client = fakeClient([
+    { id: 1, title: "Dropify Auto Rule 1", endsAt: clock.now() - 40 * DAY_MS },
+    { id: 2, title: "Spring sale", endsAt: clock.now() - 40 * DAY_MS },
+    { id: 3, title: "Dropify Global Drop HYPE", endsAt: clock.now() - 2 * DAY_MS },
+    { id: 4, title: "Dropify Global Drop OLD", endsAt: clock.now() - 31 * DAY_MS },
+  ]);
+
+  const report = await cleanupExpiredDiscounts(client, { keepDays: 30, clock });
+
+  assert.deepEqual(client.deleted, [1, 4]);
+  assert.equal(report.scanned, 3);
+  assert.deepEqual(
+    report.kept.map((r) => r.id),
+    [3]
+  );
+  assert.equal(formatCleanupReport(report), "deleted 2, kept 1 (recent) of 3 expired Dropify rules");
+});
+
+test("a dry run reports what would be deleted without deleting", async () => {
+  const clock = createFakeClock();
+  const client = fakeClient([{ id: 1, title: "Dropify Auto Rule 1", endsAt: clock.now() - DAY_MS }]);
+
+  const report = await cleanupExpiredDiscounts(client, { dryRun: true, clock });
+
+  assert.deepEqual(client.deleted, []);
+  assert.deepEqual(
+    report.deleted.map((r) => r.id),
+    [1]
+  );
+  assert.match(formatCleanupReport(report), /^would delete 1/);
+});
+
+test("deletes run in batches with a pause and failures land in the report", async () => {
+  const clock = createFakeClock();
+  const start = clock.now();
+  const rules = [1, 2, 3, 4, 5].map((id) => ({
+    id,
+    title: `Dropify Auto Rule ${id}`,
+    endsAt: start - DAY_MS,
+  }));
+  const client = fakeClient(rules, { failing: [4] });
+
+  const report = await cleanupExpiredDiscounts(client, { batchSize: 2, pauseMs: 1000, clock });
+
+  assert.deepEqual(client.deleted, [1, 2, 3, 5]);
+  assert.equal(clock.now() - start, 2000);
+  assert.deepEqual(report.failed, [{ ...rules[3], error: "Shopify is unavailable: HTTP 503" }]);
+});
+
+test("GraphQL backend pages codeDiscountNodes and deletes with discountCodeDelete", async () => {
+  const clock = createFakeClock();
+  const node = (id, title, endsAt) => ({ id, codeDiscount: { title, endsAt } });
+  const replies = [
+    {
+      data: {
+        data: {
+          codeDiscountNodes: {
+            pageInfo: { hasNextPage: true, endCursor: "c1" },
+            nodes: [node("gid://shopify/DiscountCodeNode/1", "Dropify Auto Rule 1", "2024-12-01T00:00:00Z")],
+          },
+        },
+      },
+    },
+    {
+      data: {
+        data: {
+          codeDiscountNodes: {
+            pageInfo: { hasNextPage: false, endCursor: null },
+            nodes: [node("gid://shopify/DiscountCodeNode/2", "Dropify Global Drop X", "2024-12-02T00:00:00Z")],
+          },
+        },
+      },
+    },
+    { data: { data: { discountCodeDelete: { deletedCodeDiscountId: "x", userErrors: [] } } } },
+    { data: { data: { discountCodeDelete: { deletedCodeDiscountId: "y", userErrors: [] } } } },
+  ];
+  const http = createFakeHttp(replies);
+  const shopify = createGraphqlBackend({
+    domain: "shop.example.com",
+    token: "shpat_test",
+    apiVersion: "2025-01",
+    clock,
+    http,
+  });
+
+  const report = await cleanupExpiredDiscounts(shopify, { clock });
+
+  assert.equal(report.deleted.length, 2);
+  assert.equal(http.requests[1].data.variables.after, "c1");
+  assert.equal(http.requests[0].data.variables.query, "status:expired");
+  assert.deepEqual(http.requests[3].data.variables, { id: "gid://shopify/DiscountCodeNode/2" });
+});
+
+test("cleanupAllStores reports stores that can't be reached without stopping", async () => {
+  const clock = createFakeClock();
+  const client = fakeClient([{ id: 1, title: "Dropify Auto Rule 1", endsAt: clock.now() - DAY_MS }]);
+  const registry = {
+    async list() {
+      return [
+        { login: "gone", domain: "gone.example.com" },
+        { login: "streamer", domain: "shop.example.com" },
+      ];
+    },
+    async resolve(login) {
+      if (login === "gone") return { ok: false, reason: "not_connected", message: "renew" };
+      return { ok: true, client };
+    },
+  };
+
+  const results = await cleanupAllStores(registry, { clock });
+
+  assert.equal(results[0].ok, false);
+  assert.equal(results[0].reason, "not_connected");
+  assert.equal(results[1].ok, true);
+  assert.deepEqual(client.deleted, [1]);
+});
@@ -0,0 +1,103 @@
+// test/shopifyCodes.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createCodeGenerator, sanitizeCode, DEFAULT_ALPHABET } = require("../shopify/codes");
+const { createRestBackend } = require("../shopify/rest");
+const { createGraphqlBackend } = require("../shopify/graphql");
+const { createFakeClock } = require("./fakes/fakeClock");
+const { createFakeHttp } = require("./fakes/fakeHttp");
+
+function sequence(...values) {
+  return () => values.shift() ?? 0;
+}
+
+test("codes follow the store's format and skip ambiguous characters", () => {
+  assert.doesNotMatch(DEFAULT_ALPHABET, /[0O1IL5S2Z]/);
+
+  const codes = createCodeGenerator({ prefix: "hype drop!", format: "{PREFIX}_{RANDOM4}-{RANDOM2}", alphabet: "ab" });
+  assert.match(codes.generate(), /^HYPEDROP_[AB]{4}-[AB]{2}$/);
+
+  const fallback = createCodeGenerator();
+  for (let i = 0; i < 50; i++) {
+    assert.match(fallback.generate(), new RegExp(`^DROP-[${DEFAULT_ALPHABET}]{6}$`));
+  }
+});
+
+test("unusable formats and alphabets are rejected up front", () => {
+  assert.throws(() => createCodeGenerator({ format: "{PREFIX}-{RANDOM3}" }), /at least 4/);
+  assert.throws(() => createCodeGenerator({ format: "{PREFIX}-{USER}-{RANDOM6}" }), /\{USER\}/);
+  assert.throws(() => createCodeGenerator({ alphabet: "aaa" }), /at least 2/);
+});
+
+test("sanitizeCode keeps only what Shopify accepts", () => {
+  assert.equal(sanitizeCode(" Hype 20%! "), "HYPE20");
+  assert.equal(sanitizeCode("--crème--brûlée__"), "CREME-BRULEE");
+  assert.equal(sanitizeCode("🔥🔥"), "");
+});
+
+test("REST regenerates a generated code that already exists", async () => {
+  const http = createFakeHttp([
+    { status: 201, data: { price_rule: { id: 7 } } },
+    { status: 422, data: { errors: { code: ["must be unique. Please try a different code."] } } },
+    { status: 201, data: { discount_code: { id: 9, code: "DROP-BBBB" } } },
+  ]);
+  const shopify = createRestBackend({
+    domain: "shop.example.com",
+    token: "t",
+    apiVersion: "2025-01",
+    clock: createFakeClock(),
+    http,
+    codes: createCodeGenerator({ format: "{PREFIX}-{RANDOM4}", alphabet: "AB", randomInt: sequence(0, 0, 0, 0, 1, 1, 1, 1) }),
+  });
+
+  const discount = await shopify.createDiscountForViewer("Some_Viewer", null);
+
+  assert.equal(discount.code, "DROP-BBBB");
+  assert.doesNotMatch(discount.url, /VIEWER/i);
+  assert.deepEqual(
+    http.requests.slice(1).map((r) => r.data.discount_code.code),
+    ["DROP-AAAA", "DROP-BBBB"]
+  );
+  // the rule is kept, no DELETE
+  assert.equal(http.requests.length, 3);
+});
+
+test("GraphQL regenerates on TAKEN but keeps a code the streamer picked", async () => {
+  const taken = {
+    data: {
+      data: {
+        discountCodeBasicCreate: {
+          codeDiscountNode: null,
+          userErrors: [{ field: ["basicCodeDiscount", "code"], code: "TAKEN", message: "Code must be unique" }],
+        },
+      },
+    },
+  };
+  const ok = {
+    data: {
+      data: {
+        discountCodeBasicCreate: {
+          codeDiscountNode: { id: "gid://shopify/DiscountCodeNode/1", codeDiscount: {} },
+          userErrors: [],
+        },
+      },
+    },
+  };
+  const http = createFakeHttp([taken, ok, taken]);
+  const shopify = createGraphqlBackend({
+    domain: "shop.example.com",
+    token: "t",
+    apiVersion: "2025-01",
+    clock: createFakeClock(),
+    http,
+    codes: createCodeGenerator({ format: "{PREFIX}-{RANDOM4}", alphabet: "AB", randomInt: sequence(0, 0, 0, 0, 1, 1, 1, 1) }),
+  });
+
+  const drop = await shopify.createGlobalDrop(null, 20);
+  assert.equal(drop.code, "DROP-BBBB");
+  assert.equal(http.requests[1].data.variables.basicCodeDiscount.title, "Dropify Global Drop DROP-BBBB");
+
+  await assert.rejects(shopify.createGlobalDrop("hype 20", 20), /Code must be unique/);
+  assert.equal(http.requests[2].data.variables.basicCodeDiscount.code, "HYPE20");
+  assert.equal(http.requests.length, 3);
+});
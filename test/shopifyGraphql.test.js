@@ -0,0 +1,125 @@
+// test/shopifyGraphql.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createGraphqlBackend } = require("../shopify/graphql");
+const { createFakeClock } = require("./fakes/fakeClock");
+const { createFakeHttp } = require("./fakes/fakeHttp");
+
+function cost(currentlyAvailable, requestedQueryCost = 10) {
+  return {
+    cost: {
+      requestedQueryCost,
+      actualQueryCost: requestedQueryCost,
+      throttleStatus: { maximumAvailable: 1000, currentlyAvailable, restoreRate: 50 },
+    },
+  };
+}
+
+function created(code) {
+  return {
+    data: {
+      discountCodeBasicCreate: {
+        codeDiscountNode: {
+          id: "gid://shopify/DiscountCodeNode/1",
+          codeDiscount: { codes: { nodes: [{ id: "gid://shopify/DiscountRedeemCode/2", code }] } },
+        },
+        userErrors: [],
+      },
+    },
+    extensions: cost(990),
+  };
+}
+
+// replies: GraphQL response bodies
+function setup(replies) {
+  const http = createFakeHttp(replies.map((data) => ({ data })));
+  const clock = createFakeClock();
+  const shopify = createGraphqlBackend({
+    domain: "shop.example.com",
+    token: "shpat_test",
+    apiVersion: "2025-01",
+    clock,
+    http,
+  });
+  return { shopify, http, clock };
+}
+
+test("createGlobalDrop sends discountCodeBasicCreate with a percentage value", async () => {
+  const { shopify, http, clock } = setup([created("HYPE20")]);
+
+  const result = await shopify.createGlobalDrop("HYPE20", 20, 15);
+
+  assert.equal(result.code, "HYPE20");
+  assert.equal(result.id, "gid://shopify/DiscountRedeemCode/2");
+  const req = http.requests[0];
+  assert.equal(req.url, "https://shop.example.com/admin/api/2025-01/graphql.json");
+  assert.equal(req.headers["X-Shopify-Access-Token"], "shpat_test");
+  const input = req.data.variables.basicCodeDiscount;
+  assert.equal(input.code, "HYPE20");
+  assert.equal(input.title, "Dropify Global Drop HYPE20");
+  assert.equal(input.customerGets.value.percentage, 0.2);
+  assert.equal(input.usageLimit, null);
+  assert.equal(Date.parse(input.endsAt), clock.now() + 15 * 60 * 1000);
+});
+
+test("userErrors are thrown with the messages Shopify returned", async () => {
+  const { shopify } = setup([
+    {
+      data: {
+        discountCodeBasicCreate: {
+          codeDiscountNode: null,
+          userErrors: [{ field: ["basicCodeDiscount", "code"], code: "TAKEN", message: "Code must be unique" }],
+        },
+      },
+      extensions: cost(990),
+    },
+  ]);
+
+  await assert.rejects(shopify.createGlobalDrop("HYPE20", 20), (err) => {
+    assert.match(err.message, /Code must be unique/);
+    assert.equal(err.userErrors[0].code, "TAKEN");
+    return true;
+  });
+});
+
+test("a THROTTLED response waits for the bucket to refill and retries", async () => {
+  const { shopify, http, clock } = setup([
+    { errors: [{ message: "Throttled", extensions: { code: "THROTTLED" } }], extensions: cost(0) },
+    created("HYPE20"),
+  ]);
+  const startedAt = clock.now();
+
+  const result = await shopify.createGlobalDrop("HYPE20", 20);
+
+  assert.equal(result.code, "HYPE20");
+  assert.equal(http.requests.length, 2);
+  // 10 points at 50/s
+  assert.equal(clock.now() - startedAt, 200);
+});
+
+test("a THROTTLED response without a throttleStatus backs off before retrying", async () => {
+  const throttled = { errors: [{ message: "Throttled", extensions: { code: "THROTTLED" } }] };
+  const { shopify, http, clock } = setup([throttled, throttled, created("HYPE20")]);
+  const startedAt = clock.now();
+
+  const result = await shopify.createGlobalDrop("HYPE20", 20);
+
+  assert.equal(result.code, "HYPE20");
+  assert.equal(http.requests.length, 3);
+  // 10 points at the standard 50/s, then twice that
+  assert.equal(clock.now() - startedAt, 200 + 400);
+});
+
+test("a nearly empty bucket delays the next mutation instead of getting throttled", async () => {
+  const { shopify, http, clock } = setup([
+    { ...created("A"), extensions: cost(5) },
+    created("B"),
+  ]);
+
+  await shopify.createGlobalDrop("A", 10);
+  const before = clock.now();
+  await shopify.createDiscountForViewer("alice");
+
+  assert.equal(http.requests.length, 2);
+  assert.equal(clock.now() - before, 100);
+});
@@ -0,0 +1,87 @@
+// test/shopifyRegistry.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createMemoryStore } = require("../store");
+const { createStoreRegistry } = require("../shopify/registry");
+const { encryptToken, decryptToken } = require("../shopify/secrets");
+const { createFakeClock } = require("./fakes/fakeClock");
+const { createFakeHttp } = require("./fakes/fakeHttp");
+
+const KEY = "a".repeat(64);
+
+function setup() {
+  const clock = createFakeClock();
+  const store = createMemoryStore({ now: clock.now, sweepIntervalMs: 0 });
+  const http = createFakeHttp(() => ({
+    status: 201,
+    data: { price_rule: { id: 1 }, discount_code: { id: 2, code: "X" } },
+  }));
+  const registry = createStoreRegistry({ store, tokenKey: KEY, clock, http });
+  return { registry, store, requests: http.requests, clock };
+}
+
+test("tokens are encrypted at rest and round-trip with the right key", () => {
+  const blob = encryptToken("shpat_secret", KEY);
+  assert.ok(!blob.includes("shpat_secret"));
+  assert.equal(decryptToken(blob, KEY), "shpat_secret");
+  assert.throws(() => decryptToken(blob, "b".repeat(64)));
+});
+
+test("each channel resolves to its own store", async () => {
+  const { registry, store, requests } = setup();
+
+  await registry.connect("#StreamerA", { domain: "https://shop-a.myshopify.com/", token: "shpat_a" });
+  await registry.connect("streamerb", { domain: "shop-b.myshopify.com", token: "shpat_b", mode: "graphql" });
+
+  const saved = await store.get("shopify:stores", "streamera");
+  assert.equal(saved.domain, "shop-a.myshopify.com");
+  assert.ok(!JSON.stringify(saved).includes("shpat_a"));
+
+  const a = await registry.resolve("#streamera");
+  assert.equal(a.ok, true);
+  assert.equal(a.client.mode, "rest");
+  await a.client.createGlobalDrop("HYPE", 20);
+  assert.match(requests[0].url, /^https:\/\/shop-a\.myshopify\.com\/admin\/api\/2025-01\//);
+  assert.equal(requests[0].headers["X-Shopify-Access-Token"], "shpat_a");
+
+  const b = await registry.resolve("streamerb");
+  assert.equal(b.client.mode, "graphql");
+  assert.equal((await registry.resolve("streamera")).client, a.client);
+
+  assert.deepEqual(
+    (await registry.list()).map((s) => [s.login, s.domain]),
+    [
+      ["streamera", "shop-a.myshopify.com"],
+      ["streamerb", "shop-b.myshopify.com"],
+    ]
+  );
+});
+
+test("missing or unusable credentials are not_connected, never a throw", async () => {
+  const { registry, store } = setup();
+
+  assert.equal((await registry.resolve("nobody")).reason, "not_connected");
+  assert.equal((await registry.connect("x", { domain: "not a domain", token: "t" })).reason, "invalid");
+
+  await registry.connect("streamer", { domain: "shop.myshopify.com", token: "shpat" });
+  const record = await store.get("shopify:stores", "streamer");
+  await store.set("shopify:stores", "streamer", { ...record, token: "garbage", connectedAt: 1 });
+  assert.equal((await registry.resolve("streamer")).reason, "not_connected");
+
+  await registry.disconnect("streamer");
+  assert.equal((await registry.resolve("streamer")).reason, "not_connected");
+});
+
+test("shopify.js loads without env and reports not_connected", async () => {
+  const saved = { ...process.env };
+  delete process.env.SHOPIFY_STORE_DOMAIN;
+  delete process.env.SHOPIFY_ADMIN_TOKEN;
+  try {
+    const shopify = require("../shopify.js");
+    const result = await shopify.createGlobalDrop("X", 10);
+    assert.equal(result.ok, false);
+    assert.equal(result.reason, "not_connected");
+  } finally {
+    process.env = saved;
+  }
+});
@@ -0,0 +1,132 @@
+// test/shopifyRest.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createRestBackend } = require("../shopify/rest");
+const {
+  ShopifyRateLimitError,
+  ShopifyUnavailableError,
+  ShopifyValidationError,
+  errorResult,
+} = require("../shopify/errors");
+const { createFakeClock } = require("./fakes/fakeClock");
+const { createFakeHttp } = require("./fakes/fakeHttp");
+
+function setup(replies) {
+  const http = createFakeHttp(replies);
+  const clock = createFakeClock();
+  const shopify = createRestBackend({
+    domain: "shop.example.com",
+    token: "shpat_test",
+    apiVersion: "2025-01",
+    clock,
+    http,
+    random: () => 0.5,
+  });
+  return { shopify, http, clock };
+}
+
+const RULE = { status: 201, data: { price_rule: { id: 7 } } };
+const CODE = { status: 201, data: { discount_code: { id: 9, code: "HYPE20" } } };
+
+test("a 429 waits for Retry-After and tries again", async () => {
+  const { shopify, http, clock } = setup([
+    RULE,
+    { status: 429, headers: { "retry-after": "2.0" }, data: { errors: "Exceeded 2 calls per second" } },
+    CODE,
+  ]);
+  const startedAt = clock.now();
+
+  const code = await shopify.createGlobalDrop("HYPE20", 20);
+
+  assert.equal(code.code, "HYPE20");
+  assert.equal(http.requests.length, 3);
+  assert.equal(clock.now() - startedAt, 2000);
+});
+
+test("a nearly full call bucket delays the next request", async () => {
+  const { shopify, clock } = setup([
+    { ...RULE, headers: { "x-shopify-shop-api-call-limit": "39/40" } },
+    CODE,
+  ]);
+  const startedAt = clock.now();
+
+  await shopify.createGlobalDrop("HYPE20", 20);
+
+  // 39 used, 2 kept free -> wait for 2 calls to leak at 2/s
+  assert.equal(clock.now() - startedAt, 1000);
+});
+
+test("a failed code deletes its half-created price rule", async () => {
+  const { shopify, http } = setup([
+    RULE,
+    { status: 422, data: { errors: { code: ["must be unique"] } } },
+    { status: 200, data: {} },
+  ]);
+
+  await assert.rejects(shopify.createGlobalDrop("HYPE20", 20), (err) => {
+    assert.ok(err instanceof ShopifyValidationError);
+    assert.equal(err.reason, "invalid");
+    assert.match(err.message, /code must be unique/);
+    return true;
+  });
+
+  assert.deepEqual(
+    http.requests.map((r) => `${r.method} ${r.url.replace(/^.*\/2025-01/, "")}`),
+    ["POST /price_rules.json", "POST /price_rules/7/discount_codes.json", "DELETE /price_rules/7.json"]
+  );
+});
+
+test("5xx retries codes but never the price rule itself", async () => {
+  const { shopify, http } = setup([
+    RULE,
+    { status: 503, data: {} },
+    new Error("socket hang up"),
+    CODE,
+  ]);
+  assert.equal((await shopify.createGlobalDrop("HYPE20", 20)).code, "HYPE20");
+  assert.equal(http.requests.length, 4);
+
+  const second = setup([{ status: 502, data: {} }]);
+  await assert.rejects(second.shopify.createGlobalDrop("X", 20), ShopifyUnavailableError);
+  assert.equal(second.http.requests.length, 1);
+});
+
+test("a code retried after a timeout that already landed is kept, not deleted", async () => {
+  const { shopify, http } = setup([
+    RULE,
+    new Error("timeout of 15000ms exceeded"),
+    { status: 422, data: { errors: { code: ["must be unique"] } } },
+    { status: 200, data: { discount_codes: [{ id: 9, code: "HYPE20" }] } },
+  ]);
+
+  const code = await shopify.createGlobalDrop("hype20", 20);
+
+  assert.equal(code.id, 9);
+  assert.deepEqual(
+    http.requests.map((r) => `${r.method} ${r.url.replace(/^.*\/2025-01/, "")}`),
+    [
+      "POST /price_rules.json",
+      "POST /price_rules/7/discount_codes.json",
+      "POST /price_rules/7/discount_codes.json",
+      "GET /price_rules/7/discount_codes.json",
+    ]
+  );
+});
+
+test("errorResult gives the bot a reason it can explain", async () => {
+  const { shopify } = setup([
+    { status: 429, data: {} },
+    { status: 429, data: {} },
+    { status: 429, data: {} },
+    { status: 429, headers: { "retry-after": "4" }, data: {} },
+  ]);
+
+  const err = await shopify.createDiscountForViewer("alice").catch((e) => e);
+  assert.ok(err instanceof ShopifyRateLimitError);
+  assert.deepEqual(errorResult(err), {
+    ok: false,
+    reason: "rate_limited",
+    message: err.message,
+    retryAfterSeconds: 4,
+  });
+});
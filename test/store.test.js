@@ -0,0 +1,47 @@
+// test/store.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createStore } = require("../store");
+const { createFakeClock } = require("./fakes/fakeClock");
+
+test("memory store expires entries", async () => {
+  const clock = createFakeClock();
+  const store = createStore({ type: "memory", now: clock.now, sweepIntervalMs: 0 });
+
+  await store.set("cooldown:ping", "u1", 123, 1000);
+  await store.set("points", "u1", { balance: 5 });
+  assert.equal(await store.get("cooldown:ping", "u1"), 123);
+
+  clock.advance(1000);
+  assert.equal(await store.get("cooldown:ping", "u1"), null);
+  assert.deepEqual(await store.list("points"), [{ key: "u1", value: { balance: 5 } }]);
+
+  await store.set("cooldown:ping", "u2", 1, 10);
+  clock.advance(10);
+  assert.equal(store.sweep(), 1);
+  await store.close();
+});
+
+test("file store survives a restart", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "dropify-store-"));
+  const filePath = path.join(dir, "store.json");
+  const clock = createFakeClock();
+
+  try {
+    const first = createStore({ type: "file", filePath, now: clock.now, sweepIntervalMs: 0 });
+    await first.set("discount:#streamer", "42", { code: "ABC" }, 60 * 1000);
+    await first.set("cooldown:discount", "42", 1, 1000);
+    await first.close();
+
+    clock.advance(2000);
+    const second = createStore({ type: "file", filePath, now: clock.now, sweepIntervalMs: 0 });
+    assert.deepEqual(await second.get("discount:#streamer", "42"), { code: "ABC" });
+    assert.equal(await second.get("cooldown:discount", "42"), null);
+    await second.close();
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
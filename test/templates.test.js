@@ -0,0 +1,65 @@
+// test/templates.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { LOCALES, render, resolveLocale } = require("../templates");
+const { setupBot, STREAMER, withSettings } = require("./helpers");
+
+function placeholders(text) {
+  return new Set([...text.matchAll(/\{(\w+)\}/g)].map((m) => m[1]));
+}
+
+test("bundled locales only use keys and placeholders English has", () => {
+  for (const [locale, bundle] of Object.entries(LOCALES)) {
+    for (const [key, text] of Object.entries(bundle)) {
+      assert.ok(key in LOCALES.en, `${locale}: unknown key ${key}`);
+      for (const name of placeholders(text)) {
+        assert.ok(
+          placeholders(LOCALES.en[key]).has(name),
+          `${locale}.${key}: unexpected {${name}}`
+        );
+      }
+    }
+  }
+});
+
+test("render falls back to English and keeps unknown placeholders", () => {
+  assert.equal(resolveLocale("de-DE"), "de");
+  assert.equal(resolveLocale("xx"), "en");
+
+  assert.equal(
+    render("discount.code", { username: "Ana", code: "X1" }, { locale: "es" }),
+    "🎁 @Ana tu código: X1 — ¡válido por ~10 minutos!"
+  );
+  // de has no "backend.message"
+  assert.equal(
+    render("backend.message", { username: "Ana", message: "Limit!" }, { locale: "de" }),
+    "@Ana Limit!"
+  );
+  assert.equal(
+    render("ping.pong", {}, { templates: { "ping.pong": "hi {usrname}" } }),
+    "hi {usrname}"
+  );
+});
+
+test("channels pick a locale and override single templates", async () => {
+  const { chat, client, backend } = setupBot({
+    backendOptions: { viewerDiscount: { ok: false, reason: "disabled" } },
+  });
+  withSettings(backend, {
+    locale: "de",
+    templates: { "drop.activated": "💥 {code} -{percent}% ({remaining})" },
+  });
+  backend.route("POST", "/api/discounts/streamer/global", { ok: true, drop: { code: "HYPE" } });
+
+  await chat("!discount", { login: "alice", displayName: "Alice" });
+  assert.equal(
+    client.lastMessage(),
+    "@Alice Dropify-Rabatte sind in diesem Kanal gerade deaktiviert."
+  );
+
+  await chat("!drop 25 5m", STREAMER);
+  assert.equal(client.lastMessage(), "💥 HYPE -25% (5m)");
+
+  await chat("!drop 10", { login: "bob" });
+  assert.equal(client.lastMessage(), "@bob !drop ist nur für den Streamer verfügbar.");
+});
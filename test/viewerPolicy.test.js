@@ -0,0 +1,79 @@
+// test/viewerPolicy.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { getViewerStatus, resolveViewerPolicy } = require("../viewerPolicy");
+const { viewerDiscountSpec } = require("../dropSpec");
+
+const SETTINGS = {
+  viewerDiscount: {
+    percent: 10,
+    lifetimeMinutes: 15,
+    tiers: [
+      { name: "loyal", minSubMonths: 12, percent: 20, lifetimeMinutes: 30 },
+      { name: "subscriber", subscriber: true, percent: 15 },
+      { name: "vip", vip: true, valueType: "fixed_amount", value: 5, oncePerCustomer: true },
+    ],
+  },
+};
+
+test("viewer status comes from the sub badge and badge-info months", () => {
+  assert.deepEqual(
+    getViewerStatus({ badges: { subscriber: "12" }, "badge-info": { subscriber: "14" } }),
+    { subscriber: true, vip: false, subMonths: 14 }
+  );
+  assert.deepEqual(getViewerStatus({ badges: { founder: "0" }, "badge-info": { founder: "30" } }), {
+    subscriber: true,
+    vip: false,
+    subMonths: 30,
+  });
+  assert.deepEqual(getViewerStatus({ badges: { vip: "1" } }), {
+    subscriber: false,
+    vip: true,
+    subMonths: 0,
+  });
+});
+
+test("the first matching tier overrides only the fields it sets", () => {
+  assert.equal(resolveViewerPolicy({}, {}), null);
+
+  assert.deepEqual(resolveViewerPolicy(SETTINGS, {}), {
+    tier: null,
+    valueType: "percentage",
+    value: 10,
+    lifetimeMinutes: 15,
+    oncePerCustomer: false,
+  });
+
+  const loyal = resolveViewerPolicy(SETTINGS, {
+    badges: { subscriber: "12" },
+    "badge-info": { subscriber: "13" },
+  });
+  assert.equal(loyal.tier, "loyal");
+  assert.equal(loyal.value, 20);
+  assert.equal(loyal.lifetimeMinutes, 30);
+
+  const sub = resolveViewerPolicy(SETTINGS, { subscriber: true, "badge-info": { subscriber: "2" } });
+  assert.equal(sub.tier, "subscriber");
+  assert.equal(sub.value, 15);
+  assert.equal(sub.lifetimeMinutes, 15);
+
+  assert.deepEqual(resolveViewerPolicy(SETTINGS, { badges: { vip: "1" } }), {
+    tier: "vip",
+    valueType: "fixed_amount",
+    value: 5,
+    lifetimeMinutes: 15,
+    oncePerCustomer: true,
+  });
+});
+
+test("policies become single-use Shopify specs", () => {
+  const spec = viewerDiscountSpec({ valueType: "fixed_amount", value: 5, lifetimeMinutes: 30, oncePerCustomer: true });
+  assert.equal(spec.valueType, "fixed_amount");
+  assert.equal(spec.durationMinutes, 30);
+  assert.equal(spec.maxUses, 1);
+  assert.equal(spec.oncePerCustomer, true);
+
+  const fallback = viewerDiscountSpec(null);
+  assert.equal(fallback.value, 10);
+  assert.equal(fallback.durationMinutes, 10);
+});
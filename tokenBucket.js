@@ -0,0 +1,48 @@
+// tokenBucket.js
+
+/**
+ * Token bucket where every spent token comes back `windowMs` after it
+ * was spent. That way no `windowMs` window ever sees more than `capacity`
+ * takes, which is how Twitch counts its "N per 30 seconds" limits.
+ *
+ * options: { capacity, windowMs, clock }
+ */
+function createTokenBucket({ capacity, windowMs, clock }) {
+  const spent = []; // timestamps, oldest first
+
+  function prune() {
+    const cutoff = clock.now() - windowMs;
+    while (spent.length && spent[0] <= cutoff) spent.shift();
+  }
+
+  function available() {
+    prune();
+    return Math.max(0, capacity - spent.length);
+  }
+
+  function tryTake() {
+    if (available() <= 0) return false;
+    spent.push(clock.now());
+    return true;
+  }
+
+  /**
+   * 0 when a token is free right now
+   */
+  function msUntilAvailable() {
+    if (available() > 0) return 0;
+    return Math.max(1, spent[spent.length - capacity] + windowMs - clock.now());
+  }
+
+  return {
+    capacity,
+    windowMs,
+    available,
+    tryTake,
+    msUntilAvailable,
+  };
+}
+
+module.exports = {
+  createTokenBucket,
+};
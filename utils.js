@@ -0,0 +1,71 @@
+// utils.js
+
+/**
+ * Real clock. Anything time-based takes a clock so tests can swap in a fake.
+ */
+const systemClock = {
+  now: () => Date.now(),
+  sleep: (ms) => new Promise((r) => setTimeout(r, ms)),
+};
+
+/**
+ * "#SomeChannel" -> "somechannel" (tmi channels come with '#')
+ */
+function channelLogin(channel) {
+  return String(channel || "").replace(/^#/, "").trim().toLowerCase();
+}
+
+/**
+ * 252000 -> "4m 12s"
+ */
+function formatDuration(ms) {
+  const total = Math.max(0, Math.ceil(ms / 1000));
+  const minutes = Math.floor(total / 60);
+  const seconds = total % 60;
+  if (!minutes) return `${seconds}s`;
+  return seconds ? `${minutes}m ${seconds}s` : `${minutes}m`;
+}
+
+/**
+ * "5m" / "90s" / "1h30m" / "10" (bare number = minutes) -> ms, or null
+ */
+function parseDuration(input) {
+  const value = String(input || "").trim().toLowerCase();
+  if (!value) return null;
+  if (/^\d+$/.test(value)) return Number(value) * 60 * 1000;
+
+  const match = value.match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/);
+  if (!match || (!match[1] && !match[2] && !match[3])) return null;
+
+  const [, h = 0, m = 0, s = 0] = match;
+  return ((Number(h) * 60 + Number(m)) * 60 + Number(s)) * 1000;
+}
+
+/**
+ * Full jitter: random delay in [0, min(maxMs, baseMs * 2^attempt)]
+ */
+function jitterBackoffMs(attempt, random, baseMs, maxMs) {
+  const ceiling = Math.min(maxMs, baseMs * 2 ** attempt);
+  return Math.floor(random() * ceiling);
+}
+
+/**
+ * Retry-After header (seconds, possibly fractional, or an HTTP date) -> ms
+ */
+function retryAfterMs(headers, now = Date.now()) {
+  const value = headers?.["retry-after"];
+  if (value == null) return 0;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const at = Date.parse(value);
+  return Number.isFinite(at) ? Math.max(0, at - now) : 0;
+}
+
+module.exports = {
+  systemClock,
+  channelLogin,
+  formatDuration,
+  parseDuration,
+  jitterBackoffMs,
+  retryAfterMs,
+};
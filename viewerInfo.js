@@ -0,0 +1,74 @@
+// viewerInfo.js
+const { systemClock, channelLogin } = require("./utils");
+
+const VIEWER_INFO_TTL_MS = 10 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * What chat tags can't tell us about a viewer: account age and whether
+ * they follow the channel.
+ *
+ *   GET /api/streamers/:login/viewers/:viewerId
+ *     -> { ok, viewer: { createdAt, followedAt } }   (ISO dates, followedAt null if not following)
+ *
+ * get() -> { createdAt, followedAt } in ms (null when unknown / not following),
+ * or null if the backend couldn't answer. Answers are cached per viewer.
+ */
+function createViewerInfo({ backend, clock = systemClock, ttlMs = VIEWER_INFO_TTL_MS }) {
+  // `${login}:${viewerId}` -> { info, fetchedAt }
+  const cache = new Map();
+
+  async function get(channel, viewerId) {
+    const login = channelLogin(channel);
+    const key = `${login}:${viewerId}`;
+    const cached = cache.get(key);
+    if (cached && clock.now() - cached.fetchedAt < ttlMs) return cached.info;
+
+    let data;
+    try {
+      data = await backend.call(
+        `/api/streamers/${encodeURIComponent(login)}/viewers/${encodeURIComponent(viewerId)}`,
+        "GET"
+      );
+    } catch (err) {
+      console.error(`[VIEWER] Lookup failed for ${viewerId} in ${login}:`, err?.message || err);
+      return null;
+    }
+    if (!data?.ok || !data.viewer) return null;
+
+    const info = {
+      createdAt: Date.parse(data.viewer.createdAt || "") || null,
+      followedAt: Date.parse(data.viewer.followedAt || "") || null,
+    };
+    cache.set(key, { info, fetchedAt: clock.now() });
+    return info;
+  }
+
+  /**
+   * Account age in whole days, or null if unknown
+   */
+  async function accountAgeDays(channel, viewerId) {
+    const info = await get(channel, viewerId);
+    if (!info?.createdAt) return null;
+    return Math.floor((clock.now() - info.createdAt) / DAY_MS);
+  }
+
+  /**
+   * true / false, or null if unknown
+   */
+  async function isFollower(channel, viewerId) {
+    const info = await get(channel, viewerId);
+    return info ? Boolean(info.followedAt) : null;
+  }
+
+  return {
+    get,
+    accountAgeDays,
+    isFollower,
+  };
+}
+
+module.exports = {
+  VIEWER_INFO_TTL_MS,
+  createViewerInfo,
+};
@@ -0,0 +1,106 @@
+// viewerPolicy.js
+const { normalizeDropSpec } = require("./dropSpec");
+
+const DEFAULT_LIFETIME_MINUTES = 10;
+const MAX_LIFETIME_MINUTES = 24 * 60;
+
+/**
+ * Per-store personal discount policy, from channel settings:
+ *
+ *   viewerDiscount: {
+ *     percent: 10,                 // or valueType: "fixed_amount", value: 5
+ *     lifetimeMinutes: 10,
+ *     oncePerCustomer: false,
+ *     tiers: [                     // checked in order, first match wins
+ *       { name: "loyal", minSubMonths: 12, percent: 20, lifetimeMinutes: 30 },
+ *       { name: "subscriber", subscriber: true, percent: 15 },
+ *       { name: "vip", vip: true, percent: 15 },
+ *     ],
+ *   }
+ *
+ * A tier only overrides the fields it sets.
+ */
+
+/**
+ * What the chat tags say about the viewer (sub badge, exact sub months).
+ * Founders count as subscribers.
+ */
+function getViewerStatus(tags = {}) {
+  const badges = tags.badges || {};
+  const info = tags["badge-info"] || {};
+  const subscriber = Boolean(tags.subscriber || badges.subscriber || badges.founder);
+
+  return {
+    subscriber,
+    vip: Boolean(tags.vip || badges.vip),
+    subMonths: subscriber ? Number(info.subscriber || info.founder) || 0 : 0,
+  };
+}
+
+function tierMatches(tier, status) {
+  if (tier.subscriber === true && !status.subscriber) return false;
+  if (tier.vip === true && !status.vip) return false;
+  if (tier.minSubMonths != null && status.subMonths < Number(tier.minSubMonths)) return false;
+  return true;
+}
+
+/**
+ * { valueType, value, percent } from a policy or tier, or null if it sets none
+ */
+function discountValue(raw) {
+  if (raw.valueType == null && raw.value == null && raw.percent == null) return null;
+  const spec = normalizeDropSpec({ valueType: raw.valueType, value: raw.value, percent: raw.percent });
+  if (!spec || spec.valueType === "free_shipping") return null;
+  return { valueType: spec.valueType, value: spec.value };
+}
+
+function lifetimeMinutes(value, fallback) {
+  const minutes = Number(value);
+  if (!(minutes > 0)) return fallback;
+  return Math.min(MAX_LIFETIME_MINUTES, minutes);
+}
+
+/**
+ * Channel settings + viewer tags -> the policy to send with the discount
+ * request, or null when the channel has none (the backend's default applies).
+ *
+ * returns { tier, valueType, value, lifetimeMinutes, oncePerCustomer }
+ */
+function resolveViewerPolicy(settings, tags) {
+  const raw = settings?.viewerDiscount;
+  if (!raw || typeof raw !== "object") return null;
+
+  const base = discountValue(raw);
+  if (!base) {
+    console.warn("[POLICY] Ignoring viewerDiscount without a valid percent/value");
+    return null;
+  }
+
+  const policy = {
+    tier: null,
+    ...base,
+    lifetimeMinutes: lifetimeMinutes(raw.lifetimeMinutes, DEFAULT_LIFETIME_MINUTES),
+    oncePerCustomer: raw.oncePerCustomer === true,
+  };
+
+  const status = getViewerStatus(tags);
+  const tier = (Array.isArray(raw.tiers) ? raw.tiers : []).find(
+    (t) => t && typeof t === "object" && tierMatches(t, status)
+  );
+  if (!tier) return policy;
+
+  return {
+    ...policy,
+    ...discountValue(tier),
+    tier: tier.name || null,
+    lifetimeMinutes: lifetimeMinutes(tier.lifetimeMinutes, policy.lifetimeMinutes),
+    oncePerCustomer:
+      typeof tier.oncePerCustomer === "boolean" ? tier.oncePerCustomer : policy.oncePerCustomer,
+  };
+}
+
+module.exports = {
+  DEFAULT_LIFETIME_MINUTES,
+  getViewerStatus,
+  resolveViewerPolicy,
+};
@@ -0,0 +1,94 @@
+// whisper.js
+const axios = require("axios");
+const { createTokenBucket } = require("./tokenBucket");
+const { systemClock } = require("./utils");
+
+const HELIX_WHISPERS_URL = "https://api.twitch.tv/helix/whispers";
+
+/**
+ * Twitch whisper limits: 3 per second, 100 per minute
+ */
+const WHISPER_LIMITS = [
+  { capacity: 3, windowMs: 1000 },
+  { capacity: 100, windowMs: 60 * 1000 },
+];
+
+/**
+ * Private delivery to a single viewer.
+ *
+ * Uses Helix (POST /helix/whispers) when `helix` is configured:
+ *   { clientId, token, botUserId }
+ * otherwise falls back to tmi's client.whisper (IRC whispers).
+ *
+ * send({ id, login }, message) -> { ok: true } | { ok: false, reason, message }
+ * Never throws.
+ */
+function createWhisperSender({ client, helix, clock = systemClock, http = axios }) {
+  const buckets = WHISPER_LIMITS.map((l) => createTokenBucket({ ...l, clock }));
+
+  async function sendHelix(viewer, message) {
+    if (!viewer?.id) {
+      return { ok: false, reason: "no_user_id", message: "Viewer id is missing." };
+    }
+
+    const res = await http.post(
+      HELIX_WHISPERS_URL,
+      { message },
+      {
+        params: { from_user_id: helix.botUserId, to_user_id: viewer.id },
+        headers: {
+          "Client-Id": helix.clientId,
+          Authorization: `Bearer ${String(helix.token).replace(/^oauth:/, "")}`,
+          "Content-Type": "application/json",
+        },
+        timeout: 10_000,
+        validateStatus: () => true,
+      }
+    );
+
+    // 204 No Content on success
+    if (res.status >= 200 && res.status < 300) return { ok: true };
+
+    return {
+      ok: false,
+      reason: res.status === 429 ? "rate_limited" : "whisper_failed",
+      message: res.data?.message || `Twitch returned HTTP ${res.status}`,
+      status: res.status,
+    };
+  }
+
+  async function sendIrc(viewer, message) {
+    if (typeof client?.whisper !== "function") {
+      return { ok: false, reason: "unsupported", message: "Whispers unavailable." };
+    }
+    await client.whisper(viewer.login, message);
+    return { ok: true };
+  }
+
+  async function send(viewer, message) {
+    if (buckets.some((b) => b.available() <= 0)) {
+      return { ok: false, reason: "rate_limited", message: "Whisper limit reached." };
+    }
+    buckets.forEach((b) => b.tryTake());
+
+    try {
+      return helix?.clientId && helix?.token && helix?.botUserId
+        ? await sendHelix(viewer, message)
+        : await sendIrc(viewer, message);
+    } catch (err) {
+      return {
+        ok: false,
+        reason: "whisper_failed",
+        message: err?.message || String(err),
+      };
+    }
+  }
+
+  return {
+    send,
+  };
+}
+
+module.exports = {
+  createWhisperSender,
+};